@@ -1,6 +1,25 @@
 import { GameMode } from './game/GameMode.js';
 import { PlayerController } from './game/PlayerController.js';
 import { Renderer } from './rendering/Renderer.js';
+import { MoveListPanel } from './ui/MoveListPanel.js';
+import { ReplayBar } from './ui/ReplayBar.js';
+import { ReplayController } from './game/ReplayController.js';
+import { BoardEditor } from './game/BoardEditor.js';
+import { BoardEditorPanel } from './ui/BoardEditorPanel.js';
+import { StandingsDialog } from './ui/StandingsDialog.js';
+import { DrawOfferPanel } from './ui/DrawOfferPanel.js';
+import { LeaveSeatDialog } from './ui/LeaveSeatDialog.js';
+import { OnlinePanel } from './ui/OnlinePanel.js';
+import { SetupDialog, describeRules } from './ui/SetupDialog.js';
+import { GameStorage } from './game/GameStorage.js';
+import { GameSetup } from './game/GameSetup.js';
+import { ShareCodec } from './game/ShareCodec.js';
+import { PlayerType, AIDifficulty } from './core/types.js';
+import { TriangleColors } from './rendering/Colors.js';
+
+// Clock display: how often it refreshes, and below how much time it shows tenths
+const CLOCK_REFRESH_MS = 100;
+const LOW_TIME_MS = 10000;
 
 // ============================================================================
 // Application - Main application entry point
@@ -11,6 +30,17 @@ class Application {
         this.gameMode = null;
         this.renderer = null;
         this.playerController = null;
+        this.moveListPanel = null;
+        this.replayController = null;
+        this.replayBar = null;
+        this.boardEditor = null;
+        this.boardEditorPanel = null;
+        this.standingsDialog = null;
+        this.leaveSeatDialog = null;
+        this.drawOfferPanel = null;
+        this.onlinePanel = null;
+        this.setupDialog = null;
+        this._autosaveTimer = null;
     }
 
     /**
@@ -37,45 +67,716 @@ class Application {
         this.playerController.bindInputEvents(this.canvas);
         this.gameMode.setPlayerController(this.playerController);
 
+        // Create the replay controller
+        this.replayController = new ReplayController(this.gameMode, this.renderer);
+
+        // Create the board editor
+        this.boardEditor = new BoardEditor(this.gameMode);
+
         // Set up animation context for the renderer
         this.renderer.setAnimationContext(
             this.gameMode.getGameState(),
             this.playerController
         );
 
-        // Initialize the game with 2 players
-        this.gameMode.initGame(2);
+        // Colour the triangles as the game being played chooses
+        TriangleColors.setGameState(this.gameMode.getGameState());
+
+        // Open a shared link, resume the autosaved game, or start a 2-player
+        // game while the players set up theirs
+        const resumed = this.loadSharedLink() || this.resumeAutosave();
+        if (!resumed) {
+            this.gameMode.initGame(2);
+        }
 
         // Set up DOM bindings for UI controls
         this.setupDOMBindings();
+        this.syncGameControls();
+        this.setupMoveListPanel();
+        this.setupReplayBar();
+        this.setupBoardEditorPanel();
+        this.setupStandingsDialog();
+        this.setupDrawOfferPanel();
+        this.setupLeaveSeatDialog();
+        this.setupOnlinePanel();
+        this.setupSetupDialog();
+        this.setupClocks();
+        this.setupAutosave();
 
         // Set up resize handler
         this.setupResizeHandler();
 
         // Initial render
         this.gameMode.render();
+        this.gameMode.beginTurn();
+
+        if (!resumed && !GameStorage.loadOnlineSession()) {
+            this.showSetup();
+        }
     }
 
     /**
      * Set up DOM event bindings for UI controls
      */
     setupDOMBindings() {
-        // Player count selector
-        const playerCountSelect = document.getElementById('playerCount');
-        if (playerCountSelect) {
-            playerCountSelect.addEventListener('change', (e) => {
-                const count = parseInt(e.target.value, 10);
-                this.setPlayerCount(count);
+        // Resigned pieces selector
+        const resignedPiecesSelect = document.getElementById('resignedPieces');
+        if (resignedPiecesSelect) {
+            resignedPiecesSelect.addEventListener('change', (e) => {
+                this.gameMode.setResignedPieces(e.target.value);
+                this.scheduleAutosave();
+            });
+        }
+
+        // Team assist checkbox
+        const teamAssistCheckbox = document.getElementById('teamAssist');
+        if (teamAssistCheckbox) {
+            teamAssistCheckbox.addEventListener('change', (e) => {
+                this.gameMode.setTeamAssist(e.target.checked);
+                this.scheduleAutosave();
+            });
+        }
+
+        // Play-on checkbox
+        const playOnCheckbox = document.getElementById('playOn');
+        if (playOnCheckbox) {
+            playOnCheckbox.addEventListener('change', (e) => {
+                this.gameMode.setPlayOn(e.target.checked);
+                this.scheduleAutosave();
             });
         }
 
-        // Reset button
+        // New game button: choose the players and rules first
         const resetButton = document.getElementById('resetButton');
         if (resetButton) {
-            resetButton.addEventListener('click', () => {
-                this.resetGame();
+            resetButton.addEventListener('click', () => this.showSetup());
+        }
+
+        // Undo / redo buttons
+        const undoButton = document.getElementById('undoButton');
+        if (undoButton) {
+            undoButton.addEventListener('click', () => this.gameMode.undo());
+        }
+        const redoButton = document.getElementById('redoButton');
+        if (redoButton) {
+            redoButton.addEventListener('click', () => this.gameMode.redo());
+        }
+
+        // Save / load buttons
+        const saveButton = document.getElementById('saveButton');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => this.downloadGame());
+        }
+        const loadButton = document.getElementById('loadButton');
+        const loadFileInput = document.getElementById('loadFileInput');
+        if (loadButton && loadFileInput) {
+            loadButton.addEventListener('click', () => loadFileInput.click());
+            loadFileInput.addEventListener('change', () => {
+                const file = loadFileInput.files[0];
+                loadFileInput.value = '';
+                if (file) {
+                    this.loadGameFile(file);
+                }
+            });
+        }
+
+        // Share button
+        const shareButton = document.getElementById('shareButton');
+        if (shareButton) {
+            shareButton.addEventListener('click', () => this.copyShareLink(shareButton));
+        }
+
+        // Links pasted into the address bar of an open page
+        window.addEventListener('hashchange', () => {
+            if (this.loadSharedLink()) {
+                this.syncGameControls();
+                this.renderer.setAnimationContext(this.gameMode.getGameState(), this.playerController);
+            }
+        });
+
+        // Replay button
+        const replayButton = document.getElementById('replayButton');
+        if (replayButton) {
+            replayButton.addEventListener('click', () => this.replayController.start());
+        }
+
+        // Board editor button
+        const editBoardButton = document.getElementById('editBoardButton');
+        if (editBoardButton) {
+            editBoardButton.addEventListener('click', () => {
+                this.replayController.exit();
+                this.boardEditor.open();
             });
         }
+
+        // Rotate button: turns this screen's view only
+        const rotateBoardButton = document.getElementById('rotateBoardButton');
+        if (rotateBoardButton) {
+            rotateBoardButton.addEventListener('click', () => {
+                this.renderer.setRotation(this.renderer.getRotation() + 1);
+                this.gameMode.render();
+            });
+        }
+
+        // Explain moves ruled out by the stay limit until the turn changes
+        const ruleMessage = document.getElementById('ruleMessage');
+        if (ruleMessage) {
+            const gameEvents = this.gameMode.getGameState().events;
+            gameEvents.subscribe('moveRejected', ({ reason }) => {
+                ruleMessage.textContent = reason;
+                ruleMessage.hidden = false;
+            });
+            ['turnChanged', 'stateReset', 'historyChanged'].forEach(event => {
+                gameEvents.subscribe(event, () => { ruleMessage.hidden = true; });
+            });
+        }
+
+        // Undo / redo keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Keep undo / redo buttons in sync with the history
+        const events = this.gameMode.getGameState().events;
+        events.subscribe('historyChanged', () => this.updateHistoryButtons());
+        events.subscribe('stateReset', () => this.updateHistoryButtons());
+        this.updateHistoryButtons();
+
+        // Keep finishing places and resign buttons in the seat controls up to date
+        ['historyChanged', 'stateReset', 'matchEnded'].forEach(event => {
+            events.subscribe(event, () => this.renderSeatControls());
+        });
+    }
+
+    /**
+     * Update the option and seat controls, and the rules summary, to match
+     * the current game
+     */
+    syncGameControls() {
+        const gameState = this.gameMode.getGameState();
+        // Options that change a game in progress are the room's to decide online
+        const online = !!this.gameMode.online;
+        const resignedPiecesSelect = document.getElementById('resignedPieces');
+        if (resignedPiecesSelect) {
+            resignedPiecesSelect.value = gameState.options.resignedPieces;
+            resignedPiecesSelect.disabled = online;
+        }
+        const teamAssistCheckbox = document.getElementById('teamAssist');
+        if (teamAssistCheckbox) {
+            teamAssistCheckbox.checked = gameState.options.teamAssist;
+            teamAssistCheckbox.disabled = !gameState.isTeamGame() || online;
+        }
+        const playOnCheckbox = document.getElementById('playOn');
+        if (playOnCheckbox) {
+            playOnCheckbox.checked = gameState.options.playOn;
+            playOnCheckbox.disabled = online;
+        }
+        const rulesSummary = document.getElementById('rulesSummary');
+        if (rulesSummary) {
+            rulesSummary.textContent = describeRules(gameState);
+        }
+        this.renderSeatControls();
+    }
+
+    // ========================================================================
+    // Clocks
+    // ========================================================================
+
+    /**
+     * Keep the clocks in the seat controls ticking
+     */
+    setupClocks() {
+        setInterval(() => this.updateClocks(), CLOCK_REFRESH_MS);
+    }
+
+    /**
+     * Show each seat's time left, marking the clock that is running
+     */
+    updateClocks() {
+        const clock = this.gameMode.clock;
+        const gameState = this.gameMode.getGameState();
+        document.querySelectorAll('.seat-clock').forEach(element => {
+            const triangleIndex = parseInt(element.dataset.player, 10);
+            const remaining = clock.getRemaining(triangleIndex);
+            if (remaining === null) return;
+
+            element.textContent = this.formatClockTime(remaining);
+            element.classList.toggle('running', clock.isRunning() && triangleIndex === gameState.currentPlayerIndex);
+            element.classList.toggle('low', remaining < LOW_TIME_MS);
+        });
+    }
+
+    /**
+     * Format a time left as minutes and seconds, with tenths under ten seconds
+     * @param {number} ms
+     * @returns {string} e.g. "4:05" or "7.3"
+     */
+    formatClockTime(ms) {
+        if (ms < LOW_TIME_MS) {
+            return (Math.floor(ms / 100) / 10).toFixed(1);
+        }
+        const seconds = Math.ceil(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // ========================================================================
+    // Save / Load
+    // ========================================================================
+
+    /**
+     * Load the autosaved game, if there is a valid one
+     * @returns {boolean} True if a game was resumed
+     */
+    resumeAutosave() {
+        const data = GameStorage.loadAutosave();
+        if (!data) return false;
+
+        try {
+            this.gameMode.loadGame(data);
+            return true;
+        } catch (error) {
+            console.warn('Discarding autosave:', error.message);
+            GameStorage.clearAutosave();
+            return false;
+        }
+    }
+
+    /**
+     * Autosave whenever the game changes
+     */
+    setupAutosave() {
+        const events = this.gameMode.getGameState().events;
+        ['historyChanged', 'stateReset', 'turnChanged'].forEach(event => {
+            events.subscribe(event, () => this.scheduleAutosave());
+        });
+    }
+
+    /**
+     * Autosave once the current change has finished (changes come in bursts)
+     */
+    scheduleAutosave() {
+        if (this._autosaveTimer !== null) return;
+        this._autosaveTimer = setTimeout(() => {
+            this._autosaveTimer = null;
+            GameStorage.saveAutosave(this.gameMode.getGameState());
+        }, 0);
+    }
+
+    /**
+     * Download the current game as a JSON file
+     */
+    downloadGame() {
+        const json = JSON.stringify(this.gameMode.getGameState(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const date = new Date().toISOString().slice(0, 10);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chinese-checkers-${date}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a game from a JSON file chosen by the user
+     * @param {File} file
+     */
+    async loadGameFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            alert(`Could not load "${file.name}": the file is not valid JSON.`);
+            return;
+        }
+
+        try {
+            this.gameMode.loadGame(data);
+        } catch (error) {
+            alert(`Could not load "${file.name}": ${error.message}`);
+            return;
+        }
+
+        this.syncGameControls();
+        this.renderer.setAnimationContext(this.gameMode.getGameState(), this.playerController);
+    }
+
+    // ========================================================================
+    // Shared Links
+    // ========================================================================
+
+    /**
+     * Open the game or position in the page URL's hash (see ShareCodec.js)
+     * The hash is removed afterwards so reloading resumes the autosave.
+     * @returns {boolean} True if a shared game was opened
+     */
+    loadSharedLink() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const gameCode = params.get('game');
+        const positionCode = params.get('position');
+        if (gameCode === null && positionCode === null) return false;
+
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        try {
+            if (gameCode !== null) {
+                const { triangleIndices, moves, options } = ShareCodec.decodeGame(gameCode);
+                this.gameMode.loadMoves(triangleIndices, moves, options);
+            } else {
+                this.gameMode.loadPosition(ShareCodec.decodePosition(positionCode));
+            }
+            return true;
+        } catch (error) {
+            alert(`Could not open the shared link. ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Build a link to the current game: its moves when it began from the
+     * standard setup, otherwise the current position
+     * @returns {string}
+     */
+    getShareLink() {
+        const gameState = this.gameMode.getGameState();
+        const gameCode = ShareCodec.encodeGame(gameState);
+        const hash = gameCode !== null
+            ? `game=${gameCode}`
+            : `position=${ShareCodec.encodePosition(gameState)}`;
+        return `${window.location.href.split('#')[0]}#${hash}`;
+    }
+
+    /**
+     * Copy a link to the current game to the clipboard
+     * @param {HTMLButtonElement} button - Briefly shows "Link copied"
+     */
+    copyShareLink(button) {
+        const link = this.getShareLink();
+        const showLink = () => window.prompt('Copy this link to share the game:', link);
+
+        if (!navigator.clipboard) {
+            showLink();
+            return;
+        }
+
+        navigator.clipboard.writeText(link)
+            .then(() => {
+                const label = button.textContent;
+                button.textContent = 'Link copied';
+                setTimeout(() => { button.textContent = label; }, 1500);
+            })
+            .catch(showLink);
+    }
+
+    /**
+     * Create the move list side panel
+     */
+    setupMoveListPanel() {
+        const list = document.getElementById('moveList');
+        if (!list) return;
+
+        this.moveListPanel = new MoveListPanel(this.gameMode, {
+            list,
+            input: document.getElementById('notationInput'),
+            playButton: document.getElementById('playNotationButton'),
+            copyButton: document.getElementById('copyNotationButton'),
+            status: document.getElementById('notationStatus')
+        });
+        this.moveListPanel.bind();
+        this.moveListPanel.render();
+    }
+
+    /**
+     * Create the replay playback bar
+     */
+    setupReplayBar() {
+        const container = document.getElementById('replayBar');
+        if (!container) return;
+
+        this.replayBar = new ReplayBar(this.replayController, {
+            container,
+            firstButton: document.getElementById('replayFirstButton'),
+            previousButton: document.getElementById('replayPreviousButton'),
+            playButton: document.getElementById('replayPlayButton'),
+            nextButton: document.getElementById('replayNextButton'),
+            lastButton: document.getElementById('replayLastButton'),
+            speedSelect: document.getElementById('replaySpeed'),
+            position: document.getElementById('replayPosition'),
+            resumeButton: document.getElementById('replayResumeButton'),
+            exitButton: document.getElementById('replayExitButton')
+        });
+        this.replayBar.bind();
+        this.replayBar.render();
+    }
+
+    /**
+     * Create the board editor controls
+     */
+    setupBoardEditorPanel() {
+        const container = document.getElementById('editorBar');
+        if (!container) return;
+
+        this.boardEditorPanel = new BoardEditorPanel(this.boardEditor, this.renderer, {
+            container,
+            canvas: this.canvas,
+            palette: document.getElementById('editorPalette'),
+            turnSelect: document.getElementById('editorTurn'),
+            startButton: document.getElementById('editorStartButton'),
+            cancelButton: document.getElementById('editorCancelButton'),
+            clearButton: document.getElementById('editorClearButton'),
+            status: document.getElementById('editorStatus')
+        });
+        this.boardEditorPanel.bind();
+        this.boardEditorPanel.render();
+
+        // Seats follow the colours on the board
+        this.boardEditor.events.subscribe('editorChanged', () => this.syncGameControls());
+    }
+
+    /**
+     * Create the dialog showing final places when a match ends
+     */
+    setupStandingsDialog() {
+        const dialog = document.getElementById('standingsDialog');
+        if (!dialog) return;
+
+        this.standingsDialog = new StandingsDialog(this.gameMode, this.replayController, {
+            dialog,
+            title: document.getElementById('standingsTitle'),
+            rows: document.getElementById('standingsRows'),
+            replayButton: document.getElementById('standingsReplayButton'),
+            newGameButton: document.getElementById('standingsNewGameButton'),
+            closeButton: document.getElementById('standingsCloseButton')
+        });
+        this.standingsDialog.bind();
+    }
+
+    /**
+     * Set up the Offer Draw button and the answers to draw offers
+     */
+    setupDrawOfferPanel() {
+        const offerButton = document.getElementById('offerDrawButton');
+        const container = document.getElementById('drawOfferBar');
+        if (!offerButton || !container) return;
+
+        this.drawOfferPanel = new DrawOfferPanel(this.gameMode, {
+            offerButton,
+            container,
+            text: document.getElementById('drawOfferText'),
+            answers: document.getElementById('drawOfferAnswers')
+        });
+        this.drawOfferPanel.bind();
+    }
+
+    /**
+     * Create the dialog for resigning a seat or handing it to a bot
+     */
+    setupLeaveSeatDialog() {
+        const dialog = document.getElementById('leaveSeatDialog');
+        if (!dialog) return;
+
+        this.leaveSeatDialog = new LeaveSeatDialog(this.gameMode, {
+            dialog,
+            title: document.getElementById('leaveSeatTitle'),
+            text: document.getElementById('leaveSeatText'),
+            resignButton: document.getElementById('leaveSeatResignButton'),
+            botButton: document.getElementById('leaveSeatBotButton'),
+            cancelButton: document.getElementById('leaveSeatCancelButton')
+        });
+        this.leaveSeatDialog.bind(() => {
+            this.renderSeatControls();
+            if (this.drawOfferPanel) {
+                this.drawOfferPanel.render();
+            }
+            this.scheduleAutosave();
+        });
+        this.renderSeatControls();
+    }
+
+    /**
+     * Create the controls for creating, joining and leaving online games
+     */
+    setupOnlinePanel() {
+        const toggleButton = document.getElementById('onlineButton');
+        const container = document.getElementById('onlineBar');
+        if (!toggleButton || !container) return;
+
+        this.onlinePanel = new OnlinePanel(this.gameMode, {
+            toggleButton,
+            container,
+            placeSelect: document.getElementById('onlinePlace'),
+            urlInput: document.getElementById('onlineServerUrl'),
+            delaySelect: document.getElementById('onlineDelay'),
+            createButton: document.getElementById('onlineCreateButton'),
+            codeInput: document.getElementById('onlineCode'),
+            joinButton: document.getElementById('onlineJoinButton'),
+            watchButton: document.getElementById('onlineWatchButton'),
+            leaveButton: document.getElementById('onlineLeaveButton'),
+            seats: document.getElementById('onlineSeats'),
+            status: document.getElementById('onlineStatus')
+        });
+        // Joining replaces the game, and seats decide which controls apply
+        this.onlinePanel.bind(() => {
+            this.syncGameControls();
+            this.updateHistoryButtons();
+            if (this.drawOfferPanel) {
+                this.drawOfferPanel.render();
+            }
+        });
+        this.onlinePanel.resume();
+    }
+
+    /**
+     * Create the dialog for setting up new games
+     */
+    setupSetupDialog() {
+        const dialog = document.getElementById('setupDialog');
+        if (!dialog) return;
+
+        this.setupDialog = new SetupDialog({
+            dialog,
+            playerCountSelect: document.getElementById('playerCount'),
+            layoutSelect: document.getElementById('layout'),
+            boardSizeSelect: document.getElementById('boardSize'),
+            ruleSetSelect: document.getElementById('ruleSet'),
+            winRuleSelect: document.getElementById('winRule'),
+            stayLimitSelect: document.getElementById('foreignStayLimit'),
+            moveLimitSelect: document.getElementById('moveLimit'),
+            timeControlSelect: document.getElementById('timeControl'),
+            teamModeSelect: document.getElementById('teamMode'),
+            seats: document.getElementById('setupSeats'),
+            status: document.getElementById('setupStatus'),
+            startButton: document.getElementById('setupStartButton'),
+            cancelButton: document.getElementById('setupCancelButton')
+        });
+        this.setupDialog.bind((setup) => this.startGame(setup));
+    }
+
+    /**
+     * Open the setup for a new game, as the last one was set up
+     */
+    showSetup() {
+        if (!this.setupDialog) {
+            this.resetGame();
+            return;
+        }
+        const current = GameSetup.fromGame(this.gameMode);
+        this.setupDialog.show(GameSetup.fromJSON(GameStorage.loadSetup(), current));
+    }
+
+    /**
+     * Handle keyboard shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z redo
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.gameMode.undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+            e.preventDefault();
+            this.gameMode.redo();
+        }
+    }
+
+    /**
+     * Enable or disable the undo / redo buttons
+     */
+    updateHistoryButtons() {
+        const history = this.gameMode.getGameState().history;
+        const undoButton = document.getElementById('undoButton');
+        const redoButton = document.getElementById('redoButton');
+        const online = !!this.gameMode.online;
+        if (undoButton) undoButton.disabled = online || !history.canUndo();
+        if (redoButton) redoButton.disabled = online || !history.canRedo();
+    }
+
+    /**
+     * Build the human/bot selector for each seat in play, with the places of
+     * players who have finished and a Leave button for those still playing
+     */
+    renderSeatControls() {
+        const container = document.getElementById('seatControls');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const gameState = this.gameMode.getGameState();
+        const players = [...gameState.players].sort((a, b) => a.homeTriangleIndex - b.homeTriangleIndex);
+
+        players.forEach(playerState => {
+            const triangleIndex = playerState.homeTriangleIndex;
+            const name = playerState.getDisplayName();
+            const seat = this.gameMode.getSeatConfig(triangleIndex);
+
+            const label = document.createElement('label');
+            label.textContent = name;
+            if (playerState.name) {
+                label.title = playerState.colorName;
+            }
+
+            const select = document.createElement('select');
+            select.setAttribute('aria-label', `${name} player`);
+            select.add(new Option('Human', PlayerType.Human));
+            Object.values(AIDifficulty).forEach(difficulty => {
+                select.add(new Option(`Bot (${difficulty})`, `${PlayerType.AI}:${difficulty}`));
+            });
+            select.value = seat.playerType === PlayerType.AI
+                ? `${PlayerType.AI}:${seat.aiDifficulty}`
+                : PlayerType.Human;
+            select.disabled = gameState.hasResigned(triangleIndex)
+                || !this.playerController.isLocalSeat(triangleIndex);
+
+            select.addEventListener('change', (e) => {
+                const [playerType, aiDifficulty] = e.target.value.split(':');
+                this.gameMode.setSeatConfig(triangleIndex, playerType, aiDifficulty);
+                if (this.drawOfferPanel) {
+                    this.drawOfferPanel.render();
+                }
+                this.scheduleAutosave();
+            });
+
+            label.appendChild(select);
+
+            if (gameState.clockTimes) {
+                const clockElement = document.createElement('span');
+                clockElement.className = 'seat-clock';
+                clockElement.dataset.player = triangleIndex;
+                clockElement.title = `${name}'s time left`;
+                label.appendChild(clockElement);
+            }
+
+            const place = gameState.getPlace(triangleIndex);
+            if (place !== null) {
+                const badge = document.createElement('span');
+                badge.className = 'place-badge';
+                badge.textContent = `#${place}`;
+                badge.title = `Finished in place ${place}`;
+                label.appendChild(badge);
+            }
+
+            if (gameState.hasResigned(triangleIndex)) {
+                const badge = document.createElement('span');
+                badge.className = 'resigned-badge';
+                badge.textContent = 'Resigned';
+                label.appendChild(badge);
+            } else if (this.leaveSeatDialog && place === null) {
+                const leaveButton = document.createElement('button');
+                leaveButton.textContent = 'Leave';
+                leaveButton.title = `Resign ${name}, or hand the seat to a bot`;
+                leaveButton.disabled = !this.gameMode.canResign(triangleIndex);
+                leaveButton.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.leaveSeatDialog.show(triangleIndex);
+                });
+                label.appendChild(leaveButton);
+            }
+            container.appendChild(label);
+        });
+        this.updateClocks();
     }
 
     /**
@@ -93,15 +794,23 @@ class Application {
     }
 
     /**
-     * Change the player count
-     * @param {number} count - Number of players (2-6)
+     * Start a new game as set up, remembering the setup for the next one.
+     * A setup with remote seats is hosted online (see GameSetup.getHostSeat).
+     * @param {Object} setup - The setup (see GameSetup.js)
      */
-    setPlayerCount(count) {
-        this.gameMode.setPlayerCount(count);
+    startGame(setup) {
+        GameStorage.saveSetup(setup);
+        GameSetup.apply(this.gameMode, setup);
         this.renderer.setAnimationContext(
             this.gameMode.getGameState(),
             this.playerController
         );
+        this.syncGameControls();
+
+        const hostSeat = GameSetup.getHostSeat(setup);
+        if (hostSeat !== null && this.onlinePanel) {
+            this.onlinePanel.create(hostSeat);
+        }
     }
 
     /**
@@ -1,5 +1,4 @@
 import { Actor } from './Actor.js';
-import { PlayerConfig } from '../core/config.js';
 
 // ============================================================================
 // BoardCell - Represents a board position (hole)
@@ -69,17 +68,6 @@ export class BoardCell extends Actor {
         return piece;
     }
 
-    /**
-     * Get the wood tint color for this cell (if it's a home cell)
-     * @returns {string|null}
-     */
-    getWoodTint() {
-        if (this.homeIndex === -1) {
-            return null;
-        }
-        return PlayerConfig.getTriangleWoodTint(this.homeIndex);
-    }
-
     /**
      * Get data needed for rendering this cell
      * @returns {Object}
@@ -88,7 +76,6 @@ export class BoardCell extends Actor {
         return {
             ...super.getDrawData(),
             homeIndex: this.homeIndex,
-            woodTint: this.getWoodTint(),
             hasPiece: this.hasPiece()
         };
     }
@@ -1,5 +1,4 @@
 import { Actor } from './Actor.js';
-import { PlayerConfig } from '../core/config.js';
 
 // ============================================================================
 // Piece - Represents a game piece (marble)
@@ -9,10 +8,13 @@ export class Piece extends Actor {
      * Create a new piece
      * @param {HexPosition} position - The hex position of this piece
      * @param {number} ownerPlayerIndex - The index of the owning player (0-5)
+     * @param {number} [armyIndex] - Home triangle of the piece's army (0-5), if
+     *     the owner has more than one army (see GameConfig.getArmies)
      */
-    constructor(position, ownerPlayerIndex) {
+    constructor(position, ownerPlayerIndex, armyIndex = ownerPlayerIndex) {
         super(position);
         this.ownerPlayerIndex = ownerPlayerIndex;
+        this.armyIndex = armyIndex;
         this.isSelected = false;
     }
 
@@ -25,19 +27,11 @@ export class Piece extends Actor {
     }
 
     /**
-     * Get the color for this piece
-     * @returns {string}
-     */
-    getColor() {
-        return PlayerConfig.getTriangleColor(this.ownerPlayerIndex);
-    }
-
-    /**
-     * Get the color name for this piece
-     * @returns {string}
+     * Get the home triangle of this piece's army, which decides its colour and goal
+     * @returns {number}
      */
-    getColorName() {
-        return PlayerConfig.getTriangleColorName(this.ownerPlayerIndex);
+    getArmyIndex() {
+        return this.armyIndex;
     }
 
     /**
@@ -71,8 +65,7 @@ export class Piece extends Actor {
         return {
             ...super.getDrawData(),
             ownerPlayerIndex: this.ownerPlayerIndex,
-            color: this.getColor(),
-            colorName: this.getColorName(),
+            armyIndex: this.armyIndex,
             isSelected: this.isSelected
         };
     }
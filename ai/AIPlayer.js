@@ -0,0 +1,215 @@
+import { HexPosition } from '../core/hexUtils.js';
+import { AIDifficulty } from '../core/types.js';
+import { Evaluation } from './Evaluation.js';
+import { SearchEngine } from './SearchEngine.js';
+
+// ============================================================================
+// AIPlayer - Heuristic computer opponent
+// ============================================================================
+export class AIPlayer {
+    /**
+     * Create a new AI player
+     * @param {string} difficulty - An AIDifficulty value
+     * @param {Function} [random] - Random source returning a number in [0, 1)
+     */
+    constructor(difficulty = AIDifficulty.Medium, random = Math.random) {
+        this.difficulty = difficulty;
+        this.random = random;
+        this.searchTimeMs = 800; // Thinking time for Expert
+        this.onInfo = null; // Optional progress callback for Expert, receives search results
+    }
+
+    // ========================================================================
+    // Move Selection
+    // ========================================================================
+
+    /**
+     * Choose a move for a player
+     * @param {GameState} gameState - The current game state (left unchanged)
+     * @param {MoveCalculator} moveCalculator - Move generator for the game state
+     * @param {PlayerState} playerState - The player to move
+     * @returns {{ fromPos: HexPosition, move: Object }|null} null if no move is possible
+     */
+    chooseMove(gameState, moveCalculator, playerState) {
+        // A finished player assisting a partner plays for the partner; the
+        // search only plays a player's own pieces, so Expert plays as Hard then
+        let difficulty = this.difficulty;
+        const controlled = gameState.getControlledTriangles(playerState.homeTriangleIndex);
+        if (controlled.length > 0 && controlled[0] !== playerState.homeTriangleIndex) {
+            playerState = gameState.players.find(p => p.homeTriangleIndex === controlled[0]);
+            if (difficulty === AIDifficulty.Expert) {
+                difficulty = AIDifficulty.Hard;
+            }
+        }
+
+        const candidates = this.getCandidateMoves(moveCalculator, playerState);
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        // Each piece heads for the goal tip of its army
+        const targetOf = Evaluation.getTargetFinder(gameState, playerState);
+
+        switch (difficulty) {
+            case AIDifficulty.Expert:
+                return this._chooseExpert(candidates, gameState);
+            case AIDifficulty.Easy:
+                return this._chooseEasy(candidates, targetOf);
+            case AIDifficulty.Hard:
+                return this._chooseHard(candidates, targetOf, gameState, moveCalculator, playerState);
+            case AIDifficulty.Medium:
+            default:
+                return this._chooseMedium(candidates, targetOf);
+        }
+    }
+
+    /**
+     * List every move available to a player
+     * @param {MoveCalculator} moveCalculator - Move generator
+     * @param {PlayerState} playerState - The player to move
+     * @returns {Array<{ fromPos: HexPosition, move: Object }>}
+     */
+    getCandidateMoves(moveCalculator, playerState) {
+        const candidates = [];
+        playerState.piecePositions.forEach(key => {
+            const fromPos = HexPosition.fromKey(key);
+            moveCalculator.findValidMoves(fromPos).forEach(move => {
+                candidates.push({ fromPos, move });
+            });
+        });
+        return candidates;
+    }
+
+    // ========================================================================
+    // Difficulty Levels
+    // ========================================================================
+
+    /**
+     * Easy: mostly forward moves, picked at random
+     * @private
+     */
+    _chooseEasy(candidates, targetOf) {
+        if (this.random() < 0.3) {
+            return this._pickRandom(candidates);
+        }
+
+        const forward = candidates.filter(c => this._progress(c.fromPos, c.move.targetPos, targetOf) > 0);
+        return this._pickRandom(forward.length > 0 ? forward : candidates);
+    }
+
+    /**
+     * Medium: greedy on distance gained, with a little noise
+     * @private
+     */
+    _chooseMedium(candidates, targetOf) {
+        return this._pickBest(candidates, candidate =>
+            this._scoreMove(candidate.fromPos, candidate.move.targetPos, targetOf) + this.random() * 2
+        );
+    }
+
+    /**
+     * Hard: greedy with a look-ahead at our own best follow-up move
+     * @private
+     */
+    _chooseHard(candidates, targetOf, gameState, moveCalculator, playerState) {
+        return this._pickBest(candidates, candidate => {
+            const fromPos = candidate.fromPos;
+            const toPos = candidate.move.targetPos;
+            const followUp = this._withMoveApplied(gameState, fromPos, toPos, () =>
+                this._bestFollowUpProgress(moveCalculator, playerState, fromPos, toPos, targetOf)
+            );
+            return this._scoreMove(fromPos, toPos, targetOf) + followUp * 8 + this.random() * 0.5;
+        });
+    }
+
+    /**
+     * Expert: multi-player game tree search
+     * @private
+     */
+    _chooseExpert(candidates, gameState) {
+        const result = new SearchEngine().search(gameState, {
+            timeMs: this.searchTimeMs,
+            onInfo: this.onInfo
+        });
+        return result.move || candidates[0];
+    }
+
+    // ========================================================================
+    // Scoring Helpers
+    // ========================================================================
+
+    /**
+     * Distance towards the piece's goal tip gained by a move (the piece is on fromPos)
+     * @private
+     */
+    _progress(fromPos, toPos, targetOf) {
+        const target = targetOf(fromPos);
+        return fromPos.distanceTo(target) - toPos.distanceTo(target);
+    }
+
+    /**
+     * Score a single move: progress first, then prefer moving stragglers
+     * @private
+     */
+    _scoreMove(fromPos, toPos, targetOf) {
+        return this._progress(fromPos, toPos, targetOf) * 10 + fromPos.distanceTo(targetOf(fromPos));
+    }
+
+    /**
+     * Best progress available on the next turn, assuming the board has
+     * already been updated with the move fromPos -> toPos
+     * @private
+     */
+    _bestFollowUpProgress(moveCalculator, playerState, fromPos, toPos, targetOf) {
+        let best = 0;
+        playerState.piecePositions.forEach(key => {
+            const pos = key === fromPos.key ? toPos : HexPosition.fromKey(key);
+            moveCalculator.findValidMoves(pos).forEach(move => {
+                best = Math.max(best, this._progress(pos, move.targetPos, targetOf));
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Temporarily move a piece, run a callback, then put the piece back
+     * @private
+     */
+    _withMoveApplied(gameState, fromPos, toPos, callback) {
+        const fromCell = gameState.getBoardCell(fromPos);
+        const toCell = gameState.getBoardCell(toPos);
+        const piece = fromCell.removePiece();
+        toCell.setPiece(piece);
+        try {
+            return callback();
+        } finally {
+            toCell.removePiece();
+            fromCell.setPiece(piece);
+        }
+    }
+
+    /**
+     * Pick the highest-scoring candidate
+     * @private
+     */
+    _pickBest(candidates, scoreFn) {
+        let best = null;
+        let bestScore = -Infinity;
+        candidates.forEach(candidate => {
+            const score = scoreFn(candidate);
+            if (score > bestScore) {
+                bestScore = score;
+                best = candidate;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Pick a uniformly random candidate
+     * @private
+     */
+    _pickRandom(candidates) {
+        return candidates[Math.floor(this.random() * candidates.length)];
+    }
+}
@@ -0,0 +1,198 @@
+import { EngineMessage, deserializeMove } from './EngineProtocol.js';
+import { runSearch } from './runSearch.js';
+
+// ============================================================================
+// SearchCancelledError - Rejection reason for cancelled searches
+// ============================================================================
+export class SearchCancelledError extends Error {
+    constructor() {
+        super('Search cancelled');
+        this.name = 'SearchCancelledError';
+    }
+}
+
+// ============================================================================
+// EngineHost - Runs AI searches in a Web Worker
+// ============================================================================
+// Keeps the canvas responsive while a bot thinks. When workers are not
+// available (or the worker fails to load) searches run in the page instead,
+// after yielding once so a "thinking" state can be drawn first.
+export class EngineHost {
+    /**
+     * Create a new engine host
+     * @param {URL|string} [workerUrl] - URL of the engine worker module
+     */
+    constructor(workerUrl = new URL('./engineWorker.js', import.meta.url)) {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.workerFailed = typeof Worker === 'undefined';
+
+        // The single in-flight request: { id, message, resolve, reject, onInfo }
+        this.pending = null;
+        this.nextId = 1;
+    }
+
+    // ========================================================================
+    // Public API
+    // ========================================================================
+
+    /**
+     * Ask the engine for a move for the player to move
+     * Any search already running is cancelled first.
+     * @param {GameState} gameState - The position to search (not modified)
+     * @param {Object} options
+     * @param {string} options.difficulty - An AIDifficulty value
+     * @param {number} [options.timeMs] - Time budget for search-based levels
+     * @param {Function} [options.onInfo] - Receives progress { depth, score, nodes, timeMs, pv }
+     * @returns {Promise<{ fromPos: HexPosition, move: Object }|null>} Resolves with the chosen
+     *     move (null if there is none); rejects with SearchCancelledError if cancelled
+     */
+    search(gameState, options) {
+        this.cancel();
+
+        const message = {
+            type: EngineMessage.Search,
+            id: this.nextId++,
+            position: gameState.toPosition(),
+            moves: gameState.history.getPlayedMoves().map(({ from, to, playerIndex }) => ({ from, to, playerIndex })),
+            difficulty: options.difficulty,
+            timeMs: options.timeMs
+        };
+
+        return new Promise((resolve, reject) => {
+            this.pending = { id: message.id, message, resolve, reject, onInfo: options.onInfo };
+            this._dispatch(message);
+        });
+    }
+
+    /**
+     * Cancel the running search, if any
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        const pending = this.pending;
+        this.pending = null;
+
+        // A busy worker cannot be interrupted, so replace it
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        pending.reject(new SearchCancelledError());
+    }
+
+    /**
+     * Check if a search is running
+     * @returns {boolean}
+     */
+    isSearching() {
+        return this.pending !== null;
+    }
+
+    /**
+     * Stop the worker and release resources
+     */
+    dispose() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    // ========================================================================
+    // Dispatch
+    // ========================================================================
+
+    /**
+     * Send a request to the worker, or run it in the page as a fallback
+     * @private
+     */
+    _dispatch(message) {
+        const worker = this._getWorker();
+        if (worker) {
+            worker.postMessage(message);
+            return;
+        }
+
+        setTimeout(() => {
+            if (this.pending && this.pending.id === message.id) {
+                runSearch(message, reply => this._handleReply(reply));
+            }
+        }, 0);
+    }
+
+    /**
+     * Get the worker, starting it on first use
+     * @private
+     * @returns {Worker|null} null if workers cannot be used
+     */
+    _getWorker() {
+        if (this.workerFailed) return null;
+        if (this.worker) return this.worker;
+
+        try {
+            this.worker = new Worker(this.workerUrl, { type: 'module' });
+        } catch (error) {
+            console.warn('Engine worker unavailable, searching on the main thread:', error);
+            this.workerFailed = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', (event) => this._handleReply(event.data));
+        this.worker.addEventListener('error', (event) => this._handleWorkerError(event));
+        return this.worker;
+    }
+
+    /**
+     * The worker failed to load or crashed: fall back to the main thread
+     * @private
+     */
+    _handleWorkerError(event) {
+        console.warn('Engine worker error, searching on the main thread:', event.message);
+        event.preventDefault();
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.workerFailed = true;
+
+        if (this.pending) {
+            this._dispatch(this.pending.message);
+        }
+    }
+
+    /**
+     * Handle a reply from the engine
+     * @private
+     */
+    _handleReply(reply) {
+        const pending = this.pending;
+        if (!pending || reply.id !== pending.id) return; // Stale reply
+
+        switch (reply.type) {
+            case EngineMessage.Info:
+                if (pending.onInfo) {
+                    pending.onInfo({
+                        depth: reply.depth,
+                        score: reply.score,
+                        nodes: reply.nodes,
+                        timeMs: reply.timeMs,
+                        pv: reply.pv.map(deserializeMove)
+                    });
+                }
+                break;
+            case EngineMessage.BestMove:
+                this.pending = null;
+                pending.resolve(deserializeMove(reply.move));
+                break;
+            case EngineMessage.Error:
+                this.pending = null;
+                pending.reject(new Error(reply.message));
+                break;
+        }
+    }
+}
@@ -0,0 +1,60 @@
+import { HexPosition } from '../core/hexUtils.js';
+
+// ============================================================================
+// Engine Message Types
+// ============================================================================
+// Messages exchanged between EngineHost (page) and engineWorker.js:
+//
+// Host -> worker
+//     { type: 'search', id, position, moves, difficulty, timeMs }
+//         position is a GameState position snapshot (GameState.toPosition)
+//         moves lists the moves played to reach it, as { from, to, playerIndex }
+//         (see MoveHistory), so the stay limit counts stays as the game does
+//
+// Worker -> host
+//     { type: 'info', id, depth, score, nodes, timeMs, pv }   Progress (search AIs only)
+//     { type: 'bestMove', id, move, pv }                      Final answer (move may be null)
+//     { type: 'error', id, message }                          Search failed
+//
+// Moves travel as serialized moves (see serializeMove). Searches are
+// cancelled by terminating the worker: a running search never yields, so
+// it could not read a cancel message anyway. The id lets the host drop
+// replies that belong to an earlier request.
+export const EngineMessage = Object.freeze({
+    Search: 'search',
+    Info: 'info',
+    BestMove: 'bestMove',
+    Error: 'error'
+});
+
+/**
+ * Convert a { fromPos, move } choice into a plain object
+ * @param {{ fromPos: HexPosition, move: Object }|null} choice
+ * @returns {{ from: string, to: string, type: string, jumpPath: string[] }|null}
+ */
+export function serializeMove(choice) {
+    if (!choice) return null;
+    return {
+        from: choice.fromPos.key,
+        to: choice.move.targetPos.key,
+        type: choice.move.type,
+        jumpPath: choice.move.jumpPath.map(pos => pos.key)
+    };
+}
+
+/**
+ * Convert a serialized move back into a { fromPos, move } choice
+ * @param {{ from: string, to: string, type: string, jumpPath: string[] }|null} data
+ * @returns {{ fromPos: HexPosition, move: Object }|null}
+ */
+export function deserializeMove(data) {
+    if (!data) return null;
+    return {
+        fromPos: HexPosition.fromKey(data.from),
+        move: {
+            targetPos: HexPosition.fromKey(data.to),
+            type: data.type,
+            jumpPath: data.jumpPath.map(key => HexPosition.fromKey(key))
+        }
+    };
+}
@@ -0,0 +1,59 @@
+import { HexPosition } from '../core/hexUtils.js';
+import { GameConfig } from '../core/config.js';
+
+// ============================================================================
+// Evaluation - Position scoring functions for the AI
+// ============================================================================
+// An evaluation function has the signature (gameState, playerState) => number
+// and returns a score from that player's point of view (higher is better).
+// Any function with that signature can be passed to SearchEngine.
+export const Evaluation = {
+    /**
+     * Get the cell an army's pieces are steered towards: the tip of its goal triangle
+     * @param {GameState} gameState - The game state
+     * @param {number} armyIndex - The army's home triangle index
+     * @returns {HexPosition}
+     */
+    getGoalTarget(gameState, armyIndex) {
+        const origin = new HexPosition(0, 0);
+        const goalTriangle = gameState.getTrianglePositions(GameConfig.getGoalTriangleIndex(armyIndex));
+        return goalTriangle.reduce((tip, pos) =>
+            pos.distanceTo(origin) > tip.distanceTo(origin) ? pos : tip
+        );
+    },
+
+    /**
+     * Get a function giving the target of the player's piece on a cell, the
+     * goal tip of the piece's army (players may have several armies)
+     * @param {GameState} gameState - The game state
+     * @param {PlayerState} playerState - The player
+     * @returns {function(HexPosition): HexPosition}
+     */
+    getTargetFinder(gameState, playerState) {
+        const targets = new Map(playerState.armies.map(army => [army, Evaluation.getGoalTarget(gameState, army)]));
+        const homeTarget = targets.get(playerState.homeTriangleIndex);
+        if (targets.size === 1) return () => homeTarget;
+
+        return (pos) => {
+            const piece = gameState.getPieceAt(pos);
+            return (piece && targets.get(piece.getArmyIndex())) || homeTarget;
+        };
+    },
+
+    /**
+     * Summed hex distance of a player's pieces to their goal tips, negated
+     * Full goal triangles give the best possible score
+     * @param {GameState} gameState - The game state
+     * @param {PlayerState} playerState - The player to score
+     * @returns {number}
+     */
+    goalDistance(gameState, playerState) {
+        const targetOf = Evaluation.getTargetFinder(gameState, playerState);
+        let total = 0;
+        playerState.piecePositions.forEach(key => {
+            const pos = HexPosition.fromKey(key);
+            total += pos.distanceTo(targetOf(pos));
+        });
+        return -total;
+    }
+};
@@ -0,0 +1,356 @@
+import { HexPosition } from '../core/hexUtils.js';
+import { MoveCalculator } from '../game/MoveCalculator.js';
+import { Evaluation } from './Evaluation.js';
+
+// ============================================================================
+// Search Algorithm Enum
+// ============================================================================
+export const SearchAlgorithm = Object.freeze({
+    MaxN: 'MaxN',          // Every player maximizes their own score
+    Paranoid: 'Paranoid'   // Everyone else minimizes the searching player's score
+});
+
+// Score for a finished game, reduced by ply so faster wins are preferred
+const WIN_SCORE = 100000;
+
+// Thrown internally when the time budget runs out mid-iteration
+const SEARCH_TIMEOUT = Symbol('SearchTimeout');
+
+// ============================================================================
+// SearchEngine - Multi-player game tree search
+// ============================================================================
+// Headless: works on a private copy of the GameState it is given and never
+// touches the DOM, so it can run from the UI, from scripts or from a worker.
+//
+// Search results have the shape:
+// {
+//     move: { fromPos, move } | null,  // Best move (move is a MoveInfo)
+//     pv: Array<{ fromPos, move }>,    // Principal variation, starting with move
+//     score: number,                   // Score of the PV for the searching player
+//     depth: number,                   // Last fully searched depth
+//     nodes: number,                   // Positions visited
+//     timeMs: number                   // Time spent searching
+// }
+export class SearchEngine {
+    /**
+     * Create a new search engine
+     * @param {Object} [options]
+     * @param {string} [options.algorithm] - A SearchAlgorithm value (default Paranoid)
+     * @param {Function} [options.evaluate] - Evaluation function (gameState, playerState) => number
+     * @param {number} [options.maxDepth] - Deepest iteration to attempt
+     * @param {number} [options.beamWidth] - Moves searched per node below the root (best-ordered first)
+     */
+    constructor(options = {}) {
+        this.algorithm = options.algorithm || SearchAlgorithm.Paranoid;
+        this.evaluate = options.evaluate || Evaluation.goalDistance;
+        this.maxDepth = options.maxDepth || 12;
+        this.beamWidth = options.beamWidth || 10;
+
+        // Per-search state
+        this._deadline = Infinity;
+        this._nodes = 0;
+        this._moveCalculator = null;
+    }
+
+    // ========================================================================
+    // Public API
+    // ========================================================================
+
+    /**
+     * Search for the best move for the player to move
+     * @param {GameState} gameState - The position to search (not modified)
+     * @param {Object} [options]
+     * @param {number} [options.timeMs] - Time budget in milliseconds (default 1000)
+     * @param {number} [options.maxDepth] - Override the engine's maximum depth
+     * @param {Function} [options.onInfo] - Called with a result object after each completed depth
+     * @returns {Object} Search result (see class comment)
+     */
+    search(gameState, options = {}) {
+        const timeMs = options.timeMs !== undefined ? options.timeMs : 1000;
+        const maxDepth = options.maxDepth || this.maxDepth;
+        const startTime = Date.now();
+
+        const state = gameState.clone();
+        this._moveCalculator = new MoveCalculator(state);
+        this._deadline = startTime + timeMs;
+        this._nodes = 0;
+
+        const rootPlayer = state.getCurrentPlayer();
+        const rootMoves = this._generateMoves(state, rootPlayer);
+        let result = { move: rootMoves[0] || null, pv: [], score: 0, depth: 0, nodes: 0, timeMs: 0 };
+
+        if (rootMoves.length <= 1) {
+            result.pv = rootMoves.slice(0, 1);
+            return result;
+        }
+
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            let iteration;
+            try {
+                iteration = this._searchRoot(state, rootMoves, depth, depth > 1);
+            } catch (error) {
+                if (error === SEARCH_TIMEOUT) break;
+                throw error;
+            }
+
+            result = {
+                move: iteration.pv[0],
+                pv: iteration.pv,
+                score: iteration.score,
+                depth,
+                nodes: this._nodes,
+                timeMs: Date.now() - startTime
+            };
+
+            if (options.onInfo) {
+                options.onInfo(result);
+            }
+
+            // Search the previous best move first next iteration
+            rootMoves.splice(rootMoves.indexOf(iteration.pv[0]), 1);
+            rootMoves.unshift(iteration.pv[0]);
+
+            if (Math.abs(iteration.score) >= WIN_SCORE - maxDepth || Date.now() >= this._deadline) {
+                break;
+            }
+        }
+
+        result.nodes = this._nodes;
+        result.timeMs = Date.now() - startTime;
+        return result;
+    }
+
+    // ========================================================================
+    // Root Search
+    // ========================================================================
+
+    /**
+     * Search every root move to a fixed depth
+     * @private
+     */
+    _searchRoot(state, rootMoves, depth, canTimeOut) {
+        const rootIndex = state.players.indexOf(state.getCurrentPlayer());
+        let best = null;
+        let alpha = -Infinity;
+
+        for (const candidate of rootMoves) {
+            const child = this._searchChild(state, candidate, depth, 1, rootIndex, alpha, Infinity, canTimeOut);
+            const score = this.algorithm === SearchAlgorithm.MaxN ? child.scores[rootIndex] : child.score;
+
+            if (!best || score > best.score) {
+                best = { score, pv: [candidate, ...child.pv] };
+                alpha = Math.max(alpha, score);
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Play a move, search the resulting position, and take the move back
+     * @private
+     */
+    _searchChild(state, candidate, depth, ply, rootIndex, alpha, beta, canTimeOut) {
+        const mover = state.getCurrentPlayer();
+        const turnIndex = state.turnIndex;
+
+        this._makeMove(state, candidate);
+        let child;
+        if (mover.hasWon(state)) {
+            child = this._terminalResult(state, mover, ply, rootIndex);
+        } else if (this.algorithm === SearchAlgorithm.MaxN) {
+            child = this._maxN(state, depth - 1, ply, canTimeOut);
+        } else {
+            child = this._paranoid(state, depth - 1, ply, rootIndex, alpha, beta, canTimeOut);
+        }
+        this._unmakeMove(state, candidate, turnIndex);
+
+        return child;
+    }
+
+    // ========================================================================
+    // Max-n
+    // ========================================================================
+
+    /**
+     * Max-n: the player to move picks the child maximizing their own score
+     * @private
+     * @returns {{ scores: number[], pv: Array }}
+     */
+    _maxN(state, depth, ply, canTimeOut) {
+        this._visitNode(canTimeOut);
+
+        if (depth === 0) {
+            return { scores: this._evaluateAll(state), pv: [] };
+        }
+
+        const player = state.getCurrentPlayer();
+        const playerIndex = state.players.indexOf(player);
+        const moves = this._generateMoves(state, player).slice(0, this.beamWidth);
+
+        if (moves.length === 0) {
+            return this._passTurn(state, () => this._maxN(state, depth - 1, ply + 1, canTimeOut));
+        }
+
+        let best = null;
+        for (const candidate of moves) {
+            const child = this._searchChild(state, candidate, depth, ply + 1, playerIndex, -Infinity, Infinity, canTimeOut);
+            if (!best || child.scores[playerIndex] > best.scores[playerIndex]) {
+                best = { scores: child.scores, pv: [candidate, ...child.pv] };
+            }
+        }
+        return best;
+    }
+
+    // ========================================================================
+    // Paranoid
+    // ========================================================================
+
+    /**
+     * Paranoid alpha-beta: the root player maximizes, all others minimize
+     * @private
+     * @returns {{ score: number, pv: Array }}
+     */
+    _paranoid(state, depth, ply, rootIndex, alpha, beta, canTimeOut) {
+        this._visitNode(canTimeOut);
+
+        if (depth === 0) {
+            return { score: this._paranoidScore(this._evaluateAll(state), rootIndex), pv: [] };
+        }
+
+        const player = state.getCurrentPlayer();
+        const maximizing = state.players.indexOf(player) === rootIndex;
+        const moves = this._generateMoves(state, player).slice(0, this.beamWidth);
+
+        if (moves.length === 0) {
+            return this._passTurn(state, () =>
+                this._paranoid(state, depth - 1, ply + 1, rootIndex, alpha, beta, canTimeOut)
+            );
+        }
+
+        let best = null;
+        for (const candidate of moves) {
+            const child = this._searchChild(state, candidate, depth, ply + 1, rootIndex, alpha, beta, canTimeOut);
+
+            if (maximizing) {
+                if (!best || child.score > best.score) {
+                    best = { score: child.score, pv: [candidate, ...child.pv] };
+                }
+                alpha = Math.max(alpha, child.score);
+            } else {
+                if (!best || child.score < best.score) {
+                    best = { score: child.score, pv: [candidate, ...child.pv] };
+                }
+                beta = Math.min(beta, child.score);
+            }
+
+            if (alpha >= beta) break;
+        }
+        return best;
+    }
+
+    /**
+     * Collapse a score vector to the root player's advantage over the field
+     * @private
+     */
+    _paranoidScore(scores, rootIndex) {
+        if (scores.length < 2) return scores[rootIndex];
+
+        let others = 0;
+        scores.forEach((score, index) => {
+            if (index !== rootIndex) others += score;
+        });
+        return scores[rootIndex] - others / (scores.length - 1);
+    }
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Score vector for a position where `winner` has just finished
+     * @private
+     */
+    _terminalResult(state, winner, ply, rootIndex) {
+        const winnerIndex = state.players.indexOf(winner);
+        const scores = state.players.map((p, index) =>
+            index === winnerIndex ? WIN_SCORE - ply : -WIN_SCORE + ply
+        );
+        return {
+            scores,
+            score: winnerIndex === rootIndex ? WIN_SCORE - ply : -WIN_SCORE + ply,
+            pv: []
+        };
+    }
+
+    /**
+     * Evaluate the position for every player
+     * @private
+     */
+    _evaluateAll(state) {
+        return state.players.map(p => this.evaluate(state, p));
+    }
+
+    /**
+     * Generate all moves for a player, most goal progress first
+     * @private
+     * @returns {Array<{ fromPos: HexPosition, move: Object }>}
+     */
+    _generateMoves(state, player) {
+        const targetOf = Evaluation.getTargetFinder(state, player);
+        const moves = [];
+
+        player.piecePositions.forEach(key => {
+            const fromPos = HexPosition.fromKey(key);
+            const target = targetOf(fromPos);
+            const fromDistance = fromPos.distanceTo(target);
+            this._moveCalculator.findValidMoves(fromPos).forEach(move => {
+                moves.push({ fromPos, move, progress: fromDistance - move.targetPos.distanceTo(target) });
+            });
+        });
+
+        moves.sort((a, b) => b.progress - a.progress);
+        return moves.map(({ fromPos, move }) => ({ fromPos, move }));
+    }
+
+    /**
+     * Skip the current player's turn for a player with no legal move
+     * @private
+     */
+    _passTurn(state, searchFn) {
+        const turnIndex = state.turnIndex;
+        state.nextTurn();
+        const result = searchFn();
+        state.turnIndex = turnIndex;
+        return result;
+    }
+
+    /**
+     * Apply a move on the search copy and pass the turn
+     * @private
+     */
+    _makeMove(state, candidate) {
+        state.movePiece(candidate.fromPos, candidate.move.targetPos);
+        state.nextTurn();
+    }
+
+    /**
+     * Undo a move made with _makeMove
+     * @private
+     */
+    _unmakeMove(state, candidate, turnIndex) {
+        state.movePiece(candidate.move.targetPos, candidate.fromPos);
+        state.turnIndex = turnIndex;
+    }
+
+    /**
+     * Count a node and enforce the time budget
+     * @private
+     */
+    _visitNode(canTimeOut) {
+        this._nodes++;
+        if (canTimeOut && (this._nodes & 255) === 0 && Date.now() >= this._deadline) {
+            throw SEARCH_TIMEOUT;
+        }
+    }
+}
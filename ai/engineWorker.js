@@ -0,0 +1,14 @@
+import { EngineMessage } from './EngineProtocol.js';
+import { runSearch } from './runSearch.js';
+
+// ============================================================================
+// Engine Worker - Runs AI searches off the main thread
+// ============================================================================
+// Started by EngineHost as a module worker. See EngineProtocol.js for the
+// message format.
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message && message.type === EngineMessage.Search) {
+        runSearch(message, reply => self.postMessage(reply));
+    }
+});
@@ -0,0 +1,52 @@
+import { GameState } from '../game/GameState.js';
+import { MoveCalculator } from '../game/MoveCalculator.js';
+import { AIPlayer } from './AIPlayer.js';
+import { EngineMessage, serializeMove } from './EngineProtocol.js';
+
+/**
+ * Answer a search request: rebuild the position, let the AI pick a move and
+ * post info/bestMove/error replies. Used by the worker and by EngineHost's
+ * in-page fallback, so both speak exactly the same protocol.
+ * @param {Object} request - A 'search' message (see EngineProtocol.js)
+ * @param {Function} post - Receives each reply message
+ */
+export function runSearch(request, post) {
+    const { id } = request;
+
+    try {
+        const gameState = GameState.fromPosition(request.position);
+        if (request.moves) {
+            // Enough history for GoalRules to count foreign-goal stays
+            gameState.history.loadPlayed(request.moves);
+        }
+        const playerState = gameState.getCurrentPlayer();
+
+        const ai = new AIPlayer(request.difficulty);
+        if (request.timeMs) {
+            ai.searchTimeMs = request.timeMs;
+        }
+        let pv = [];
+        ai.onInfo = (info) => {
+            pv = info.pv.map(serializeMove);
+            post({
+                type: EngineMessage.Info,
+                id,
+                depth: info.depth,
+                score: info.score,
+                nodes: info.nodes,
+                timeMs: info.timeMs,
+                pv
+            });
+        };
+
+        const move = serializeMove(ai.chooseMove(gameState, new MoveCalculator(gameState), playerState));
+        if (!move) {
+            pv = [];
+        } else if (pv.length === 0 || pv[0].from !== move.from || pv[0].to !== move.to) {
+            pv = [move];
+        }
+        post({ type: EngineMessage.BestMove, id, move, pv });
+    } catch (error) {
+        post({ type: EngineMessage.Error, id, message: error.message });
+    }
+}
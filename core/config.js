@@ -1,117 +1,81 @@
 import { HexPosition } from './hexUtils.js';
+import { RuleSet, WinRule, TeamMode, Layout, ResignedPieces, TimeControl } from './types.js';
+
+// ============================================================================
+// Board Sizes
+// ============================================================================
+// The board size is the number of rows in each home triangle. A board of
+// size n has n * (n + 1) / 2 pieces per player and a centre hexagon of
+// radius n; 4 (10 pieces) is the standard board
+export const BOARD_SIZES = Object.freeze([3, 4, 5]);
+const DEFAULT_BOARD_SIZE = 4;
 
 // ============================================================================
 // Triangle Generator
 // ============================================================================
 export const TriangleGenerator = {
-    // Base triangle shape (10 cells in 1-2-3-4 formation)
-    // Defined relative to the 12 o'clock position
-    baseTriangle: [
-        new HexPosition(4, -8),                                              // Row 1: tip (1 cell)
-        new HexPosition(3, -7), new HexPosition(4, -7),                      // Row 2: 2 cells
-        new HexPosition(2, -6), new HexPosition(3, -6), new HexPosition(4, -6),  // Row 3: 3 cells
-        new HexPosition(1, -5), new HexPosition(2, -5), new HexPosition(3, -5), new HexPosition(4, -5)  // Row 4: base (4 cells)
-    ],
+    // Base triangle shape for a board size (rows 1, 2, ..., size cells)
+    // Defined relative to the 12 o'clock position: the tip is at (size, -2 * size)
+    // and the widest row borders the centre hexagon. Size 4 gives the standard
+    // 10 cells: (4,-8) / (3,-7) (4,-7) / ... / (1,-5) (2,-5) (3,-5) (4,-5)
+    generateBaseTriangle(size) {
+        const cells = [];
+        for (let row = 1; row <= size; row++) {
+            const r = row - 1 - 2 * size;
+            for (let q = size - row + 1; q <= size; q++) {
+                cells.push(new HexPosition(q, r));
+            }
+        }
+        return cells;
+    },
 
     // Generate a triangle rotated by N * 60° clockwise from the base
-    generateTriangle(rotationCount) {
+    generateTriangle(rotationCount, size = DEFAULT_BOARD_SIZE) {
         // rotateN rotates CCW, so we use (6 - n) % 6 to rotate CW instead
         const ccwRotation = (6 - rotationCount) % 6;
-        return this.baseTriangle.map(pos => pos.rotateN(ccwRotation));
+        return this.generateBaseTriangle(size).map(pos => pos.rotateN(ccwRotation));
     },
 
     // Generate all 6 triangles in clockwise order from 12 o'clock
     // Index 0: 12 o'clock, 1: 2 o'clock, 2: 4 o'clock, 3: 6 o'clock, 4: 8 o'clock, 5: 10 o'clock
-    generateAllTriangles() {
-        return [0, 1, 2, 3, 4, 5].map(rot => this.generateTriangle(rot));
+    generateAllTriangles(size = DEFAULT_BOARD_SIZE) {
+        return [0, 1, 2, 3, 4, 5].map(rot => this.generateTriangle(rot, size));
     }
 };
 
 // ============================================================================
 // Player Configuration
 // ============================================================================
-export const PlayerConfig = {
-    // Triangle configurations in clockwise order from 12 o'clock
-    // Each entry: { name, colorVar, woodTintVar }
-    // To rearrange colors, simply reorder this array
-    triangles: [
-        { name: 'Red',    colorVar: '--color-red',    woodTintVar: '--wood-tint-red' },    // 0: 12 o'clock
-        { name: 'Cream',  colorVar: '--color-white',  woodTintVar: '--wood-tint-white' },  // 1: 2 o'clock
-        { name: 'Green',  colorVar: '--color-green',  woodTintVar: '--wood-tint-green' },  // 2: 4 o'clock
-        { name: 'Blue',   colorVar: '--color-blue',   woodTintVar: '--wood-tint-blue' },   // 3: 6 o'clock
-        { name: 'Yellow', colorVar: '--color-yellow', woodTintVar: '--wood-tint-yellow' }, // 4: 8 o'clock
-        { name: 'Orange', colorVar: '--color-black',  woodTintVar: '--wood-tint-black' }   // 5: 10 o'clock
-    ],
-
-    // Cached resolved colors
-    _resolved: null,
-
-    // Resolve CSS variables to actual color values
-    _resolveColors() {
-        if (this._resolved) return;
-        const style = getComputedStyle(document.documentElement);
-        this._resolved = this.triangles.map(t => ({
-            name: t.name,
-            color: style.getPropertyValue(t.colorVar).trim(),
-            woodTint: style.getPropertyValue(t.woodTintVar).trim()
-        }));
-    },
+// Longest player name (see PlayerState.getDisplayName)
+export const MAX_NAME_LENGTH = 20;
+
+// The six colours, each: { name, colorVar, woodTintVar }, in the triangles'
+// standard order. The CSS variables are resolved by the renderer (see
+// rendering/Colors.js), so this module has no DOM access
+const COLORS = Object.freeze([
+    { name: 'Red',    colorVar: '--color-red',    woodTintVar: '--wood-tint-red' },    // 0: 12 o'clock
+    { name: 'Cream',  colorVar: '--color-white',  woodTintVar: '--wood-tint-white' },  // 1: 2 o'clock
+    { name: 'Green',  colorVar: '--color-green',  woodTintVar: '--wood-tint-green' },  // 2: 4 o'clock
+    { name: 'Blue',   colorVar: '--color-blue',   woodTintVar: '--wood-tint-blue' },   // 3: 6 o'clock
+    { name: 'Yellow', colorVar: '--color-yellow', woodTintVar: '--wood-tint-yellow' }, // 4: 8 o'clock
+    { name: 'Orange', colorVar: '--color-black',  woodTintVar: '--wood-tint-black' }   // 5: 10 o'clock
+]);
 
-    getTriangleColor(homeIndex) {
-        this._resolveColors();
-        return this._resolved[homeIndex].color;
-    },
-
-    getTriangleWoodTint(homeIndex) {
-        this._resolveColors();
-        return this._resolved[homeIndex].woodTint;
-    },
+export const PlayerConfig = {
+    colors: COLORS,
 
-    getTriangleColorName(homeIndex) {
-        return this.triangles[homeIndex].name;
+    // Each triangle's colour in a game is chosen with the game's options
+    // (see DEFAULT_GAME_OPTIONS.colors and GameState.getColorName)
+    getColor(colorName) {
+        return this.colors.find(c => c.name === colorName) || null;
     },
 
-    // Get full config for a triangle
-    getTriangleConfig(homeIndex) {
-        this._resolveColors();
-        return this._resolved[homeIndex];
-    }
-};
-
-// ============================================================================
-// Game Colors - loaded from CSS variables
-// ============================================================================
-export const GameColors = {
-    cached: null,
-
-    get() {
-        if (this.cached) return this.cached;
-
-        const style = getComputedStyle(document.documentElement);
-        this.cached = {
-            boardWoodBase: style.getPropertyValue('--board-wood-base').trim(),
-            boardBorderDark: style.getPropertyValue('--board-border-dark').trim(),
-            boardBorderDarker: style.getPropertyValue('--board-border-darker').trim(),
-            boardBackground: style.getPropertyValue('--board-background').trim(),
-            woodGrainColor: style.getPropertyValue('--wood-grain-color').trim(),
-            holeShadow: style.getPropertyValue('--hole-shadow').trim(),
-            holeLight: style.getPropertyValue('--hole-light').trim(),
-            holeMid: style.getPropertyValue('--hole-mid').trim(),
-            holeDark: style.getPropertyValue('--hole-dark').trim(),
-            holeRim: style.getPropertyValue('--hole-rim').trim(),
-            pieceShadow: style.getPropertyValue('--piece-shadow').trim(),
-            pieceHighlight: style.getPropertyValue('--piece-highlight').trim(),
-            selectionColor: style.getPropertyValue('--selection-color').trim(),
-            selectionGlow: style.getPropertyValue('--selection-glow').trim(),
-            moveIndicatorSimple: style.getPropertyValue('--move-indicator-simple').trim(),
-            moveIndicatorJump: style.getPropertyValue('--move-indicator-jump').trim(),
-            moveStrokeSimple: style.getPropertyValue('--move-stroke-simple').trim(),
-            moveStrokeJump: style.getPropertyValue('--move-stroke-jump').trim(),
-            panelBackground: style.getPropertyValue('--panel-background').trim(),
-            panelText: style.getPropertyValue('--panel-text').trim(),
-            panelBorderLight: style.getPropertyValue('--panel-border-light').trim()
-        };
-        return this.cached;
+    // Check a list of colour names gives each triangle, by triangle index,
+    // a different one of the six colours
+    isColorList(colorNames) {
+        return Array.isArray(colorNames) && colorNames.length === this.colors.length
+            && colorNames.every(name => this.getColor(name) !== null)
+            && new Set(colorNames).size === colorNames.length;
     }
 };
 
@@ -143,6 +107,65 @@ export const GameConfig = {
         }
     },
 
+    // Get the teams for the seated triangles, as arrays of triangle indices,
+    // or null if the team mode does not fit the seats (the game is then
+    // played without teams). Pairs need every seat's opposite seat taken;
+    // triples need all six seats
+    getTeams(triangleIndices, teamMode) {
+        const seated = [...triangleIndices].sort((a, b) => a - b);
+        switch (teamMode) {
+            case TeamMode.Pairs: {
+                if (seated.length < 4 || !seated.every(idx => seated.includes(this.getGoalTriangleIndex(idx)))) {
+                    return null;
+                }
+                return seated.filter(idx => idx < 3).map(idx => [idx, idx + 3]);
+            }
+            case TeamMode.Triples:
+                return seated.length === 6 ? [[0, 2, 4], [1, 3, 5]] : null;
+            case TeamMode.None:
+            default:
+                return null;
+        }
+    },
+
+    // Get the team modes that fit a player count
+    getTeamModes(playerCount) {
+        switch (playerCount) {
+            case 4:
+                return [TeamMode.None, TeamMode.Pairs];
+            case 6:
+                return [TeamMode.None, TeamMode.Pairs, TeamMode.Triples];
+            default:
+                return [TeamMode.None];
+        }
+    },
+
+    // Get the number of pieces each player has on a board size
+    getPiecesPerPlayer(boardSize) {
+        return boardSize * (boardSize + 1) / 2;
+    },
+
+    // Get the armies (home triangle indices) of each seated player, in seat
+    // order, or null if the layout does not fit the seats (the game is then
+    // played with one army each). A player's own triangle comes first; each
+    // army heads for the triangle opposite its own
+    getArmies(triangleIndices, layout) {
+        const offsets = {
+            [Layout.DoubleArmies]: [0, 1],   // Own triangle and the next clockwise
+            [Layout.TripleArmies]: [0, 1, 5] // Own triangle and both neighbours
+        }[layout] || [0];
+
+        const armies = triangleIndices.map(idx => offsets.map(offset => (idx + offset) % 6));
+        const all = armies.flat();
+        return new Set(all).size === all.length ? armies : null;
+    },
+
+    // Get the layouts that fit a player count
+    getLayouts(playerCount) {
+        const seated = this.getPlayerTriangleIndices(playerCount);
+        return Object.values(Layout).filter(layout => this.getArmies(seated, layout) !== null);
+    },
+
     // Get the opposite triangle index (goal triangle)
     getGoalTriangleIndex(homeIndex) {
         return (homeIndex + 3) % 6;
@@ -152,5 +175,37 @@ export const GameConfig = {
     getTurnOrder(playerIndices) {
         const clockwiseFrom6 = [3, 4, 5, 0, 1, 2];
         return clockwiseFrom6.filter(idx => playerIndices.includes(idx));
+    },
+
+    // Get each player's time at the start of a game, in ms by triangle
+    // index, or null for untimed games
+    getClockTimes(options, triangleIndices) {
+        if (!options.timeControl || options.timeControl === TimeControl.None) return null;
+
+        const times = {};
+        triangleIndices.forEach(idx => { times[idx] = options.clockSeconds * 1000; });
+        return times;
     }
 };
+
+// ============================================================================
+// Game Options
+// ============================================================================
+// Rules and colours chosen for a game. Stored in GameState.options, saved with the game
+// and kept across new games.
+export const DEFAULT_GAME_OPTIONS = Object.freeze({
+    ruleSet: RuleSet.LongRange,
+    layout: Layout.Standard, // Armies per player (see GameConfig.getArmies)
+    boardSize: DEFAULT_BOARD_SIZE, // Rows per home triangle (see BOARD_SIZES)
+    playOn: false, // Keep playing after the first player finishes, to rank everyone
+    winRule: WinRule.FullGoal,
+    foreignStayLimit: 0, // Turns a piece may stay in another player's goal (0 = no limit)
+    teamMode: TeamMode.None,
+    teamAssist: false, // Finished players move their unfinished partners' pieces
+    moveLimit: 0, // Moves after which the game is scored by distance to goal (0 = no limit)
+    resignedPieces: ResignedPieces.Removed, // What happens to a resigning player's pieces
+    timeControl: TimeControl.None, // How players' clocks run (see GameClock)
+    clockSeconds: 300, // Each player's time for the game, or for every move with TimeControl.PerMove
+    clockIncrement: 0, // Seconds added after every move with TimeControl.Increment
+    colors: Object.freeze(COLORS.map(c => c.name)) // Each triangle's colour name, by triangle index
+});
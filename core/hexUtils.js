@@ -32,6 +32,13 @@ export class HexPosition {
         return new HexPosition(this.q * factor, this.r * factor);
     }
 
+    // Hex distance (number of steps) to another HexPosition
+    distanceTo(other) {
+        const dq = this.q - other.q;
+        const dr = this.r - other.r;
+        return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    }
+
     // Rotate 60° counter-clockwise
     rotate60CCW() {
         return new HexPosition(-this.r, this.q + this.r);
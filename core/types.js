@@ -7,6 +7,106 @@ export const MatchPhase = Object.freeze({
     GameOver: 'GameOver'
 });
 
+// ============================================================================
+// Match Result Enum - How a match in the GameOver phase ended
+// ============================================================================
+export const MatchResult = Object.freeze({
+    Win: 'Win',                 // A player (or team) finished
+    Repetition: 'Repetition',   // Draw: the same position arose three times with the same player to move
+    MoveLimit: 'MoveLimit',     // The move limit was reached; unfinished players ranked by distance to goal
+    Agreement: 'Agreement',     // Draw agreed by every player still playing
+    Resignation: 'Resignation', // Every other player (or team) resigned
+    Timeout: 'Timeout'          // Every other player (or team) resigned or ran out of time, the last on time
+});
+
+// ============================================================================
+// Player Type Enum
+// ============================================================================
+export const PlayerType = Object.freeze({
+    Human: 'Human',
+    AI: 'AI'
+});
+
+// ============================================================================
+// Seat Type Enum - Who plays a seat, as chosen before play (see GameSetup)
+// ============================================================================
+export const SeatType = Object.freeze({
+    Human: 'Human',   // Played on this page
+    AI: 'AI',         // Played by a bot on this page
+    Remote: 'Remote'  // Played from another page, in an online game hosted by this one
+});
+
+// ============================================================================
+// AI Difficulty Enum
+// ============================================================================
+export const AIDifficulty = Object.freeze({
+    Easy: 'Easy',
+    Medium: 'Medium',
+    Hard: 'Hard',
+    Expert: 'Expert'
+});
+
+// ============================================================================
+// Rule Set Enum - How pieces may jump
+// ============================================================================
+export const RuleSet = Object.freeze({
+    Classic: 'Classic',         // Hop over an adjacent piece; chain hops
+    LongRange: 'LongRange',     // Jump a piece at any distance, landing as far beyond it; chain jumps
+    SingleJump: 'SingleJump'    // Classic hops, but only one hop per turn
+});
+
+// ============================================================================
+// Win Rule Enum - When a player counts as finished
+// ============================================================================
+export const WinRule = Object.freeze({
+    FullGoal: 'FullGoal',           // Every goal cell holds one of the player's pieces
+    OccupiedGoal: 'OccupiedGoal'    // Every goal cell is occupied, at least one by the player
+});
+
+// ============================================================================
+// Team Mode Enum - Which seats play as partners
+// ============================================================================
+export const TeamMode = Object.freeze({
+    None: 'None',       // Everyone plays for themselves
+    Pairs: 'Pairs',     // Opposite seats are partners (4 or 6 players)
+    Triples: 'Triples'  // Alternate seats form two teams of three (6 players)
+});
+
+// ============================================================================
+// Layout Enum - How many triangles (armies) each player starts with
+// ============================================================================
+export const Layout = Object.freeze({
+    Standard: 'Standard',           // One army per player
+    DoubleArmies: 'DoubleArmies',   // Each player also has the next triangle clockwise (2 or 3 players)
+    TripleArmies: 'TripleArmies'    // Each player has three adjacent triangles (2 players)
+});
+
+// ============================================================================
+// Resigned Pieces Enum - What happens to a resigning player's pieces
+// ============================================================================
+export const ResignedPieces = Object.freeze({
+    Removed: 'Removed', // Taken off the board
+    Frozen: 'Frozen'    // Left where they are, as obstacles nobody moves
+});
+
+// ============================================================================
+// Time Control Enum - How players' clocks run (see GameClock)
+// ============================================================================
+export const TimeControl = Object.freeze({
+    None: 'None',               // Untimed
+    SuddenDeath: 'SuddenDeath', // A fixed time for the whole game
+    Increment: 'Increment',     // A fixed time, plus a few seconds after every move (Fischer)
+    PerMove: 'PerMove'          // A fixed time for every move
+});
+
+// ============================================================================
+// History Entry Type Enum - What a MoveHistory entry records
+// ============================================================================
+export const HistoryEntryType = Object.freeze({
+    Move: 'Move',       // A piece moved (entries without a type are moves)
+    Resign: 'Resign'    // A player resigned
+});
+
 // ============================================================================
 // Move Info Structure
 // ============================================================================
@@ -0,0 +1,345 @@
+import { MatchPhase, Layout, EventEmitter } from '../core/types.js';
+import { GameConfig } from '../core/config.js';
+import { PlayerState } from './PlayerState.js';
+import { Piece } from '../actors/Piece.js';
+
+// ============================================================================
+// BoardEditor - Sets up custom positions to start play from
+// ============================================================================
+// The editor works on the game's own state, so the board is drawn as usual
+// while pieces are placed. Opening it locks the board for play and clears
+// the move history; cancelling restores the game as it was.
+//
+// A colour with pieces on the board is a player. A position can be started
+// once every player has a full set of pieces and the board agrees with each
+// player's piecePositions. Positions are set up with one army per player, so
+// opening the editor on a multi-army game makes each army its own player;
+// players who resigned are back in play if their pieces are still on the board.
+//
+// Emits 'editorChanged' on its own events when editing starts or stops and
+// after every edit.
+export class BoardEditor {
+    /**
+     * Create a new board editor
+     * @param {GameMode} gameMode - The game mode
+     */
+    constructor(gameMode) {
+        this.gameMode = gameMode;
+        this.events = new EventEmitter();
+        this.isActive = false;
+        this._savedGame = null; // Save data restored on cancel
+
+        // A new or loaded game ends editing
+        gameMode.getGameState().events.subscribe('stateReset', () => {
+            if (this.isActive) this._close();
+        });
+    }
+
+    // ========================================================================
+    // Opening and Closing
+    // ========================================================================
+
+    /**
+     * Start editing the current position
+     */
+    open() {
+        if (this.isActive || this.gameMode.online) return;
+
+        const gameState = this.gameMode.getGameState();
+        if (this.gameMode.playerController) {
+            this.gameMode.playerController.setInputLocked(true);
+        }
+
+        this._savedGame = gameState.toJSON();
+        this.isActive = true;
+
+        gameState.clearHistory();
+        gameState.finishOrder = [];
+        gameState.matchPhase = MatchPhase.WaitingToStart;
+        gameState.matchResult = null;
+        this.gameMode.updateClock();
+        this._splitArmies();
+        this._restoreResigned();
+        this._changed();
+    }
+
+    /**
+     * Stop editing and restore the game as it was before
+     */
+    cancel() {
+        if (!this.isActive) return;
+
+        const savedGame = this._savedGame;
+        this._close();
+        this.gameMode.loadGame(savedGame);
+    }
+
+    /**
+     * Start a new game from the edited position
+     * Nothing happens if the position has problems.
+     * @returns {string[]} The problems found (empty if the game started)
+     */
+    startGame() {
+        const problems = this.validate();
+        if (problems.length > 0) return problems;
+
+        const gameState = this.gameMode.getGameState();
+        const currentTriangle = gameState.currentPlayerIndex;
+        const triangleIndices = gameState.players.map(p => p.homeTriangleIndex);
+        const turnOrder = GameConfig.getTurnOrder(triangleIndices);
+
+        const position = {
+            ...gameState.toPosition(),
+            turnOrder,
+            turnIndex: Math.max(0, turnOrder.indexOf(currentTriangle)),
+            matchPhase: MatchPhase.InProgress,
+            clockTimes: null // Full clocks for the new game
+        };
+
+        this._close();
+        this.gameMode.loadPosition(position);
+        return [];
+    }
+
+    // ========================================================================
+    // Editing
+    // ========================================================================
+
+    /**
+     * Put a piece on a cell, replacing any piece already there
+     * @param {HexPosition} pos - The cell
+     * @param {number} triangleIndex - The piece's colour (home triangle index, 0-5)
+     */
+    placePiece(pos, triangleIndex) {
+        const gameState = this.gameMode.getGameState();
+        if (!this.isActive || !gameState.isPositionOnBoard(pos)) return;
+
+        this._takePiece(pos);
+        gameState.placePiece(pos, new Piece(pos, triangleIndex));
+        this._getOrAddPlayer(triangleIndex).addPiecePosition(pos.key);
+        this._changed();
+    }
+
+    /**
+     * Remove the piece on a cell, if any
+     * @param {HexPosition} pos - The cell
+     */
+    removePiece(pos) {
+        if (!this.isActive) return;
+
+        this._takePiece(pos);
+        this._removeEmptyPlayers();
+        this._changed();
+    }
+
+    /**
+     * Move a piece to another cell, replacing any piece there
+     * @param {HexPosition} fromPos - The piece's cell
+     * @param {HexPosition} toPos - The destination cell
+     */
+    movePiece(fromPos, toPos) {
+        const gameState = this.gameMode.getGameState();
+        if (!this.isActive || fromPos.equals(toPos) || !gameState.getPieceAt(fromPos)
+            || !gameState.isPositionOnBoard(toPos)) {
+            return;
+        }
+
+        this._takePiece(toPos);
+        gameState.movePiece(fromPos, toPos);
+        this._removeEmptyPlayers();
+        this._changed();
+    }
+
+    /**
+     * Remove every piece from the board
+     */
+    clearBoard() {
+        if (!this.isActive) return;
+
+        const gameState = this.gameMode.getGameState();
+        gameState.forEachCell(cell => cell.removePiece());
+        gameState.players = [];
+        gameState.turnOrder = [];
+        gameState.turnIndex = 0;
+        this._changed();
+    }
+
+    /**
+     * Choose which player moves first
+     * @param {number} triangleIndex - The player's home triangle index
+     */
+    setTurn(triangleIndex) {
+        const gameState = this.gameMode.getGameState();
+        const turnIndex = gameState.turnOrder.indexOf(triangleIndex);
+        if (!this.isActive || turnIndex < 0) return;
+
+        gameState.turnIndex = turnIndex;
+        this._changed();
+    }
+
+    // ========================================================================
+    // Validation
+    // ========================================================================
+
+    /**
+     * Check the edited position can be played
+     * @returns {string[]} Descriptions of the problems found (empty if none)
+     */
+    validate() {
+        const gameState = this.gameMode.getGameState();
+        const piecesPerPlayer = gameState.getPiecesPerPlayer();
+        const problems = [];
+
+        if (gameState.players.length < 2) {
+            problems.push('Place pieces for at least 2 colours');
+        }
+
+        // Every player's recorded pieces must be on the board in their colour...
+        const owners = new Map(); // key -> triangle index
+        gameState.players.forEach(player => {
+            const name = player.getDisplayName();
+            if (player.getPieceCount() !== piecesPerPlayer) {
+                problems.push(`${name} has ${player.getPieceCount()} pieces, needs ${piecesPerPlayer}`);
+            }
+
+            player.piecePositions.forEach(key => {
+                const piece = gameState.getBoardCellByKey(key) ? gameState.getBoardCellByKey(key).getPiece() : null;
+                if (owners.has(key)) {
+                    problems.push(`Two pieces on cell ${key}`);
+                } else if (!piece || !piece.belongsTo(player.homeTriangleIndex)) {
+                    problems.push(`${name} has no piece on cell ${key}`);
+                }
+                owners.set(key, player.homeTriangleIndex);
+            });
+        });
+
+        // ...and every piece on the board must belong to a player
+        gameState.forEachCell((cell, key) => {
+            if (cell.hasPiece() && owners.get(key) !== cell.getPiece().getOwnerPlayerIndex()) {
+                const colorName = gameState.getColorName(cell.getPiece().getOwnerPlayerIndex());
+                problems.push(`${colorName} piece on cell ${key} is not counted`);
+            }
+        });
+
+        return problems;
+    }
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Remove the piece on a cell and from its owner's positions
+     * @private
+     */
+    _takePiece(pos) {
+        const gameState = this.gameMode.getGameState();
+        const piece = gameState.removePieceAt(pos);
+        if (!piece) return;
+
+        const owner = gameState.players.find(p => p.homeTriangleIndex === piece.getOwnerPlayerIndex());
+        if (owner) {
+            owner.removePiecePosition(pos.key);
+        }
+    }
+
+    /**
+     * Get the player for a colour, adding one with the seat's settings if needed
+     * @private
+     */
+    _getOrAddPlayer(triangleIndex) {
+        const gameState = this.gameMode.getGameState();
+        let player = gameState.players.find(p => p.homeTriangleIndex === triangleIndex);
+        if (player) return player;
+
+        player = new PlayerState(gameState.players.length, triangleIndex, gameState.getColorName(triangleIndex));
+        const seat = this.gameMode.getSeatConfig(triangleIndex);
+        player.setController(seat.playerType, seat.aiDifficulty);
+        player.setName(seat.name);
+        gameState.players.push(player);
+        this._updateTurnOrder();
+        return player;
+    }
+
+    /**
+     * Give every army of a multi-army player its own player, and switch to
+     * the standard layout
+     * @private
+     */
+    _splitArmies() {
+        const gameState = this.gameMode.getGameState();
+        gameState.options = { ...gameState.options, layout: Layout.Standard };
+        if (!gameState.players.some(p => p.hasSeveralArmies())) return;
+
+        gameState.players = [];
+        gameState.forEachCell(cell => {
+            if (!cell.hasPiece()) return;
+            const pos = cell.getPosition();
+            const armyIndex = cell.getPiece().getArmyIndex();
+            gameState.placePiece(pos, new Piece(pos, armyIndex));
+            this._getOrAddPlayer(armyIndex).addPiecePosition(pos.key);
+        });
+    }
+
+    /**
+     * Bring resigned players back: those whose pieces were left on the board
+     * play again, and those with none are dropped
+     * @private
+     */
+    _restoreResigned() {
+        const gameState = this.gameMode.getGameState();
+        if (gameState.resigned.length === 0) return;
+
+        gameState.resigned = [];
+        gameState.players = gameState.players.filter(p => p.getPieceCount() > 0);
+        this._updateTurnOrder();
+    }
+
+    /**
+     * Drop players with no pieces left
+     * @private
+     */
+    _removeEmptyPlayers() {
+        const gameState = this.gameMode.getGameState();
+        if (gameState.players.every(p => p.getPieceCount() > 0)) return;
+
+        gameState.players = gameState.players.filter(p => p.getPieceCount() > 0);
+        this._updateTurnOrder();
+    }
+
+    /**
+     * Rebuild the turn order for the players, keeping the player to move
+     * @private
+     */
+    _updateTurnOrder() {
+        const gameState = this.gameMode.getGameState();
+        const current = gameState.currentPlayerIndex;
+
+        gameState.players.sort((a, b) => a.homeTriangleIndex - b.homeTriangleIndex);
+        gameState.players.forEach((p, index) => { p.playerIndex = index; });
+        gameState.turnOrder = GameConfig.getTurnOrder(gameState.players.map(p => p.homeTriangleIndex));
+        gameState.turnIndex = Math.max(0, gameState.turnOrder.indexOf(current));
+    }
+
+    /**
+     * Leave the editor and unlock the board
+     * @private
+     */
+    _close() {
+        this.isActive = false;
+        this._savedGame = null;
+        if (this.gameMode.playerController) {
+            this.gameMode.playerController.setInputLocked(false);
+        }
+        this.events.emit('editorChanged', { editor: this });
+    }
+
+    /**
+     * Redraw the board and notify listeners after an edit
+     * @private
+     */
+    _changed() {
+        this.gameMode.render();
+        this.events.emit('editorChanged', { editor: this });
+    }
+}
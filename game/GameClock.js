@@ -0,0 +1,158 @@
+import { TimeControl } from '../core/types.js';
+
+// ============================================================================
+// GameClock - Chess-style clocks for timed games
+// ============================================================================
+// Each player's time left at the start of their turn is part of the game
+// (gameState.clockTimes), so it is saved with it and restored by undo and
+// redo like the rest of the turn state. The clock itself only times the turn
+// in progress: GameMode starts and pauses it, and charges the time spent to
+// the player when their move is completed (see chargeMove):
+// - SuddenDeath: the time spent comes off the player's time
+// - Increment: as SuddenDeath, then options.clockIncrement seconds are added
+// - PerMove: the player has options.clockSeconds for every move
+// Time spent on the turn in progress is not saved. Turns the clock never ran
+// for (moves played from notation or a link) cost no time.
+export class GameClock {
+    /**
+     * Create a new game clock
+     * @param {GameState} gameState - The game state whose clock times are used
+     * @param {Function} onFlagFall - Called with the player's home triangle
+     *     index when the player to move runs out of time
+     * @param {Function} [now] - Returns the current time in ms
+     */
+    constructor(gameState, onFlagFall, now = () => Date.now()) {
+        this.gameState = gameState;
+        this.onFlagFall = onFlagFall;
+        this.now = now;
+
+        this._turnKey = null;   // Identifies the turn being timed (see _getTurnKey)
+        this._spent = 0;        // Ms spent on that turn, up to the last pause
+        this._startedAt = null; // When the clock last started, or null while paused
+        this._timer = null;     // Fires when the player to move runs out of time
+    }
+
+    /**
+     * Check if the game is timed
+     * @returns {boolean}
+     */
+    isTimed() {
+        return this.gameState.clockTimes !== null;
+    }
+
+    /**
+     * Check if the clock of the player to move is ticking
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this._startedAt !== null;
+    }
+
+    /**
+     * Start or resume the clock of the player to move. A new turn starts
+     * from no time spent; a paused turn carries on where it stopped.
+     */
+    start() {
+        if (!this.isTimed()) return;
+
+        const turnKey = this._getTurnKey();
+        if (this.isRunning() && turnKey === this._turnKey) return;
+
+        this.pause();
+        if (turnKey !== this._turnKey) {
+            this._turnKey = turnKey;
+            this._spent = 0;
+        }
+
+        const triangleIndex = this.gameState.currentPlayerIndex;
+        this._startedAt = this.now();
+        this._timer = setTimeout(() => {
+            this.pause();
+            this.onFlagFall(triangleIndex);
+        }, this.getRemaining(triangleIndex));
+    }
+
+    /**
+     * Stop the clock, keeping the time spent on the turn so far
+     */
+    pause() {
+        if (!this.isRunning()) return;
+
+        this._spent += this.now() - this._startedAt;
+        this._startedAt = null;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Stop the clock and forget the turn in progress (for new and loaded games)
+     */
+    reset() {
+        this.pause();
+        this._turnKey = null;
+        this._spent = 0;
+    }
+
+    /**
+     * Get a player's time left, counting the turn in progress
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {number|null} Ms left, or null if the game is untimed
+     */
+    getRemaining(triangleIndex) {
+        const times = this.gameState.clockTimes;
+        if (!times || times[triangleIndex] === undefined) return null;
+
+        const spent = this._isTimingTurnOf(triangleIndex) ? this._getSpent() : 0;
+        return Math.max(0, times[triangleIndex] - spent);
+    }
+
+    /**
+     * Charge the time spent on the turn to the player moving, as the time
+     * control says, and stop the clock. Call before the turn passes on.
+     * @param {number} triangleIndex - The player moving
+     */
+    chargeMove(triangleIndex) {
+        const isTimed = this._isTimingTurnOf(triangleIndex);
+        const spent = this._getSpent();
+        this.reset();
+
+        const times = this.gameState.clockTimes;
+        if (!times || !isTimed) return;
+
+        const { timeControl, clockSeconds, clockIncrement } = this.gameState.options;
+        let time = Math.max(0, times[triangleIndex] - spent);
+        if (timeControl === TimeControl.Increment) {
+            time += clockIncrement * 1000;
+        } else if (timeControl === TimeControl.PerMove) {
+            time = clockSeconds * 1000;
+        }
+
+        this.gameState.clockTimes = { ...times, [triangleIndex]: time };
+    }
+
+    /**
+     * Check if the clock is timing a player's turn
+     * @private
+     */
+    _isTimingTurnOf(triangleIndex) {
+        return triangleIndex === this.gameState.currentPlayerIndex && this._turnKey === this._getTurnKey();
+    }
+
+    /**
+     * Get the ms spent on the turn being timed, including since the last start
+     * @private
+     */
+    _getSpent() {
+        return this._spent + (this.isRunning() ? this.now() - this._startedAt : 0);
+    }
+
+    /**
+     * Identify the current turn: the player to move and the moves played.
+     * Resignations leave it alone, so another player resigning does not
+     * give the player to move their time back.
+     * @private
+     */
+    _getTurnKey() {
+        return `${this.gameState.currentPlayerIndex}:${this.gameState.history.getPlayedMoves().length}`;
+    }
+}
@@ -1,9 +1,20 @@
-import { MatchPhase } from '../core/types.js';
-import { GameConfig, TriangleGenerator } from '../core/config.js';
+import { MatchPhase, MatchResult, PlayerType, AIDifficulty, ResignedPieces, HistoryEntryType } from '../core/types.js';
+import { GameConfig, DEFAULT_GAME_OPTIONS } from '../core/config.js';
 import { GameState } from './GameState.js';
 import { PlayerState } from './PlayerState.js';
 import { Piece } from '../actors/Piece.js';
 import { MoveCalculator } from './MoveCalculator.js';
+import { GoalRules } from './GoalRules.js';
+import { PositionHash } from './PositionHash.js';
+import { GameClock } from './GameClock.js';
+import { MoveHistory } from './MoveHistory.js';
+import { Notation, NotationError } from './Notation.js';
+import { SaveFormat } from './SaveFormat.js';
+import { ShareCodeError } from './ShareCodec.js';
+import { HexPosition } from '../core/hexUtils.js';
+
+// Times a position may arise (with the same player to move) before the game is drawn
+const REPETITION_LIMIT = 3;
 
 // ============================================================================
 // GameMode - Defines game rules, spawns pieces, manages game flow
@@ -11,17 +22,29 @@ import { MoveCalculator } from './MoveCalculator.js';
 export class GameMode {
     /**
      * Create a new game mode
-     * @param {HTMLCanvasElement} canvas - The game canvas
+     * @param {HTMLCanvasElement} [canvas] - The game canvas (omit when running headless)
      */
-    constructor(canvas) {
+    constructor(canvas = null) {
         this.canvas = canvas;
         this.gameState = new GameState();
         this.moveCalculator = new MoveCalculator(this.gameState);
         this.renderer = null; // Set by application
         this.playerController = null; // Set by application
 
-        // Pre-generate triangle positions
-        this.homeSpaces = TriangleGenerator.generateAllTriangles();
+        // Seat settings by triangle index: { playerType, aiDifficulty, name }
+        // Kept across new games so bots stay seated and names stay on
+        this.seatConfigs = new Map();
+
+        // Pending draw offer: { from, awaiting } (see offerDraw)
+        this.drawOffer = null;
+        this._drawDeclinedAt = -1; // History cursor when an offer was last declined
+
+        // Times the turn in progress in timed games (see updateClock)
+        this.clock = new GameClock(this.gameState, (triangleIndex) => this._handleFlagFall(triangleIndex));
+
+        // The online game being played, if any (see net/OnlineGame.js): its
+        // server decides moves, resignations and time-outs
+        this.online = null;
     }
 
     /**
@@ -40,6 +63,16 @@ export class GameMode {
         this.playerController = controller;
     }
 
+    /**
+     * Play this game online, or locally again (called by OnlineGame)
+     * While online, undo, redo, draw offers, notation and the board editor
+     * are unavailable, and resignations are sent to the server.
+     * @param {OnlineGame|null} online
+     */
+    setOnline(online) {
+        this.online = online;
+    }
+
     // ========================================================================
     // Game Flow
     // ========================================================================
@@ -51,19 +84,28 @@ export class GameMode {
     initGame(playerCount) {
         // Reset game state
         this.gameState.reset();
+        this.clock.reset();
+        this._drawDeclinedAt = -1;
         this.gameState.initializeBoard();
 
-        // Get triangle indices for this player count
+        // Get triangle indices for this player count, and each player's armies
         const triangleIndices = GameConfig.getPlayerTriangleIndices(playerCount);
+        const armies = GameConfig.getArmies(triangleIndices, this.gameState.options.layout)
+            || triangleIndices.map(idx => [idx]);
 
         // Create player states
         triangleIndices.forEach((triangleIndex, playerIndex) => {
-            const playerState = new PlayerState(playerIndex, triangleIndex);
+            const playerState = new PlayerState(playerIndex, triangleIndex,
+                this.gameState.getColorName(triangleIndex), armies[playerIndex]);
+            const seat = this.getSeatConfig(triangleIndex);
+            playerState.setController(seat.playerType, seat.aiDifficulty);
+            playerState.setName(seat.name);
             this.gameState.players.push(playerState);
         });
 
-        // Set turn order
+        // Set turn order and clocks
         this.gameState.turnOrder = GameConfig.getTurnOrder(triangleIndices);
+        this.gameState.clockTimes = GameConfig.getClockTimes(this.gameState.options, triangleIndices);
 
         // Spawn pieces for each player
         this.gameState.players.forEach(playerState => {
@@ -83,17 +125,21 @@ export class GameMode {
     }
 
     /**
-     * End the match with a winner
-     * @param {PlayerState} winner - The winning player
+     * End the match, and announce how it ended
+     * @param {PlayerState} [winner] - The player in first place, if anyone placed
      */
-    endMatch(winner) {
+    endMatch(winner = null) {
         this.gameState.matchPhase = MatchPhase.GameOver;
+        this.gameState.matchResult = this.gameState.matchResult || MatchResult.Win;
+        this.updateClock();
         this.render();
 
-        // Notify with a slight delay for the render to complete
-        setTimeout(() => {
-            alert(`${winner.getDisplayName()} player wins!`);
-        }, 100);
+        this.gameState.events.emit('matchEnded', {
+            winner,
+            result: this.gameState.matchResult,
+            standings: this.getStandings(),
+            teamStandings: this.gameState.isTeamGame() ? this.getTeamStandings() : null
+        });
     }
 
     /**
@@ -101,13 +147,206 @@ export class GameMode {
      */
     resetGame() {
         const playerCount = this.gameState.players.length;
+        this._interruptTurn();
         this.initGame(playerCount > 0 ? playerCount : 2);
 
-        if (this.playerController) {
-            this.playerController.reset();
+        this.render();
+        this.beginTurn();
+    }
+
+    /**
+     * Start a new game as set up before play (see ui/SetupDialog.js)
+     * @param {number} playerCount - Number of players (2-6)
+     * @param {Object} [options] - Game options to change (see DEFAULT_GAME_OPTIONS);
+     *     the others are kept
+     * @param {Object<number, { playerType: string, aiDifficulty: string|null, name: string|null }>} [seats] -
+     *     Seat settings by triangle index, for the seats to change
+     */
+    setupGame(playerCount, options = {}, seats = {}) {
+        Object.keys(seats).forEach(triangleIndex => {
+            const { playerType, aiDifficulty, name } = seats[triangleIndex];
+            this.seatConfigs.set(Number(triangleIndex), {
+                playerType,
+                aiDifficulty: playerType === PlayerType.AI ? aiDifficulty : null,
+                name: name || null
+            });
+        });
+        this.gameState.options = { ...this.gameState.options, ...options };
+        this.setPlayerCount(playerCount);
+    }
+
+    /**
+     * Replace the current game with a saved one
+     * @param {Object} data - Parsed save data (see SaveFormat.js)
+     * @throws {GameDataError} If the data is invalid; the current game is kept
+     */
+    loadGame(data) {
+        this._interruptTurn();
+        try {
+            this.gameState.loadJSON(data);
+        } catch (error) {
+            this.beginTurn();
+            throw error;
         }
+        this.clock.reset();
+        this._drawDeclinedAt = -1;
+
+        // Loaded seats become the defaults for new games
+        this.gameState.players.forEach(p => {
+            this.seatConfigs.set(p.homeTriangleIndex, { playerType: p.playerType, aiDifficulty: p.aiDifficulty, name: p.name });
+        });
 
         this.render();
+        this.beginTurn();
+    }
+
+    /**
+     * Replace the current game with a position, such as one from a shared link
+     * Seats use the current seat settings; the history starts empty.
+     * @param {Object} position - Position snapshot (see GameState.toPosition);
+     *     player types may be left unset
+     * @throws {GameDataError} If the position is invalid; the current game is kept
+     */
+    loadPosition(position) {
+        const data = {
+            format: SaveFormat.FORMAT,
+            version: SaveFormat.VERSION,
+            playerCount: position.players.length,
+            finishOrder: [],
+            resigned: [],
+            ...position,
+            players: position.players.map(p => ({
+                ...p,
+                ...this.getSeatConfig(p.homeTriangleIndex)
+            })),
+            history: { entries: [], cursor: 0 }
+        };
+
+        // Players already in their goal have finished, which may end the game
+        const state = GameState.fromJSON(data);
+        if (!this._updateFinishers(state).isOver && state.hasFinished(state.currentPlayerIndex)) {
+            state.nextTurn();
+        }
+        data.finishOrder = state.finishOrder;
+        data.matchPhase = state.matchPhase;
+        data.matchResult = state.matchResult;
+        data.turnIndex = state.turnIndex;
+
+        this.loadGame(data);
+    }
+
+    /**
+     * Replace the current game with moves replayed from the standard setup
+     * @param {number[]} triangleIndices - Home triangles of the players
+     * @param {Object[]} moves - Moves shaped like Notation.parseMoves results
+     * @param {Object} [options] - Game options to play under (see DEFAULT_GAME_OPTIONS)
+     * @throws {ShareCodeError|NotationError} If the seats are not a standard
+     *     setup or a move is illegal; the current game (if any) is kept
+     */
+    loadMoves(triangleIndices, moves, options = this.gameState.options) {
+        const playerCount = triangleIndices.length;
+        const standard = GameConfig.getPlayerTriangleIndices(playerCount);
+        const sorted = [...triangleIndices].sort((a, b) => a - b);
+        if (standard.length !== playerCount || standard.some((index, i) => index !== sorted[i])) {
+            throw new ShareCodeError(`those seats are not a standard ${playerCount}-player game`);
+        }
+
+        const saved = this.gameState.players.length > 0 ? this.gameState.toJSON() : null;
+        this.gameState.options = { ...DEFAULT_GAME_OPTIONS, ...options };
+        this.setPlayerCount(playerCount);
+
+        try {
+            this.playMoves(moves);
+        } catch (error) {
+            if (saved) this.loadGame(saved);
+            throw error;
+        }
+    }
+
+    /**
+     * Hand the current turn to its controller (starts AI seats thinking)
+     * and start the clock of the player to move
+     */
+    beginTurn() {
+        this.updateClock();
+        if (this.playerController) {
+            this.playerController.beginTurn();
+        }
+    }
+
+    // ========================================================================
+    // Clocks
+    // ========================================================================
+
+    /**
+     * Run the clock of the player to move while the match is being played,
+     * and pause it otherwise: while a piece is moving, during replays and
+     * board editing, while an earlier position is shown, and once the match is over
+     */
+    updateClock() {
+        const controller = this.playerController;
+        const isPlaying = this.gameState.matchPhase === MatchPhase.InProgress
+            && !this.gameState.history.canRedo()
+            && !(controller && (controller.getIsInputLocked() || controller.getIsAnimating()));
+
+        if (isPlaying) {
+            this.clock.start();
+        } else {
+            this.clock.pause();
+        }
+    }
+
+    /**
+     * Take a player who ran out of time out of the match, as if they had
+     * resigned; in a two-player game the other player wins
+     * @private
+     */
+    _handleFlagFall(triangleIndex) {
+        if (this.online) return; // The server says who ran out of time
+        if (this.gameState.matchPhase !== MatchPhase.InProgress || !this.gameState.isStillPlaying(triangleIndex)) {
+            return;
+        }
+        this.removePlayer(triangleIndex, true);
+    }
+
+    // ========================================================================
+    // Seats
+    // ========================================================================
+
+    /**
+     * Get the settings for a seat: who controls it, and the player's name
+     * @param {number} triangleIndex - The seat's home triangle index (0-5)
+     * @returns {{ playerType: string, aiDifficulty: string|null, name: string|null }}
+     */
+    getSeatConfig(triangleIndex) {
+        return this.seatConfigs.get(triangleIndex) || { playerType: PlayerType.Human, aiDifficulty: null, name: null };
+    }
+
+    /**
+     * Change who controls a seat, keeping its name; takes effect immediately
+     * if the seat is in play
+     * @param {number} triangleIndex - The seat's home triangle index (0-5)
+     * @param {string} playerType - A PlayerType value
+     * @param {string} [aiDifficulty] - An AIDifficulty value (AI seats only)
+     */
+    setSeatConfig(triangleIndex, playerType, aiDifficulty = AIDifficulty.Medium) {
+        const seat = {
+            ...this.getSeatConfig(triangleIndex),
+            playerType,
+            aiDifficulty: playerType === PlayerType.AI ? aiDifficulty : null
+        };
+        this.seatConfigs.set(triangleIndex, seat);
+
+        const playerState = this.gameState.players.find(p => p.homeTriangleIndex === triangleIndex);
+        if (!playerState) return;
+
+        playerState.setController(seat.playerType, seat.aiDifficulty);
+
+        // A move in flight finishes first and starts the next turn itself
+        if (this.playerController && !this.playerController.getIsAnimating()) {
+            this.playerController.deselectPiece();
+            this.beginTurn();
+        }
     }
 
     // ========================================================================
@@ -115,16 +354,16 @@ export class GameMode {
     // ========================================================================
 
     /**
-     * Spawn pieces for a player in their home triangle
+     * Spawn pieces for a player in the home triangle of each of their armies
      * @param {PlayerState} playerState - The player state
      */
     spawnPiecesForPlayer(playerState) {
-        const homeTriangle = this.homeSpaces[playerState.homeTriangleIndex];
-
-        homeTriangle.forEach(pos => {
-            const piece = new Piece(pos, playerState.homeTriangleIndex);
-            this.gameState.placePiece(pos, piece);
-            playerState.addPiecePosition(pos.key);
+        playerState.armies.forEach(armyIndex => {
+            this.gameState.getTrianglePositions(armyIndex).forEach(pos => {
+                const piece = new Piece(pos, playerState.homeTriangleIndex, armyIndex);
+                this.gameState.placePiece(pos, piece);
+                playerState.addPiecePosition(pos.key);
+            });
         });
     }
 
@@ -165,7 +404,109 @@ export class GameMode {
     }
 
     /**
-     * Execute a move
+     * Explain why the foreign-goal stay limit rules out moving a piece
+     * @param {HexPosition} fromPos - The piece's position
+     * @param {HexPosition} [toPos] - A target to check; omit to check whether the piece may move at all
+     * @returns {string|null} The reason, or null if the limit does not stop the move
+     */
+    getStayLimitReason(fromPos, toPos = null) {
+        return this._getStayLimitReason(this.moveCalculator, fromPos, toPos);
+    }
+
+    /**
+     * Explain why the stay limit rules out a move that the jump rules allow
+     * @private
+     */
+    _getStayLimitReason(moveCalculator, fromPos, toPos) {
+        const state = moveCalculator.gameState;
+        const piece = state.getPieceAt(fromPos);
+        const restriction = piece ? moveCalculator.getStayRestriction(piece.getOwnerPlayerIndex()) : null;
+        if (!restriction) return null;
+
+        const moves = moveCalculator.findValidMoves(fromPos, false)
+            .filter(move => toPos === null || move.targetPos.equals(toPos));
+        if (moves.length === 0 || moves.some(move => restriction.allows(fromPos, move.targetPos))) {
+            return null;
+        }
+        return GoalRules.describeRestriction(state, piece.getOwnerPlayerIndex(), restriction);
+    }
+
+    /**
+     * Play a move for the player to move. Every move goes through here,
+     * whoever makes it: the move is checked, the piece moved, players who
+     * finished recorded, the turn advanced (or the match ended) and the move
+     * recorded in the history. Starting the next turn is left to the caller
+     * (see beginTurn), so that the move can be shown first.
+     *
+     * Emits, in order: pieceMoved, moveApplied { move, playerIndex, piece },
+     * playerFinished for each player who finished, turnChanged unless the
+     * match is over, historyChanged, then matchEnded if the move ended the
+     * match. An illegal move emits moveRejected { reason } and changes nothing.
+     * @param {HexPosition} fromPos - The piece's position
+     * @param {HexPosition} toPos - Target position
+     * @param {number|null} [jumps] - Hops wanted when the piece can reach
+     *     toPos in more than one way (null prefers a single step)
+     * @returns {Object|null} As for completeMove, or null if the move is illegal
+     */
+    applyMove(fromPos, toPos, jumps = null) {
+        const piece = this.gameState.getPieceAt(fromPos);
+        const isMovable = this.gameState.matchPhase === MatchPhase.InProgress && !!piece && this.canMovePiece(piece);
+        const move = isMovable ? this._findMatchingMove(this.moveCalculator, fromPos, toPos, jumps) : null;
+        if (!move) {
+            const reason = isMovable ? this._getStayLimitReason(this.moveCalculator, fromPos, toPos) : null;
+            this.gameState.events.emit('moveRejected', { reason: reason || `${fromPos.key} → ${toPos.key} is not a legal move` });
+            return null;
+        }
+
+        const playerIndex = this.gameState.currentPlayerIndex;
+        const applied = { fromPos, toPos: move.targetPos, jumpPath: move.jumpPath };
+        this.executeMove(fromPos, move.targetPos);
+        this.gameState.events.emit('moveApplied', { move: applied, playerIndex, piece });
+
+        return this._finishTurn(applied);
+    }
+
+    /**
+     * Pass the turn of a player with no legal move (see applyMove for the
+     * events; there is no pieceMoved or moveApplied, and nothing is recorded:
+     * passes are forced, so replayed moves make them again, see playMoves)
+     * @returns {Object|null} As for completeMove, or null if the player to move could move
+     */
+    passTurn() {
+        if (this.gameState.matchPhase !== MatchPhase.InProgress || this._hasLegalMove()) {
+            return null;
+        }
+        return this._finishTurn(null);
+    }
+
+    /**
+     * Complete a move or pass, and end the match if it is over
+     * @private
+     */
+    _finishTurn(move) {
+        const result = this.completeMove(move);
+        if (result.winner) {
+            this.endMatch(result.playerState);
+        }
+        return result;
+    }
+
+    /**
+     * Check if the player to move can move any piece they control
+     * @private
+     * @param {GameState} [state] - The state to check
+     * @param {MoveCalculator} [moveCalculator] - Move generator for that state
+     */
+    _hasLegalMove(state = this.gameState, moveCalculator = this.moveCalculator) {
+        const controlled = state.getControlledTriangles(state.currentPlayerIndex);
+        return state.players
+            .filter(p => controlled.includes(p.homeTriangleIndex))
+            .some(p => Array.from(p.piecePositions).some(key => moveCalculator.findValidMoves(HexPosition.fromKey(key)).length > 0));
+    }
+
+    /**
+     * Move a piece on the board, without checking the move or finishing the
+     * turn (see applyMove)
      * @param {HexPosition} fromPos - Starting position
      * @param {HexPosition} toPos - Target position
      * @returns {boolean} True if successful
@@ -174,6 +515,664 @@ export class GameMode {
         return this.gameState.movePiece(fromPos, toPos);
     }
 
+    /**
+     * Finish a move whose piece has already been moved on the board (see applyMove):
+     * record players who finished, advance the turn (or end the match, with
+     * a win or a draw) and record the move in the history
+     * @param {Object|null} move - { fromPos, toPos, jumpPath } or null when the player passes
+     * @returns {{ winner: boolean, playerState?: PlayerState, finished: PlayerState[] }}
+     *     winner is true when the match is over, with playerState the player in
+     *     first place unless nobody placed; finished lists the players who
+     *     finished with this move
+     */
+    completeMove(move) {
+        const before = this.gameState.captureTurnState();
+        const playerIndex = this.gameState.currentPlayerIndex;
+        this._clearDrawOffer();
+        this.clock.chargeMove(playerIndex);
+
+        const { finished, isOver: hasEnded } = this._updateFinishers(this.gameState);
+        if (!hasEnded) {
+            this.advanceTurn();
+        }
+
+        let entry = null;
+        if (move) {
+            entry = {
+                from: move.fromPos.key,
+                to: move.toPos.key,
+                jumpPath: move.jumpPath.map(pos => pos.key),
+                playerIndex,
+                turnIndex: before.turnIndex,
+                before
+            };
+            const piece = this.gameState.getPieceAt(move.toPos);
+            if (piece && !piece.belongsTo(playerIndex)) {
+                entry.pieceOwner = piece.getOwnerPlayerIndex();
+            }
+        }
+
+        const played = this.gameState.history.getPlayedEntries();
+        const isOver = hasEnded || this._checkDrawRules(this.gameState, entry ? [...played, entry] : played);
+
+        const result = { winner: isOver, finished };
+        if (isOver) {
+            result.playerState = this.gameState.players.find(p => p.homeTriangleIndex === this.gameState.finishOrder[0]);
+        }
+
+        if (entry) {
+            entry.after = this.gameState.captureTurnState();
+            this.gameState.recordMove(entry);
+        }
+
+        return result;
+    }
+
+    /**
+     * Record players who have just finished, and end the match when it is over:
+     * when the first team (or player) has finished, or with play-on once one
+     * team is left (whose players take the last places). Either way the match
+     * is over once every other team has resigned, and the team left places.
+     * Emits playerFinished { playerIndex, place } on the state's events for
+     * each player who finished.
+     * @private
+     * @param {GameState} state - The state to update
+     * @returns {{ finished: PlayerState[], isOver: boolean }}
+     */
+    _updateFinishers(state) {
+        const finished = state.players.filter(p => state.isStillPlaying(p.homeTriangleIndex) && p.hasWon(state));
+        finished.forEach(p => {
+            state.finishOrder.push(p.homeTriangleIndex);
+            state.events.emit('playerFinished', { playerIndex: p.homeTriangleIndex, place: state.finishOrder.length });
+        });
+
+        const teams = state.getTeams();
+        const someFinished = teams.some(team => state.hasTeamFinished(team[0]));
+        const teamsLeft = teams.filter(team => !state.hasTeamFinished(team[0]) && !state.hasTeamResigned(team[0])).length;
+        const isOver = teamsLeft <= 1 || (!state.options.playOn && someFinished);
+        if (isOver) {
+            const remaining = state.players.filter(p => state.isStillPlaying(p.homeTriangleIndex));
+            if (state.options.playOn || !someFinished) {
+                remaining.forEach(p => state.finishOrder.push(p.homeTriangleIndex));
+            }
+            state.matchPhase = MatchPhase.GameOver;
+            // With nobody finishing now, it was a resignation that ended the match
+            state.matchResult = finished.length > 0 ? MatchResult.Win : MatchResult.Resignation;
+        }
+
+        return { finished, isOver };
+    }
+
+    /**
+     * End the match if a draw rule applies after a move: the position (with
+     * the player to move) has arisen three times, or the move limit is reached
+     * At the move limit unfinished players are placed by distance to goal,
+     * teams by their members' total distance; after a repetition they stay unplaced.
+     * @private
+     * @param {GameState} state - The state to update, with the turn advanced
+     * @param {Object[]} entries - The history entries that led to the position, oldest first
+     * @returns {boolean} True if the match is now over
+     */
+    _checkDrawRules(state, entries) {
+        if (state.matchPhase !== MatchPhase.InProgress) return false;
+
+        if (PositionHash.countRepetitions(state, entries) >= REPETITION_LIMIT) {
+            state.matchPhase = MatchPhase.GameOver;
+            state.matchResult = MatchResult.Repetition;
+            return true;
+        }
+
+        const moveLimit = state.options.moveLimit;
+        const moveCount = entries.filter(entry => !MoveHistory.isResignation(entry)).length;
+        if (moveLimit > 0 && moveCount >= moveLimit) {
+            const remaining = state.players.filter(p => state.isStillPlaying(p.homeTriangleIndex));
+            const distances = new Map(remaining.map(p => [p.homeTriangleIndex, p.getGoalDistance(state)]));
+            const teamDistance = (triangleIndex) => state.getTeam(triangleIndex)
+                .reduce((sum, idx) => sum + (distances.get(idx) || 0), 0);
+
+            remaining
+                .sort((a, b) => teamDistance(a.homeTriangleIndex) - teamDistance(b.homeTriangleIndex)
+                    || distances.get(a.homeTriangleIndex) - distances.get(b.homeTriangleIndex))
+                .forEach(p => state.finishOrder.push(p.homeTriangleIndex));
+            state.matchPhase = MatchPhase.GameOver;
+            state.matchResult = MatchResult.MoveLimit;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Get each team's result, in finishing order (unplaced teams last)
+     * Without teams every player is a team of one.
+     * @returns {Array<{ team: number[], place: number|null, score: number, maxScore: number }>}
+     *     The team's triangle indices, its place (null if not finished) and
+     *     its members' pieces in their goals out of all their pieces
+     */
+    getTeamStandings() {
+        const state = this.gameState;
+        // A team finishes when its last member does
+        const finishedAt = (team) => state.hasTeamFinished(team[0])
+            ? Math.max(...team.map(idx => state.finishOrder.indexOf(idx)))
+            : Infinity;
+
+        const standings = state.getTeams()
+            .map(team => ({
+                team,
+                finishedAt: finishedAt(team),
+                score: team.reduce((sum, idx) => sum + state.getPiecesInGoal(idx), 0),
+                maxScore: state.players
+                    .filter(p => team.includes(p.homeTriangleIndex))
+                    .reduce((sum, p) => sum + p.getPieceCount(), 0)
+            }))
+            .sort((a, b) => a.finishedAt - b.finishedAt || b.score - a.score);
+
+        return standings.map(({ team, finishedAt, score, maxScore }, index) => ({
+            team,
+            place: finishedAt !== Infinity ? index + 1 : null,
+            score,
+            maxScore
+        }));
+    }
+
+    /**
+     * Get every player's result, in finishing order (unplaced players last,
+     * then players who resigned)
+     * @returns {Array<{ playerState: PlayerState, place: number|null, moves: number, resigned: boolean }>}
+     *     place is null for players who had not finished when the match ended;
+     *     moves counts the moves each player has played
+     */
+    getStandings() {
+        const played = this.gameState.history.getPlayedMoves();
+        const unplaced = this.gameState.players.length + 1;
+        const rank = (standing) => standing.place !== null ? standing.place : unplaced + (standing.resigned ? 1 : 0);
+
+        return this.gameState.players
+            .map(playerState => ({
+                playerState,
+                place: this.gameState.getPlace(playerState.homeTriangleIndex),
+                moves: played.filter(entry => entry.playerIndex === playerState.homeTriangleIndex).length,
+                resigned: this.gameState.hasResigned(playerState.homeTriangleIndex)
+            }))
+            .sort((a, b) => rank(a) - rank(b));
+    }
+
+    // ========================================================================
+    // Resigning
+    // ========================================================================
+
+    /**
+     * Check if a player may resign: one played on this device (see
+     * PlayerController.isLocalSeat) still playing (not finished or
+     * resigned) in a match in progress, while no move is in flight
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {boolean}
+     */
+    canResign(triangleIndex) {
+        return this.gameState.matchPhase === MatchPhase.InProgress
+            && this.gameState.players.some(p => p.homeTriangleIndex === triangleIndex)
+            && this.gameState.isStillPlaying(triangleIndex)
+            && (!this.playerController || this.playerController.isLocalSeat(triangleIndex))
+            && !this._isMoveInFlight();
+    }
+
+    /**
+     * Resign a player, on their turn or not. The others play on without
+     * them; their pieces are removed or left as obstacles, as the
+     * resignedPieces option says. The match ends when every other team has
+     * resigned. Recorded in the history, so it can be undone.
+     * (To keep a seat playing instead, hand it to a bot with setSeatConfig.)
+     * In an online game the resignation is sent to the server, which
+     * announces it to every player.
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {boolean} True if the player resigned (or the resignation was sent)
+     */
+    resign(triangleIndex) {
+        if (!this.canResign(triangleIndex)) return false;
+
+        if (this.online) {
+            this.online.requestResign();
+        } else {
+            this.removePlayer(triangleIndex, false);
+        }
+        return true;
+    }
+
+    /**
+     * Take a player out of the match, then end it or carry on. Unlike
+     * resign, nothing is checked: for time-outs, and for resignations
+     * announced by an online game's server.
+     * @param {number} triangleIndex - The player's home triangle index
+     * @param {boolean} [timeout] - True if the player ran out of time
+     */
+    removePlayer(triangleIndex, timeout = false) {
+        this._interruptTurn();
+        const result = this._applyResignation(this.gameState, triangleIndex, timeout);
+        this.render();
+
+        if (result.winner) {
+            this.endMatch(result.playerState);
+        } else {
+            this.beginTurn();
+        }
+    }
+
+    /**
+     * Resign a player and record it in the history, then emit
+     * playerResigned { playerIndex, timeout } on the state's events
+     * @private
+     * @param {GameState} state - The state to update
+     * @param {number} triangleIndex - The player's home triangle index
+     * @param {boolean} [timeout] - True if the player ran out of time: their
+     *     clock shows no time left and a match this ends was won on time
+     * @returns {{ winner: boolean, playerState?: PlayerState }} As for completeMove
+     */
+    _applyResignation(state, triangleIndex, timeout = false) {
+        const before = state.captureTurnState();
+        const removePieces = state.options.resignedPieces !== ResignedPieces.Frozen;
+        const pieces = state.resignPlayer(triangleIndex, removePieces);
+        const { isOver } = this._updateFinishers(state);
+
+        if (timeout) {
+            if (state.clockTimes) {
+                state.clockTimes = { ...state.clockTimes, [triangleIndex]: 0 };
+            }
+            if (isOver) {
+                state.matchResult = MatchResult.Timeout;
+            }
+        }
+
+        state.recordMove({
+            type: HistoryEntryType.Resign,
+            playerIndex: triangleIndex,
+            pieces,
+            ...(timeout ? { timeout: true } : {}),
+            turnIndex: before.turnIndex,
+            before,
+            after: state.captureTurnState()
+        });
+        state.events.emit('playerResigned', { playerIndex: triangleIndex, timeout });
+
+        const result = { winner: isOver };
+        if (isOver) {
+            result.playerState = state.players.find(p => p.homeTriangleIndex === state.finishOrder[0]);
+        }
+        return result;
+    }
+
+    // ========================================================================
+    // Draw Offers
+    // ========================================================================
+
+    /**
+     * Check if the player to move may offer a draw: a human seat in a match
+     * in progress, with no offer pending and none declined since the last
+     * move (draws are not offered in online games)
+     * @returns {boolean}
+     */
+    canOfferDraw() {
+        const player = this.getCurrentPlayer();
+        return this.gameState.matchPhase === MatchPhase.InProgress && !!player && !player.isAI()
+            && !this.drawOffer && this._drawDeclinedAt !== this.gameState.history.cursor
+            && !this.gameState.history.canRedo() && !this._isMoveInFlight() && !this.online;
+    }
+
+    /**
+     * Offer a draw on behalf of the player to move, to every other player
+     * still playing. Bots answer at once, accepting if they are no nearer
+     * their goal than the offering player; humans answer with answerDrawOffer.
+     * The offer lapses when a move is made.
+     * @returns {boolean} True if the offer was made
+     */
+    offerDraw() {
+        if (!this.canOfferDraw()) return false;
+
+        const from = this.gameState.currentPlayerIndex;
+        const awaiting = this.gameState.players
+            .filter(p => p.homeTriangleIndex !== from && this.gameState.isStillPlaying(p.homeTriangleIndex))
+            .map(p => p.homeTriangleIndex);
+        this.drawOffer = { from, awaiting };
+        this.gameState.events.emit('drawOfferChanged', { offer: this.drawOffer });
+
+        const offerDistance = this.getCurrentPlayer().getGoalDistance(this.gameState);
+        this.gameState.players
+            .filter(p => p.isAI() && awaiting.includes(p.homeTriangleIndex))
+            .forEach(p => this.answerDrawOffer(p.homeTriangleIndex, p.getGoalDistance(this.gameState) >= offerDistance));
+        return true;
+    }
+
+    /**
+     * Answer the pending draw offer. One refusal declines it; once every
+     * player asked has accepted, the match ends in a draw.
+     * @param {number} triangleIndex - Home triangle index of the answering player
+     * @param {boolean} accept - True to accept the draw
+     * @returns {boolean} True if the answer was counted
+     */
+    answerDrawOffer(triangleIndex, accept) {
+        const offer = this.drawOffer;
+        if (!offer || !offer.awaiting.includes(triangleIndex)) return false;
+
+        if (!accept) {
+            this.drawOffer = null;
+            this._drawDeclinedAt = this.gameState.history.cursor;
+            this.gameState.events.emit('drawOfferChanged', { offer: null, declinedBy: triangleIndex });
+            return true;
+        }
+
+        offer.awaiting = offer.awaiting.filter(idx => idx !== triangleIndex);
+        if (offer.awaiting.length > 0) {
+            this.gameState.events.emit('drawOfferChanged', { offer });
+            return true;
+        }
+
+        this._interruptTurn();
+        this.gameState.matchResult = MatchResult.Agreement;
+        this.endMatch();
+        return true;
+    }
+
+    /**
+     * Get the pending draw offer
+     * @returns {{ from: number, awaiting: number[] }|null} The offering player
+     *     and the players yet to answer, by home triangle index
+     */
+    getDrawOffer() {
+        return this.drawOffer;
+    }
+
+    /**
+     * Withdraw any pending draw offer
+     * @private
+     */
+    _clearDrawOffer() {
+        if (!this.drawOffer) return;
+
+        this.drawOffer = null;
+        this.gameState.events.emit('drawOfferChanged', { offer: null });
+    }
+
+    // ========================================================================
+    // Undo / Redo
+    // ========================================================================
+
+    /**
+     * Check if a move can be taken back
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.gameState.history.canUndo() && !this._isMoveInFlight() && !this.online;
+    }
+
+    /**
+     * Check if an undone move can be replayed
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.gameState.history.canRedo() && !this._isMoveInFlight() && !this.online;
+    }
+
+    /**
+     * Take back moves until a human is to move again
+     * (a single move when every seat is a bot)
+     * @returns {boolean} True if anything was undone
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        this._interruptTurn();
+        const skipBots = this._hasHumanSeat();
+        do {
+            this.gameState.undoMove();
+        } while (skipBots && this.gameState.history.canUndo() && this.getCurrentPlayer().isAI());
+
+        this.render();
+        this.beginTurn();
+        return true;
+    }
+
+    /**
+     * Replay undone moves until a human is to move again
+     * (a single move when every seat is a bot)
+     * @returns {boolean} True if anything was redone
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        this._interruptTurn();
+        const skipBots = this._hasHumanSeat();
+        do {
+            this.gameState.redoMove();
+        } while (skipBots && this.gameState.history.canRedo() && this.getCurrentPlayer().isAI());
+
+        this.render();
+        this.beginTurn();
+        return true;
+    }
+
+    /**
+     * Jump the board to the position after a given number of moves
+     * Later moves stay in the history and can be redone
+     * @param {number} moveCount - Moves played (0 = starting position)
+     * @returns {boolean} True if the board changed position
+     */
+    goToMove(moveCount) {
+        const history = this.gameState.history;
+        if (this._isMoveInFlight() || moveCount < 0 || moveCount > history.entries.length) {
+            return false;
+        }
+
+        this._interruptTurn();
+        while (history.cursor > moveCount) this.gameState.undoMove();
+        while (history.cursor < moveCount) this.gameState.redoMove();
+
+        this.render();
+        this.beginTurn();
+        return true;
+    }
+
+    // ========================================================================
+    // Notation
+    // ========================================================================
+
+    /**
+     * Play moves written in move notation (see Notation.js)
+     * Unnumbered moves continue from the current position; numbered moves
+     * start from the position before the first move's number, so a game
+     * beginning "1. ..." is replayed from the start. Nothing is played unless
+     * every move is legal.
+     * @param {string} text - Moves to play
+     * @returns {number} Number of moves played
+     * @throws {NotationError} If the text cannot be read or a move is illegal
+     */
+    playNotation(text) {
+        return this.playMoves(Notation.parseMoves(text));
+    }
+
+    /**
+     * Play a sequence of parsed moves (see playNotation)
+     * @param {Object[]} moves - Moves shaped like Notation.parseMoves results;
+     *     colorName may be null to accept whoever is to move
+     * @returns {number} Number of moves played
+     * @throws {NotationError} If a move is illegal
+     */
+    playMoves(moves) {
+        if (moves.length === 0) return 0;
+
+        if (this._isMoveInFlight()) {
+            throw new NotationError('Wait for the current move to finish');
+        }
+        if (this.online) {
+            throw new NotationError('Moves cannot be pasted into an online game');
+        }
+
+        const history = this.gameState.history;
+        const originalCursor = history.cursor;
+        const firstNumber = moves[0].number;
+        if (firstNumber !== null && (firstNumber < 1 || firstNumber > history.entries.length + 1)) {
+            throw new NotationError(`Move ${firstNumber} does not follow any position in this game`);
+        }
+
+        this.goToMove(firstNumber !== null ? firstNumber - 1 : originalCursor);
+
+        try {
+            this._checkMoves(moves);
+        } catch (error) {
+            this.goToMove(originalCursor);
+            throw error;
+        }
+
+        for (const parsed of moves) {
+            if (parsed.resign) {
+                const player = this.gameState.players.find(p => p.colorName === parsed.colorName);
+                const result = this._applyResignation(this.gameState, player.homeTriangleIndex, parsed.timeout);
+                if (result.winner) {
+                    this.endMatch(result.playerState);
+                }
+                continue;
+            }
+
+            // Passes are not written down: players with no legal move pass first
+            let passes = 0;
+            while (passes < this.gameState.players.length && this.passTurn()) {
+                passes++;
+            }
+            this.applyMove(HexPosition.fromKey(parsed.from), HexPosition.fromKey(parsed.to), parsed.jumps);
+        }
+
+        this.render();
+        this.beginTurn();
+        return moves.length;
+    }
+
+    /**
+     * Check a sequence of parsed moves on a copy of the current position
+     * @private
+     * @throws {NotationError}
+     */
+    _checkMoves(moves) {
+        const state = this.gameState.clone();
+        const moveCalculator = new MoveCalculator(state);
+        const startNumber = this.gameState.history.cursor + 1;
+
+        moves.forEach((parsed, index) => {
+            const number = startNumber + index;
+            const mover = parsed.colorName !== null ? `${parsed.colorName} ` : '';
+            const label = parsed.resign
+                ? `Move ${number} (${parsed.colorName} ${parsed.timeout ? 'loses on time' : 'resigns'})`
+                : `Move ${number} (${mover}${parsed.from} → ${parsed.to})`;
+
+            if (parsed.number !== null && parsed.number !== number) {
+                throw new NotationError(`${label} is numbered ${parsed.number}, expected ${number}`);
+            }
+            if (state.matchPhase !== MatchPhase.InProgress) {
+                throw new NotationError(`${label} comes after the game has ended`);
+            }
+            if (parsed.resign) {
+                // Any player still playing may resign, on their turn or not
+                const resigning = state.players.find(p => p.colorName === parsed.colorName);
+                if (!resigning || !state.isStillPlaying(resigning.homeTriangleIndex)) {
+                    throw new NotationError(`${label}: ${parsed.colorName} is not playing`);
+                }
+                this._applyResignation(state, resigning.homeTriangleIndex, parsed.timeout);
+                return;
+            }
+            const player = this._passBlockedTurns(state, moveCalculator);
+            if (state.matchPhase !== MatchPhase.InProgress) {
+                throw new NotationError(`${label} comes after the game has ended`);
+            }
+            if (parsed.colorName !== null && player.colorName !== parsed.colorName) {
+                throw new NotationError(`${label}: it is ${player.colorName}'s turn`);
+            }
+
+            const fromPos = HexPosition.fromKey(parsed.from);
+            const toPos = HexPosition.fromKey(parsed.to);
+            const piece = state.getPieceAt(fromPos);
+            const isMovable = !!piece && state.getControlledTriangles(player.homeTriangleIndex)
+                .includes(piece.getOwnerPlayerIndex());
+            const move = isMovable
+                ? this._findMatchingMove(moveCalculator, fromPos, toPos, parsed.jumps)
+                : null;
+            if (!move) {
+                const reason = isMovable ? this._getStayLimitReason(moveCalculator, fromPos, toPos) : null;
+                throw new NotationError(reason ? `${label}: ${reason}` : `${label} is not a legal move`);
+            }
+
+            // Record the move so later moves see how long pieces have stayed
+            state.history.record({
+                from: parsed.from,
+                to: move.targetPos.key,
+                jumpPath: move.jumpPath.map(pos => pos.key),
+                playerIndex: player.homeTriangleIndex,
+                turnIndex: state.turnIndex
+            });
+            state.movePiece(fromPos, move.targetPos);
+            if (!this._updateFinishers(state).isOver) {
+                state.nextTurn();
+                this._checkDrawRules(state, state.history.getPlayedEntries());
+            }
+        });
+    }
+
+    /**
+     * Pass the turns of players with no legal move, as they had to when the
+     * moves were played (passes are not recorded, see passTurn)
+     * @private
+     * @param {GameState} state - The state to update
+     * @param {MoveCalculator} moveCalculator - Move generator for that state
+     * @returns {PlayerState} The player to move
+     */
+    _passBlockedTurns(state, moveCalculator) {
+        for (let i = 0; i < state.players.length; i++) {
+            if (state.matchPhase !== MatchPhase.InProgress || this._hasLegalMove(state, moveCalculator)) break;
+            state.nextTurn();
+            this._checkDrawRules(state, state.history.getPlayedEntries());
+        }
+        return state.getCurrentPlayer();
+    }
+
+    /**
+     * Find the legal move matching a notation move
+     * Prefers the move type (and hop count) the notation asked for
+     * @private
+     * @returns {Object|null} The MoveInfo, or null if the move is illegal
+     */
+    _findMatchingMove(moveCalculator, fromPos, toPos, jumps) {
+        const candidates = moveCalculator.findValidMoves(fromPos).filter(m => m.targetPos.equals(toPos));
+        if (jumps === null) {
+            return candidates.find(m => m.type === 'move') || candidates[0] || null;
+        }
+        return candidates.find(m => m.type === 'jump' && m.jumpPath.length === jumps)
+            || candidates.find(m => m.type === 'jump')
+            || null;
+    }
+
+    /**
+     * Check if a move animation is running
+     * @private
+     */
+    _isMoveInFlight() {
+        return !!this.playerController && this.playerController.getIsAnimating();
+    }
+
+    /**
+     * Drop the current selection, any move in flight and any bot that is thinking
+     * @private
+     */
+    _interruptTurn() {
+        this._clearDrawOffer();
+        if (this.playerController) {
+            this.playerController.reset();
+        }
+    }
+
+    /**
+     * Check if any seat is played by a human
+     * @private
+     */
+    _hasHumanSeat() {
+        return this.gameState.players.some(p => !p.isAI());
+    }
+
     // ========================================================================
     // Turn Management
     // ========================================================================
@@ -201,6 +1200,17 @@ export class GameMode {
         return this.gameState.currentPlayerIndex;
     }
 
+    /**
+     * Check if the current player may move a piece: their own, or a
+     * partner's once they have finished and may assist
+     * @param {Piece} piece - The piece to check
+     * @returns {boolean}
+     */
+    canMovePiece(piece) {
+        const controlled = this.gameState.getControlledTriangles(this.gameState.currentPlayerIndex);
+        return controlled.includes(piece.getOwnerPlayerIndex());
+    }
+
     // ========================================================================
     // Player Count
     // ========================================================================
@@ -210,13 +1220,44 @@ export class GameMode {
      * @param {number} count - New player count (2-6)
      */
     setPlayerCount(count) {
+        this._interruptTurn();
         this.initGame(count);
 
-        if (this.playerController) {
-            this.playerController.reset();
-        }
-
         this.render();
+        this.beginTurn();
+    }
+
+    // ========================================================================
+    // Options Changed During Play
+    // ========================================================================
+    // The other options are chosen before play (see setupGame)
+
+    /**
+     * Choose whether finished players go on to move their partners' pieces.
+     * Takes effect from the next turn.
+     * @param {boolean} teamAssist - True to let finished players assist
+     */
+    setTeamAssist(teamAssist) {
+        this.gameState.options = { ...this.gameState.options, teamAssist };
+    }
+
+    /**
+     * Choose what happens to a resigning player's pieces. Takes effect from
+     * the next resignation.
+     * @param {string} resignedPieces - A ResignedPieces value
+     */
+    setResignedPieces(resignedPieces) {
+        this.gameState.options = { ...this.gameState.options, resignedPieces };
+    }
+
+    /**
+     * Choose whether play continues after the first player finishes, until
+     * every place is decided. Takes effect from the next move; a match that
+     * has already ended stays over.
+     * @param {boolean} playOn - True to play on for all places
+     */
+    setPlayOn(playOn) {
+        this.gameState.options = { ...this.gameState.options, playOn };
     }
 
     // ========================================================================
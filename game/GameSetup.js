@@ -0,0 +1,176 @@
+import { PlayerConfig, GameConfig, DEFAULT_GAME_OPTIONS, MAX_NAME_LENGTH } from '../core/config.js';
+import { PlayerType, AIDifficulty, SeatType } from '../core/types.js';
+import { validateGameOptions } from './SaveFormat.js';
+
+// Options chosen before play, besides the colours (a setup's colors); the
+// others (playOn, teamAssist, resignedPieces) can be changed during a game
+const SETUP_OPTIONS = Object.freeze([
+    'ruleSet', 'layout', 'boardSize', 'winRule', 'foreignStayLimit', 'moveLimit',
+    'teamMode', 'timeControl', 'clockSeconds', 'clockIncrement'
+]);
+
+// ============================================================================
+// GameSetup - How new games are set up before play
+// ============================================================================
+// A setup is a plain, JSON friendly object, remembered for new games (see
+// GameStorage.saveSetup):
+// {
+//     playerCount: number,   // 2 to 6; the seats are the standard ones
+//                            // (GameConfig.getPlayerTriangleIndices)
+//     seats: [{              // One per triangle, by triangle index, so seats
+//         seatType,          // keep their settings when the count changes
+//         aiDifficulty,      // An AIDifficulty value (used by AI seats)
+//         name               // The player's name, or '' to go by colour
+//     }],
+//     colors: string[],      // Each triangle's colour name, by triangle index,
+//                            // played as the game's colors option
+//     options: Object        // The options chosen before play (see SETUP_OPTIONS)
+// }
+// A setup with remote seats is played online: this page hosts the game and
+// plays its one other seat, which must be human (an online page holds one
+// seat, and bots do not play online).
+export const GameSetup = {
+    /**
+     * Describe how the current game was set up
+     * @param {GameMode} gameMode - The game mode
+     * @returns {Object} Setup
+     */
+    fromGame(gameMode) {
+        const gameState = gameMode.getGameState();
+        const playerCount = gameState.players.length;
+        return {
+            playerCount: playerCount >= 2 ? playerCount : 2,
+            seats: [0, 1, 2, 3, 4, 5].map(triangleIndex => {
+                const seat = gameMode.getSeatConfig(triangleIndex);
+                return {
+                    seatType: seat.playerType,
+                    aiDifficulty: seat.aiDifficulty || AIDifficulty.Medium,
+                    name: seat.name || ''
+                };
+            }),
+            colors: [...gameState.options.colors],
+            options: pickSetupOptions(gameState.options)
+        };
+    },
+
+    /**
+     * Read a remembered setup, taking anything missing or invalid from another
+     * @param {Object|null} data - Parsed setup, such as GameStorage.loadSetup's
+     * @param {Object} fallback - A valid setup, such as fromGame's
+     * @returns {Object} Setup
+     */
+    fromJSON(data, fallback) {
+        if (!data || typeof data !== 'object') return fallback;
+
+        let options = fallback.options;
+        if (data.options && typeof data.options === 'object') {
+            const chosen = { ...fallback.options, ...pickSetupOptions(data.options) };
+            try {
+                validateGameOptions({ ...DEFAULT_GAME_OPTIONS, ...chosen });
+                options = chosen;
+            } catch (error) {
+                // Keep the fallback's options
+            }
+        }
+
+        const seats = Array.isArray(data.seats) ? data.seats : [];
+        return {
+            playerCount: Number.isInteger(data.playerCount) && data.playerCount >= 2 && data.playerCount <= 6
+                ? data.playerCount
+                : fallback.playerCount,
+            seats: fallback.seats.map((seat, triangleIndex) => readSeat(seats[triangleIndex]) || seat),
+            colors: PlayerConfig.isColorList(data.colors) ? [...data.colors] : fallback.colors,
+            options
+        };
+    },
+
+    /**
+     * Get the seats in play
+     * @param {Object} setup - The setup
+     * @returns {number[]} Triangle indices
+     */
+    getSeatedTriangles(setup) {
+        return GameConfig.getPlayerTriangleIndices(setup.playerCount);
+    },
+
+    /**
+     * Check that a setup can be played
+     * @param {Object} setup - The setup
+     * @returns {string|null} What is wrong, or null if nothing is
+     */
+    check(setup) {
+        const seats = this.getSeatedTriangles(setup).map(triangleIndex => setup.seats[triangleIndex]);
+        const remote = seats.filter(seat => seat.seatType === SeatType.Remote).length;
+        if (remote === 0) return null;
+
+        if (remote === seats.length) {
+            return 'Play one seat on this page; all the others can be remote';
+        }
+        if (remote < seats.length - 1 || seats.some(seat => seat.seatType === SeatType.AI)) {
+            return 'With remote seats, this page plays one seat, as a human: make the others remote';
+        }
+        return null;
+    },
+
+    /**
+     * Get the seat this page plays when the setup has remote seats
+     * @param {Object} setup - The setup (see check)
+     * @returns {number|null} Triangle index, or null if every seat is played here
+     */
+    getHostSeat(setup) {
+        const seated = this.getSeatedTriangles(setup);
+        if (!seated.some(triangleIndex => setup.seats[triangleIndex].seatType === SeatType.Remote)) {
+            return null;
+        }
+        return seated.find(triangleIndex => setup.seats[triangleIndex].seatType !== SeatType.Remote);
+    },
+
+    /**
+     * Start a new game as set up: colours, seats, names and options
+     * Remote seats are played as human seats; hosting the game online is
+     * left to the caller (see getHostSeat).
+     * @param {GameMode} gameMode - The game mode
+     * @param {Object} setup - The setup (see check)
+     */
+    apply(gameMode, setup) {
+        const seats = {};
+        setup.seats.forEach((seat, triangleIndex) => {
+            seats[triangleIndex] = {
+                playerType: seat.seatType === SeatType.AI ? PlayerType.AI : PlayerType.Human,
+                aiDifficulty: seat.aiDifficulty,
+                name: seat.name.trim() || null
+            };
+        });
+        gameMode.setupGame(setup.playerCount, { ...setup.options, colors: [...setup.colors] }, seats);
+    }
+};
+
+/**
+ * Copy the options chosen before play
+ * @private
+ */
+function pickSetupOptions(options) {
+    const picked = {};
+    SETUP_OPTIONS.forEach(key => {
+        if (options[key] !== undefined) {
+            picked[key] = options[key];
+        }
+    });
+    return picked;
+}
+
+/**
+ * Read a remembered seat
+ * @private
+ * @returns {Object|null} The seat, or null if it is invalid
+ */
+function readSeat(seat) {
+    if (!seat || typeof seat !== 'object' || !Object.values(SeatType).includes(seat.seatType)) {
+        return null;
+    }
+    return {
+        seatType: seat.seatType,
+        aiDifficulty: Object.values(AIDifficulty).includes(seat.aiDifficulty) ? seat.aiDifficulty : AIDifficulty.Medium,
+        name: typeof seat.name === 'string' ? seat.name.trim().slice(0, MAX_NAME_LENGTH) : ''
+    };
+}
@@ -1,12 +1,32 @@
 import { HexPosition } from '../core/hexUtils.js';
-import { MatchPhase, EventEmitter } from '../core/types.js';
-import { TriangleGenerator } from '../core/config.js';
+import { MatchPhase, MatchResult, EventEmitter } from '../core/types.js';
+import { TriangleGenerator, GameConfig, BOARD_SIZES, DEFAULT_GAME_OPTIONS } from '../core/config.js';
 import { BoardCell } from '../actors/BoardCell.js';
 import { Piece } from '../actors/Piece.js';
+import { PlayerState } from './PlayerState.js';
+import { MoveHistory } from './MoveHistory.js';
+import { SaveFormat, validateGameData } from './SaveFormat.js';
 
 // ============================================================================
 // GameState - Shared game state
 // ============================================================================
+// Changes are announced on this.events, one stream for the board, bots,
+// panels and anything else that follows the game:
+// - pieceMoved { from, to, piece }: a piece moved on the board, by a move,
+//   undo, redo or the editor
+// - moveApplied { move, playerIndex, piece }: a player's move was played
+//   (GameMode.applyMove); move is { fromPos, toPos, jumpPath }
+// - playerFinished { playerIndex, place }: a player got every piece home
+// - playerResigned { playerIndex, timeout }: a player resigned or ran out of time
+// - turnChanged { playerIndex }: the turn passed on after a move or pass
+// - historyChanged { history }: moves were recorded, undone, redone or dropped
+// - matchEnded { winner, result, standings, teamStandings }: the match is
+//   over (GameMode.endMatch)
+// - stateReset {}: a new or loaded game replaced the state
+// - moveRejected { reason }: a move was refused or a piece cannot move
+// - drawOfferChanged { offer, declinedBy? }: see GameMode.offerDraw
+// Undo and redo restore positions directly, so they emit only pieceMoved and
+// historyChanged. Copies made with clone have their own, unwatched, events.
 export class GameState {
     constructor() {
         // Board is a map of position key -> BoardCell
@@ -19,11 +39,29 @@ export class GameState {
         this.turnIndex = 0;
         this.turnOrder = [];
 
-        // Match phase
+        // Match phase, and how the match ended once it is over (a MatchResult)
         this.matchPhase = MatchPhase.WaitingToStart;
+        this.matchResult = null;
 
-        // Pre-generate all triangle positions
-        this.homeSpaces = TriangleGenerator.generateAllTriangles();
+        // Triangle indices of players who have finished, in finishing order
+        this.finishOrder = [];
+
+        // Triangle indices of players who have resigned, in resigning order;
+        // they are left out of the turn order
+        this.resigned = [];
+
+        // Each player's time left at the start of their turn, in ms by
+        // triangle index, or null for untimed games (see GameClock)
+        this.clockTimes = null;
+
+        // Rules for this game (see DEFAULT_GAME_OPTIONS); kept on reset
+        this.options = { ...DEFAULT_GAME_OPTIONS };
+
+        // Played moves, for undo/redo
+        this.history = new MoveHistory();
+
+        // Pre-generate all triangle positions (rebuilt by initializeBoard)
+        this.homeSpaces = TriangleGenerator.generateAllTriangles(this.options.boardSize);
 
         // Event emitter for state changes
         this.events = new EventEmitter();
@@ -51,13 +89,342 @@ export class GameState {
     }
 
     /**
-     * Advance to the next turn
+     * Get the name a player goes by (see PlayerState.getDisplayName)
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {string} The colour, if nobody plays that triangle
+     */
+    getPlayerName(triangleIndex) {
+        const player = this.players.find(p => p.homeTriangleIndex === triangleIndex);
+        return player ? player.getDisplayName() : this.getColorName(triangleIndex);
+    }
+
+    /**
+     * Get a triangle's colour in this game (see DEFAULT_GAME_OPTIONS.colors)
+     * @param {number} triangleIndex - Home triangle index
+     * @returns {string} A colour name (see PlayerConfig.colors)
+     */
+    getColorName(triangleIndex) {
+        return this.options.colors[triangleIndex];
+    }
+
+    /**
+     * Advance to the next turn, skipping players who have finished (unless
+     * they still move for a partner, see getControlledTriangles)
      */
     nextTurn() {
-        this.turnIndex = (this.turnIndex + 1) % this.turnOrder.length;
+        for (let i = 0; i < this.turnOrder.length; i++) {
+            this.turnIndex = (this.turnIndex + 1) % this.turnOrder.length;
+            if (this.getControlledTriangles(this.currentPlayerIndex).length > 0) break;
+        }
         this.events.emit('turnChanged', { playerIndex: this.currentPlayerIndex });
     }
 
+    /**
+     * Check if a player has finished (moved every piece into their goal)
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {boolean}
+     */
+    hasFinished(triangleIndex) {
+        return this.finishOrder.includes(triangleIndex);
+    }
+
+    /**
+     * Check if a player has resigned
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {boolean}
+     */
+    hasResigned(triangleIndex) {
+        return this.resigned.includes(triangleIndex);
+    }
+
+    /**
+     * Check if a player is still playing for a place: neither finished nor resigned
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {boolean}
+     */
+    isStillPlaying(triangleIndex) {
+        return !this.hasFinished(triangleIndex) && !this.hasResigned(triangleIndex);
+    }
+
+    /**
+     * Get a player's finishing place
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {number|null} 1 for first, or null if not finished
+     */
+    getPlace(triangleIndex) {
+        const index = this.finishOrder.indexOf(triangleIndex);
+        return index >= 0 ? index + 1 : null;
+    }
+
+    // ========================================================================
+    // Teams
+    // ========================================================================
+
+    /**
+     * Get the teams playing, from the team mode and the seated players
+     * @returns {number[][]} Triangle indices of each team; without teams every
+     *     player is a team of one
+     */
+    getTeams() {
+        const triangleIndices = this.players.map(p => p.homeTriangleIndex);
+        const teams = GameConfig.getTeams(triangleIndices, this.options.teamMode);
+        return teams || triangleIndices.map(idx => [idx]);
+    }
+
+    /**
+     * Check if the game is played in teams
+     * @returns {boolean}
+     */
+    isTeamGame() {
+        return GameConfig.getTeams(this.players.map(p => p.homeTriangleIndex), this.options.teamMode) !== null;
+    }
+
+    /**
+     * Get the team a player belongs to
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {number[]} Triangle indices of the team (including the player)
+     */
+    getTeam(triangleIndex) {
+        return this.getTeams().find(team => team.includes(triangleIndex)) || [triangleIndex];
+    }
+
+    /**
+     * Check if every member of a player's team has finished, not counting
+     * members who resigned (a team whose members all resigned has not finished)
+     * @param {number} triangleIndex - Home triangle index of any team member
+     * @returns {boolean}
+     */
+    hasTeamFinished(triangleIndex) {
+        const members = this.getTeam(triangleIndex).filter(idx => !this.hasResigned(idx));
+        return members.length > 0 && members.every(idx => this.hasFinished(idx));
+    }
+
+    /**
+     * Check if every member of a player's team has resigned
+     * @param {number} triangleIndex - Home triangle index of any team member
+     * @returns {boolean}
+     */
+    hasTeamResigned(triangleIndex) {
+        return this.getTeam(triangleIndex).every(idx => this.hasResigned(idx));
+    }
+
+    /**
+     * Get whose pieces a player moves on their turn: their own until they
+     * finish, then (with teamAssist) those of their partners still playing
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {number[]} Triangle indices of the pieces' owners (empty if the player sits out)
+     */
+    getControlledTriangles(triangleIndex) {
+        if (!this.hasFinished(triangleIndex)) return [triangleIndex];
+        if (!this.options.teamAssist) return [];
+
+        return this.getTeam(triangleIndex).filter(idx => this.isStillPlaying(idx));
+    }
+
+    /**
+     * Count a player's pieces in their goal triangles (each army's pieces in its own goal)
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {number}
+     */
+    getPiecesInGoal(triangleIndex) {
+        const player = this.players.find(p => p.homeTriangleIndex === triangleIndex);
+        const armies = player ? player.armies : [triangleIndex];
+        return armies.reduce((count, armyIndex) => {
+            const goal = this.getTrianglePositions(GameConfig.getGoalTriangleIndex(armyIndex));
+            return count + goal.filter(pos => {
+                const piece = this.getPieceAt(pos);
+                return piece !== null && piece.belongsTo(triangleIndex) && piece.getArmyIndex() === armyIndex;
+            }).length;
+        }, 0);
+    }
+
+    /**
+     * Get the player an army belongs to
+     * @param {number} armyIndex - The army's home triangle index
+     * @returns {PlayerState|null}
+     */
+    getArmyOwner(armyIndex) {
+        return this.players.find(p => p.armies.includes(armyIndex)) || null;
+    }
+
+    // ========================================================================
+    // Move History
+    // ========================================================================
+
+    /**
+     * Capture the turn-related state that a move or resignation changes
+     * (clock times only in timed games)
+     * @returns {{ turnIndex: number, turnOrder: number[], matchPhase: string, matchResult: string|null,
+     *     finishOrder: number[], resigned: number[], clockTimes?: Object }}
+     */
+    captureTurnState() {
+        return {
+            turnIndex: this.turnIndex,
+            turnOrder: [...this.turnOrder],
+            matchPhase: this.matchPhase,
+            matchResult: this.matchResult,
+            finishOrder: [...this.finishOrder],
+            resigned: [...this.resigned],
+            ...(this.clockTimes ? { clockTimes: { ...this.clockTimes } } : {})
+        };
+    }
+
+    /**
+     * Restore turn-related state captured with captureTurnState
+     * Turn states recorded before resignations existed have no turn order
+     * (it was fixed for the game) and nobody resigned; untimed games and
+     * those recorded before clocks existed have no clock times.
+     * @param {{ turnIndex: number, turnOrder?: number[], matchPhase: string, matchResult?: string|null,
+     *     finishOrder?: number[], resigned?: number[], clockTimes?: Object }} turnState
+     */
+    restoreTurnState(turnState) {
+        this.turnIndex = turnState.turnIndex;
+        if (turnState.turnOrder) {
+            this.turnOrder = [...turnState.turnOrder];
+        }
+        this.matchPhase = turnState.matchPhase;
+        this.matchResult = getMatchResult(turnState);
+        this.finishOrder = turnState.finishOrder ? [...turnState.finishOrder] : [];
+        this.resigned = turnState.resigned ? [...turnState.resigned] : [];
+        if (turnState.clockTimes) {
+            this.clockTimes = { ...turnState.clockTimes };
+        }
+    }
+
+    /**
+     * Take a player out of the game: add them to the resigned players, drop
+     * them from the turn order and optionally take their pieces off the board.
+     * The turn stays with the player to move, or passes on if it was the
+     * resigning player's turn.
+     * @param {number} triangleIndex - The player's home triangle index
+     * @param {boolean} removePieces - True to remove the player's pieces,
+     *     false to leave them on the board as obstacles
+     * @returns {Array<{ key: string, armyIndex: number }>} The pieces removed
+     */
+    resignPlayer(triangleIndex, removePieces) {
+        const player = this.players.find(p => p.homeTriangleIndex === triangleIndex);
+        const pieces = removePieces ? this._getPieceList(player) : [];
+        this.removePieces(pieces);
+        this.resigned = [...this.resigned, triangleIndex];
+
+        const index = this.turnOrder.indexOf(triangleIndex);
+        const wasCurrent = index === this.turnIndex;
+        this.turnOrder = this.turnOrder.filter(idx => idx !== triangleIndex);
+        if (index < this.turnIndex) {
+            this.turnIndex--;
+        } else if (wasCurrent && this.turnOrder.length > 0) {
+            // Step back so the next turn goes to whoever followed the player
+            this.turnIndex = (index - 1 + this.turnOrder.length) % this.turnOrder.length;
+            this.nextTurn();
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Take pieces off the board and out of their owners' positions
+     * @param {Array<{ key: string }>} pieces - The pieces' cells
+     */
+    removePieces(pieces) {
+        pieces.forEach(({ key }) => {
+            const piece = this.removePieceAt(HexPosition.fromKey(key));
+            const owner = piece && this.players.find(p => p.homeTriangleIndex === piece.getOwnerPlayerIndex());
+            if (owner) {
+                owner.removePiecePosition(key);
+            }
+        });
+    }
+
+    /**
+     * Put a player's removed pieces back on the board
+     * @param {number} triangleIndex - The player's home triangle index
+     * @param {Array<{ key: string, armyIndex: number }>} pieces - As returned by resignPlayer
+     */
+    restorePieces(triangleIndex, pieces) {
+        const player = this.players.find(p => p.homeTriangleIndex === triangleIndex);
+        pieces.forEach(({ key, armyIndex }) => {
+            const pos = HexPosition.fromKey(key);
+            this.placePiece(pos, new Piece(pos, triangleIndex, armyIndex));
+            player.addPiecePosition(key);
+        });
+    }
+
+    /**
+     * List a player's pieces with their armies
+     * @private
+     */
+    _getPieceList(player) {
+        return Array.from(player.piecePositions, key => ({
+            key,
+            armyIndex: this.getBoardCellByKey(key).getPiece().getArmyIndex()
+        }));
+    }
+
+    /**
+     * Record a completed move in the history
+     * @param {Object} entry - A MoveHistory entry
+     */
+    recordMove(entry) {
+        this.history.record(entry);
+        this.events.emit('historyChanged', { history: this.history });
+    }
+
+    /**
+     * Take back the last played move (or resignation)
+     * @returns {Object|null} The undone entry, or null if there was none
+     */
+    undoMove() {
+        const entry = this.history.stepBack();
+        if (!entry) return null;
+
+        if (MoveHistory.isResignation(entry)) {
+            this.restorePieces(entry.playerIndex, entry.pieces);
+        } else {
+            this.movePiece(HexPosition.fromKey(entry.to), HexPosition.fromKey(entry.from));
+        }
+        this.restoreTurnState(entry.before);
+
+        this.events.emit('historyChanged', { history: this.history });
+        return entry;
+    }
+
+    /**
+     * Replay the next undone move (or resignation)
+     * @returns {Object|null} The redone entry, or null if there was none
+     */
+    redoMove() {
+        const entry = this.history.stepForward();
+        if (!entry) return null;
+
+        if (MoveHistory.isResignation(entry)) {
+            this.removePieces(entry.pieces);
+        } else {
+            this.movePiece(HexPosition.fromKey(entry.from), HexPosition.fromKey(entry.to));
+        }
+        this.restoreTurnState(entry.after);
+
+        this.events.emit('historyChanged', { history: this.history });
+        return entry;
+    }
+
+    /**
+     * Forget every move, keeping the current position
+     */
+    clearHistory() {
+        this.history.clear();
+        this.events.emit('historyChanged', { history: this.history });
+    }
+
+    /**
+     * Discard the undone moves so play branches from the current position
+     */
+    discardUndoneMoves() {
+        if (!this.history.canRedo()) return;
+
+        this.history.truncate();
+        this.events.emit('historyChanged', { history: this.history });
+    }
+
     // ========================================================================
     // Board Access
     // ========================================================================
@@ -183,15 +550,18 @@ export class GameState {
 
     /**
      * Initialize the board structure (cells only, no pieces)
+     * The board is built for options.boardSize.
      */
     initializeBoard() {
+        const size = this.options.boardSize;
         this.board.clear();
+        this.homeSpaces = TriangleGenerator.generateAllTriangles(size);
 
-        // Create the central hexagon (radius 4, side length 5)
-        for (let q = -4; q <= 4; q++) {
-            for (let r = -4; r <= 4; r++) {
+        // Create the central hexagon (radius size, side length size + 1)
+        for (let q = -size; q <= size; q++) {
+            for (let r = -size; r <= size; r++) {
                 const s = -q - r;
-                if (Math.abs(s) <= 4) {
+                if (Math.abs(s) <= size) {
                     const pos = new HexPosition(q, r);
                     const cell = new BoardCell(pos, -1); // -1 = center
                     this.board.set(pos.key, cell);
@@ -217,6 +587,14 @@ export class GameState {
         return this.homeSpaces[triangleIndex];
     }
 
+    /**
+     * Get the number of pieces each player has on this board
+     * @returns {number}
+     */
+    getPiecesPerPlayer() {
+        return GameConfig.getPiecesPerPlayer(this.options.boardSize);
+    }
+
     /**
      * Get the home index for a position (which triangle it belongs to)
      * @param {HexPosition} pos - The position to check
@@ -237,8 +615,13 @@ export class GameState {
     reset() {
         this.turnIndex = 0;
         this.matchPhase = MatchPhase.WaitingToStart;
+        this.matchResult = null;
+        this.finishOrder = [];
+        this.resigned = [];
+        this.clockTimes = null;
         this.players = [];
         this.turnOrder = [];
+        this.history.clear();
 
         // Clear all pieces from cells
         this.board.forEach(cell => {
@@ -248,6 +631,218 @@ export class GameState {
         this.events.emit('stateReset', {});
     }
 
+    /**
+     * Create an independent copy of this state (board, pieces, players, turn, history)
+     * The copy has its own event emitter, so changes to it are silent
+     * @returns {GameState}
+     */
+    clone() {
+        const copy = new GameState();
+
+        this.board.forEach((cell, key) => {
+            const cellCopy = new BoardCell(cell.getPosition(), cell.getHomeIndex());
+            if (cell.hasPiece()) {
+                const piece = cell.getPiece();
+                cellCopy.setPiece(new Piece(cell.getPosition(), piece.getOwnerPlayerIndex(), piece.getArmyIndex()));
+            }
+            copy.board.set(key, cellCopy);
+        });
+
+        copy.players = this.players.map(p => p.clone());
+        copy.turnIndex = this.turnIndex;
+        copy.turnOrder = [...this.turnOrder];
+        copy.matchPhase = this.matchPhase;
+        copy.matchResult = this.matchResult;
+        copy.finishOrder = [...this.finishOrder];
+        copy.resigned = [...this.resigned];
+        copy.clockTimes = this.clockTimes ? { ...this.clockTimes } : null;
+        copy.options = { ...this.options };
+        copy.homeSpaces = this.homeSpaces;
+        copy.history = this.history.clone();
+
+        return copy;
+    }
+
+    // ========================================================================
+    // Position Snapshots
+    // ========================================================================
+    // A position snapshot is a plain, structured-clone friendly object:
+    // {
+    //     players: [{
+    //         homeTriangleIndex, playerType, aiDifficulty,
+    //         name?: string|null,    // The player's name (null or missing: their colour)
+    //         piecePositions: string[],
+    //         armies?: [{ triangleIndex, piecePositions: string[] }] // Only for players
+    //     }],                                                        // with several armies
+    //     turnOrder: number[],   // Triangle indices in turn order
+    //     turnIndex: number,
+    //     matchPhase: string,
+    //     matchResult: string|null, // A MatchResult once the match is over
+    //     finishOrder: number[], // Triangle indices of finished players, first place first
+    //     resigned: number[],    // Triangle indices of players who resigned (not in turnOrder)
+    //     clockTimes: Object|null, // Each player's time left at the start of their turn,
+    //                              // in ms by triangle index (null when untimed; a timed
+    //                              // position without it starts with full clocks)
+    //     options: Object        // Game options (see DEFAULT_GAME_OPTIONS)
+    // }
+
+    /**
+     * Capture the current position as a plain object
+     * @returns {Object} Position snapshot
+     */
+    toPosition() {
+        return {
+            players: this.players.map(p => ({
+                homeTriangleIndex: p.homeTriangleIndex,
+                playerType: p.playerType,
+                aiDifficulty: p.aiDifficulty,
+                name: p.name,
+                piecePositions: Array.from(p.piecePositions),
+                ...(p.hasSeveralArmies() ? { armies: this._getArmyPositions(p) } : {})
+            })),
+            turnOrder: [...this.turnOrder],
+            turnIndex: this.turnIndex,
+            matchPhase: this.matchPhase,
+            matchResult: this.matchResult,
+            finishOrder: [...this.finishOrder],
+            resigned: [...this.resigned],
+            clockTimes: this.clockTimes ? { ...this.clockTimes } : null,
+            options: { ...this.options }
+        };
+    }
+
+    /**
+     * Build a new game state from a position snapshot
+     * @param {Object} position - Position snapshot (see toPosition)
+     * @returns {GameState}
+     */
+    static fromPosition(position) {
+        const state = new GameState();
+        state.options = { ...DEFAULT_GAME_OPTIONS, ...position.options };
+        state.initializeBoard();
+        state._applyPosition(position);
+        return state;
+    }
+
+    /**
+     * Set up players, pieces and turn from a position snapshot
+     * Expects an initialized, empty board
+     * @private
+     */
+    _applyPosition(position) {
+        // Options first: players take their colours from them
+        this.options = { ...DEFAULT_GAME_OPTIONS, ...position.options };
+
+        position.players.forEach((data, playerIndex) => {
+            const armies = data.armies || [{ triangleIndex: data.homeTriangleIndex, piecePositions: data.piecePositions }];
+            const playerState = new PlayerState(playerIndex, data.homeTriangleIndex,
+                this.getColorName(data.homeTriangleIndex), armies.map(a => a.triangleIndex));
+            playerState.setController(data.playerType, data.aiDifficulty);
+            playerState.setName(data.name);
+            armies.forEach(({ triangleIndex, piecePositions }) => {
+                piecePositions.forEach(key => {
+                    const pos = HexPosition.fromKey(key);
+                    this.placePiece(pos, new Piece(pos, data.homeTriangleIndex, triangleIndex));
+                    playerState.addPiecePosition(key);
+                });
+            });
+            this.players.push(playerState);
+        });
+
+        this.turnOrder = [...position.turnOrder];
+        this.turnIndex = position.turnIndex;
+        this.matchPhase = position.matchPhase;
+        this.matchResult = getMatchResult(position);
+        this.finishOrder = position.finishOrder ? [...position.finishOrder] : [];
+        this.resigned = position.resigned ? [...position.resigned] : [];
+        this.clockTimes = position.clockTimes
+            ? { ...position.clockTimes }
+            : GameConfig.getClockTimes(this.options, this.players.map(p => p.homeTriangleIndex));
+    }
+
+    /**
+     * List the pieces of each of a player's armies
+     * @private
+     * @returns {Array<{ triangleIndex: number, piecePositions: string[] }>}
+     */
+    _getArmyPositions(playerState) {
+        const keys = Array.from(playerState.piecePositions);
+        return playerState.armies.map(triangleIndex => ({
+            triangleIndex,
+            piecePositions: keys.filter(key => this.getBoardCellByKey(key).getPiece().getArmyIndex() === triangleIndex)
+        }));
+    }
+
+    // ========================================================================
+    // Save / Load
+    // ========================================================================
+
+    /**
+     * Serialize the full game, including move history (see SaveFormat.js)
+     * @returns {Object} Save data, ready for JSON.stringify
+     */
+    toJSON() {
+        return {
+            format: SaveFormat.FORMAT,
+            version: SaveFormat.VERSION,
+            playerCount: this.players.length,
+            ...this.toPosition(),
+            history: {
+                entries: this.history.entries.map(entry => JSON.parse(JSON.stringify(entry))),
+                cursor: this.history.cursor
+            }
+        };
+    }
+
+    /**
+     * Build a new game state from save data, validating it first
+     * @param {Object} data - Parsed save data (see SaveFormat.js)
+     * @returns {GameState}
+     * @throws {GameDataError} If the data is corrupt or inconsistent
+     */
+    static fromJSON(data) {
+        // Build the saved board size; an unknown size is rejected by validation
+        const state = new GameState();
+        const boardSize = data && data.options && data.options.boardSize;
+        if (BOARD_SIZES.includes(boardSize)) {
+            state.options = { ...state.options, boardSize };
+        }
+        state.initializeBoard();
+        validateGameData(data, state);
+
+        state._applyPosition(data);
+        state.history.entries = data.history.entries.map(entry => JSON.parse(JSON.stringify(entry)));
+        state.history.cursor = data.history.cursor;
+
+        return state;
+    }
+
+    /**
+     * Replace this game with one loaded from save data
+     * Nothing changes if the data is invalid. Event listeners are kept.
+     * @param {Object} data - Parsed save data (see SaveFormat.js)
+     * @throws {GameDataError} If the data is corrupt or inconsistent
+     */
+    loadJSON(data) {
+        const loaded = GameState.fromJSON(data);
+
+        this.board = loaded.board;
+        this.homeSpaces = loaded.homeSpaces;
+        this.players = loaded.players;
+        this.turnIndex = loaded.turnIndex;
+        this.turnOrder = loaded.turnOrder;
+        this.matchPhase = loaded.matchPhase;
+        this.matchResult = loaded.matchResult;
+        this.finishOrder = loaded.finishOrder;
+        this.resigned = loaded.resigned;
+        this.clockTimes = loaded.clockTimes;
+        this.options = loaded.options;
+        this.history = loaded.history;
+
+        this.events.emit('stateReset', {});
+        this.events.emit('historyChanged', { history: this.history });
+    }
+
     // ========================================================================
     // Iteration
     // ========================================================================
@@ -268,3 +863,14 @@ export class GameState {
         return Array.from(this.board.values());
     }
 }
+
+/**
+ * Get how a saved position or turn state ended, treating finished matches
+ * from before results were recorded as wins
+ * @param {{ matchPhase: string, matchResult?: string|null }} state
+ * @returns {string|null} A MatchResult, or null while the match is not over
+ */
+function getMatchResult(state) {
+    if (state.matchPhase !== MatchPhase.GameOver) return null;
+    return state.matchResult || MatchResult.Win;
+}
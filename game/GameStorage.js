@@ -0,0 +1,124 @@
+// ============================================================================
+// GameStorage - Autosave of the current game and the setup for new games in
+// localStorage, and the online seat held by this tab in sessionStorage
+// ============================================================================
+const AUTOSAVE_KEY = 'chinese-checkers.autosave';
+const SETUP_KEY = 'chinese-checkers.setup';
+const ONLINE_SESSION_KEY = 'chinese-checkers.online-session';
+
+export const GameStorage = {
+    /**
+     * Check if localStorage can be used
+     * @returns {boolean}
+     */
+    isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false; // Access itself can throw when storage is blocked
+        }
+    },
+
+    /**
+     * Save a game as the autosave
+     * @param {GameState} gameState - The game to save
+     */
+    saveAutosave(gameState) {
+        if (!this.isAvailable()) return;
+        try {
+            localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(gameState));
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+        }
+    },
+
+    /**
+     * Read the autosave
+     * @returns {Object|null} Parsed save data (not yet validated), or null if there is none
+     */
+    loadAutosave() {
+        if (!this.isAvailable()) return null;
+        try {
+            const text = localStorage.getItem(AUTOSAVE_KEY);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.warn('Autosave unreadable:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Delete the autosave
+     */
+    clearAutosave() {
+        if (!this.isAvailable()) return;
+        try {
+            localStorage.removeItem(AUTOSAVE_KEY);
+        } catch (error) {
+            console.warn('Could not clear autosave:', error);
+        }
+    },
+
+    /**
+     * Remember how new games are set up
+     * @param {Object} setup - The setup (see GameSetup.js)
+     */
+    saveSetup(setup) {
+        if (!this.isAvailable()) return;
+        try {
+            localStorage.setItem(SETUP_KEY, JSON.stringify(setup));
+        } catch (error) {
+            console.warn('Could not save the game setup:', error);
+        }
+    },
+
+    /**
+     * Read how new games are set up
+     * @returns {Object|null} Parsed setup (not yet checked, see
+     *     GameSetup.fromJSON), or null if there is none
+     */
+    loadSetup() {
+        if (!this.isAvailable()) return null;
+        try {
+            const text = localStorage.getItem(SETUP_KEY);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.warn('Game setup unreadable:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Remember the online seat held by this tab, to take it back after a
+     * reload. Kept per tab, so two tabs can hold different seats.
+     * @param {{ url: string, code: string, token: string }|null} session -
+     *     The server ('tabs' for a game hosted by a tab), join code and
+     *     seat token, or null to forget it
+     */
+    saveOnlineSession(session) {
+        try {
+            if (session) {
+                sessionStorage.setItem(ONLINE_SESSION_KEY, JSON.stringify(session));
+            } else {
+                sessionStorage.removeItem(ONLINE_SESSION_KEY);
+            }
+        } catch (error) {
+            // No sessionStorage: a reload leaves the seat instead
+        }
+    },
+
+    /**
+     * Read the online seat held by this tab
+     * @returns {{ url: string, code: string, token: string }|null}
+     */
+    loadOnlineSession() {
+        try {
+            const text = sessionStorage.getItem(ONLINE_SESSION_KEY);
+            const session = text ? JSON.parse(text) : null;
+            return session && typeof session.url === 'string' && typeof session.code === 'string'
+                && typeof session.token === 'string' ? session : null;
+        } catch (error) {
+            return null;
+        }
+    }
+};
@@ -0,0 +1,108 @@
+import { HexPosition } from '../core/hexUtils.js';
+import { GameConfig } from '../core/config.js';
+
+// ============================================================================
+// GoalRules - Foreign-goal stay limit (anti-blocking)
+// ============================================================================
+// Pieces parked in an opponent's goal can stop that opponent from ever
+// finishing. With gameState.options.foreignStayLimit set to n > 0, a piece
+// may stay in another player's goal triangle for at most n of its owner's
+// turns. Once a piece is overdue its owner must move an overdue piece out of
+// that triangle; if none can get out this turn, the owner must at least move
+// an overdue piece, and only if no overdue piece can move is any move allowed.
+//
+// Stays are counted from the move history, so undo, redo, saves and links
+// need no extra state. Pieces on the board when the history starts count
+// from then. (The other anti-blocking rule, WinRule.OccupiedGoal, is part of
+// PlayerState.hasWon.)
+export const GoalRules = {
+    /**
+     * Get the player whose goal a cell is in, if it is another player's goal
+     * that the stay limit applies to
+     * @param {GameState} gameState - The game state
+     * @param {number} triangleIndex - Home triangle index of the piece's owner
+     * @param {HexPosition} pos - The cell
+     * @returns {number} Home triangle index of the goal's player, or -1
+     */
+    getForeignGoalOwner(gameState, triangleIndex, pos) {
+        const cellTriangle = gameState.getHomeIndex(pos);
+        if (cellTriangle < 0) return -1;
+
+        // The goal belongs to whoever has the army that starts opposite
+        const owner = gameState.getArmyOwner(GameConfig.getGoalTriangleIndex(cellTriangle));
+        const goalOwner = owner ? owner.homeTriangleIndex : -1;
+        const isOpponent = goalOwner >= 0 && goalOwner !== triangleIndex && gameState.isStillPlaying(goalOwner);
+        return isOpponent ? goalOwner : -1;
+    },
+
+    /**
+     * Find a player's pieces that have stayed in another player's goal for
+     * the limit or longer
+     * @param {GameState} gameState - The game state
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {Array<{ key: string, goalOwner: number, turns: number }>} The
+     *     overdue pieces' cells, whose goal they are in, and the owner's turns since arriving
+     */
+    getOverduePieces(gameState, triangleIndex) {
+        const limit = gameState.options.foreignStayLimit;
+        const player = gameState.players.find(p => p.homeTriangleIndex === triangleIndex);
+        if (!limit || !player) return [];
+
+        const played = gameState.history.getPlayedMoves();
+        const overdue = [];
+
+        player.piecePositions.forEach(key => {
+            const pos = HexPosition.fromKey(key);
+            const goalOwner = this.getForeignGoalOwner(gameState, triangleIndex, pos);
+            if (goalOwner < 0) return;
+
+            // Follow the piece back through its moves (a partner may have made
+            // some) to when it entered the triangle
+            const triangle = gameState.getHomeIndex(pos);
+            let cellKey = key;
+            let arrival = 0; // Number of moves made before the piece arrived
+            for (let i = played.length - 1; i >= 0; i--) {
+                if (played[i].to !== cellKey) continue;
+                if (gameState.getHomeIndex(HexPosition.fromKey(played[i].from)) !== triangle) {
+                    arrival = i + 1;
+                    break;
+                }
+                cellKey = played[i].from;
+            }
+
+            const turns = played.slice(arrival).filter(entry => entry.playerIndex === triangleIndex).length;
+            if (turns >= limit) {
+                overdue.push({ key, goalOwner, turns });
+            }
+        });
+
+        return overdue;
+    },
+
+    /**
+     * Describe why a player's move is limited by overdue pieces
+     * @param {GameState} gameState - The game state
+     * @param {number} triangleIndex - The player's home triangle index
+     * @param {{ overdue: Object[], mustLeave: boolean }} restriction - From MoveCalculator.getStayRestriction
+     * @returns {string}
+     */
+    describeRestriction(gameState, triangleIndex, restriction) {
+        const limit = gameState.options.foreignStayLimit;
+        const name = gameState.getPlayerName(triangleIndex);
+        const { overdue, mustLeave } = restriction;
+        const action = mustLeave ? 'must leave' : 'must move';
+        const turnsText = (count) => `${count} turn${count === 1 ? '' : 's'}`;
+
+        if (overdue.length === 1) {
+            const { key, goalOwner, turns } = overdue[0];
+            const goalName = gameState.getPlayerName(goalOwner);
+            return `${name}'s piece on ${key} has been in ${goalName}'s goal for ${turnsText(turns)} `
+                + `(limit ${limit}) and ${action} this turn`;
+        }
+
+        const keys = overdue.map(o => o.key);
+        const list = `${keys.slice(0, -1).join(', ')} and ${keys[keys.length - 1]}`;
+        return `${name}'s pieces on ${list} have been in an opponent's goal for ${turnsText(limit)} or more; `
+            + `one of them ${action} this turn`;
+    }
+};
@@ -1,9 +1,17 @@
-import { HEX_DIRECTIONS } from '../core/hexUtils.js';
-import { createSimpleMove, createJumpMove } from '../core/types.js';
+import { HEX_DIRECTIONS, HexPosition } from '../core/hexUtils.js';
+import { createSimpleMove, createJumpMove, RuleSet } from '../core/types.js';
+import { GoalRules } from './GoalRules.js';
 
 // ============================================================================
 // MoveCalculator - Calculates valid moves for pieces
 // ============================================================================
+// Jumps follow the game's rule set (gameState.options.ruleSet):
+//   Classic     Hop over an adjacent piece into the cell directly beyond it,
+//               chaining as many hops as wanted
+//   LongRange   Jump over a piece at any distance along a line of empty cells,
+//               landing the same distance beyond it, chaining jumps
+//   SingleJump  Classic hops, but at most one per turn
+// Moves also follow the foreign-goal stay limit (see GoalRules.js).
 export class MoveCalculator {
     /**
      * Create a new move calculator
@@ -11,14 +19,62 @@ export class MoveCalculator {
      */
     constructor(gameState) {
         this.gameState = gameState;
+        this._overdueCache = null; // Overdue pieces per player for one history state
     }
 
     /**
      * Find all valid moves for a piece at a given position
      * @param {HexPosition} startPos - The starting position
+     * @param {boolean} [applyStayLimit=true] - False to ignore the foreign-goal stay limit
      * @returns {Array} Array of MoveInfo objects
      */
-    findValidMoves(startPos) {
+    findValidMoves(startPos, applyStayLimit = true) {
+        const moves = this._findPieceMoves(startPos);
+        const piece = this.gameState.getPieceAt(startPos);
+        if (!applyStayLimit || !piece) return moves;
+
+        const restriction = this.getStayRestriction(piece.getOwnerPlayerIndex());
+        return restriction ? moves.filter(move => restriction.allows(startPos, move.targetPos)) : moves;
+    }
+
+    /**
+     * Get how the foreign-goal stay limit restricts a player's moves this turn
+     * @param {number} triangleIndex - The player's home triangle index
+     * @returns {{ overdue: Object[], mustLeave: boolean, allows: Function }|null}
+     *     The overdue pieces that can move (see GoalRules.getOverduePieces),
+     *     whether one of them must leave its triangle, and a check
+     *     allows(fromPos, toPos); null if the player's moves are not restricted
+     */
+    getStayRestriction(triangleIndex) {
+        if (!this.gameState.options.foreignStayLimit) return null;
+
+        // Overdue pieces that are still on the board and can move
+        const movable = this._getOverduePieces(triangleIndex)
+            .map(overdue => ({ ...overdue, pos: HexPosition.fromKey(overdue.key) }))
+            .filter(({ pos }) => {
+                const piece = this.gameState.getPieceAt(pos);
+                return piece && piece.belongsTo(triangleIndex);
+            })
+            .map(overdue => ({ ...overdue, moves: this._findPieceMoves(overdue.pos) }))
+            .filter(overdue => overdue.moves.length > 0);
+        if (movable.length === 0) return null;
+
+        const leaves = (fromPos, toPos) => this.gameState.getHomeIndex(toPos) !== this.gameState.getHomeIndex(fromPos);
+        const mustLeave = movable.some(({ pos, moves }) => moves.some(move => leaves(pos, move.targetPos)));
+        const keys = new Set(movable.map(overdue => overdue.key));
+
+        return {
+            overdue: movable.map(({ key, goalOwner, turns }) => ({ key, goalOwner, turns })),
+            mustLeave,
+            allows: (fromPos, toPos) => keys.has(fromPos.key) && (!mustLeave || leaves(fromPos, toPos))
+        };
+    }
+
+    /**
+     * Find every move for a piece under the jump rules alone
+     * @private
+     */
+    _findPieceMoves(startPos) {
         const visited = new Set();
         const moves = [];
 
@@ -27,6 +83,27 @@ export class MoveCalculator {
         return moves;
     }
 
+    /**
+     * Get a player's overdue pieces, cached until the history changes
+     * (searches move pieces without recording history, so callers check
+     * the pieces are still there)
+     * @private
+     */
+    _getOverduePieces(triangleIndex) {
+        const history = this.gameState.history;
+        const lastEntry = history.entries[history.cursor - 1];
+        const cache = this._overdueCache;
+        if (!cache || cache.history !== history || cache.cursor !== history.cursor || cache.lastEntry !== lastEntry) {
+            this._overdueCache = { history, cursor: history.cursor, lastEntry, byPlayer: new Map() };
+        }
+
+        const byPlayer = this._overdueCache.byPlayer;
+        if (!byPlayer.has(triangleIndex)) {
+            byPlayer.set(triangleIndex, GoalRules.getOverduePieces(this.gameState, triangleIndex));
+        }
+        return byPlayer.get(triangleIndex);
+    }
+
     /**
      * Recursive helper to find moves
      * @private
@@ -55,11 +132,16 @@ export class MoveCalculator {
      * @private
      */
     _checkJumpInDirection(startPos, currentPos, dir, currentPath, visited, moves) {
+        const ruleSet = this.gameState.options.ruleSet;
+        const maxPieceDistance = ruleSet === RuleSet.LongRange ? Infinity : 1;
         let distance = 1;
         let foundPiece = false;
         let pieceDistance = 0;
 
-        while (distance <= 16) {
+        // The longest line across the board has 4 * boardSize + 1 cells
+        const maxDistance = 4 * this.gameState.options.boardSize;
+
+        while (distance <= maxDistance) {
             const checkPos = currentPos.add(dir.scale(distance));
 
             // Off the board - stop checking this direction
@@ -75,6 +157,8 @@ export class MoveCalculator {
                     }
                     foundPiece = true;
                     pieceDistance = distance;
+                } else if (distance >= maxPieceDistance) {
+                    break; // Nothing close enough to jump
                 }
             } else {
                 if (isOccupied) {
@@ -85,7 +169,9 @@ export class MoveCalculator {
                         const newPath = [...currentPath, checkPos];
                         moves.push(createJumpMove(checkPos, newPath));
                         // Recursively find more jumps from this position
-                        this._findMoves(startPos, checkPos, true, newPath, visited, moves);
+                        if (ruleSet !== RuleSet.SingleJump) {
+                            this._findMoves(startPos, checkPos, true, newPath, visited, moves);
+                        }
                     }
                     break;
                 }
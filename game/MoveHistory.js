@@ -0,0 +1,142 @@
+import { HistoryEntryType } from '../core/types.js';
+
+// ============================================================================
+// MoveHistory - Ordered record of played moves with an undo/redo cursor
+// ============================================================================
+// Each entry is a plain object:
+// {
+//     from: string,         // Position key the piece left
+//     to: string,           // Position key the piece arrived at
+//     jumpPath: string[],   // Landing keys of each hop for jumps, [] for steps
+//     playerIndex: number,  // Mover's home triangle index
+//     pieceOwner?: number,  // Piece owner's home triangle index, when a team
+//                           // partner moved it (omitted for the mover's own pieces)
+//     turnIndex: number,    // GameState.turnIndex when the move was made
+//     before: Object,       // GameState turn state before the move (see captureTurnState)
+//     after: Object         // GameState turn state after the move
+// }
+// A resignation (see GameMode.resign) is recorded in the same list as:
+// {
+//     type: 'Resign',       // HistoryEntryType.Resign; moves have no type
+//     playerIndex: number,  // Resigning player's home triangle index
+//     pieces: [{ key, armyIndex }], // Pieces taken off the board ([] when left as obstacles)
+//     timeout?: true,       // Present when the player ran out of time (see GameClock)
+//     turnIndex, before, after      // As for moves
+// }
+// Entries before the cursor have been played; entries from the cursor on
+// have been undone and can be redone until a new move is recorded.
+export class MoveHistory {
+    constructor() {
+        this.entries = [];
+        this.cursor = 0;
+    }
+
+    /**
+     * Check if an entry records a resignation rather than a move
+     * @param {Object} entry - A history entry
+     * @returns {boolean}
+     */
+    static isResignation(entry) {
+        return entry.type === HistoryEntryType.Resign;
+    }
+
+    /**
+     * Record a new move, discarding any undone moves
+     * @param {Object} entry - The move entry
+     */
+    record(entry) {
+        this.entries.length = this.cursor;
+        this.entries.push(entry);
+        this.cursor = this.entries.length;
+    }
+
+    /**
+     * Check if there is a move to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.cursor > 0;
+    }
+
+    /**
+     * Check if there is a move to redo
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.cursor < this.entries.length;
+    }
+
+    /**
+     * Move the cursor back one move
+     * @returns {Object|null} The entry to undo
+     */
+    stepBack() {
+        if (!this.canUndo()) return null;
+        this.cursor--;
+        return this.entries[this.cursor];
+    }
+
+    /**
+     * Move the cursor forward one move
+     * @returns {Object|null} The entry to redo
+     */
+    stepForward() {
+        if (!this.canRedo()) return null;
+        const entry = this.entries[this.cursor];
+        this.cursor++;
+        return entry;
+    }
+
+    /**
+     * Get the moves that have been played (up to the cursor)
+     * @returns {Object[]}
+     */
+    getPlayedEntries() {
+        return this.entries.slice(0, this.cursor);
+    }
+
+    /**
+     * Get the moves that have been played, leaving out resignations
+     * @returns {Object[]}
+     */
+    getPlayedMoves() {
+        return this.getPlayedEntries().filter(entry => !MoveHistory.isResignation(entry));
+    }
+
+    /**
+     * Discard the undone moves, so the game continues from the cursor
+     */
+    truncate() {
+        this.entries.length = this.cursor;
+    }
+
+    /**
+     * Create a copy with its own entry list (entries themselves are shared
+     * and never changed once recorded)
+     * @returns {MoveHistory}
+     */
+    clone() {
+        const copy = new MoveHistory();
+        copy.entries = [...this.entries];
+        copy.cursor = this.cursor;
+        return copy;
+    }
+
+    /**
+     * Replace the history with moves that have all been played, such as
+     * those an engine search receives (see EngineProtocol.js)
+     * @param {Object[]} entries - The played entries, in order
+     */
+    loadPlayed(entries) {
+        this.entries = [...entries];
+        this.cursor = this.entries.length;
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.entries = [];
+        this.cursor = 0;
+    }
+}
@@ -0,0 +1,149 @@
+import { PlayerConfig, DEFAULT_GAME_OPTIONS } from '../core/config.js';
+import { MoveHistory } from './MoveHistory.js';
+
+// ============================================================================
+// NotationError - Thrown for text that is not valid move notation
+// ============================================================================
+export class NotationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotationError';
+    }
+}
+
+// ============================================================================
+// Move Notation
+// ============================================================================
+// One move is written as:
+//
+//     12. Red 4,-8 → 2,-4 (jump ×3)
+//
+//     12.          Move number, counting every player's moves from 1 (optional)
+//     Red          Colour of the player moving, as chosen for the game
+//                  (case-insensitive)
+//     4,-8         Cell the piece leaves, as the axial key "q,r" (HexPosition.key)
+//     →            Arrow; "->" is accepted too
+//     2,-4         Cell the piece lands on
+//     (jump ×3)    Present for jumps: the number of hops. "x3" and a bare
+//                  "(jump)" are accepted when parsing
+//
+// A resignation is written "13. Blue resigns", and a player running out of
+// time "13. Blue loses on time".
+//
+// A game is a sequence of moves separated by whitespace or new lines, so a
+// list copied from the move panel or pasted from chat parses the same way.
+const RESIGN_PATTERN = /(?:(\d+)\.\s*)?([A-Za-z]+)\s+(resigns|loses\s+on\s+time)\b/iy;
+const MOVE_PATTERN = /(?:(\d+)\.\s*)?([A-Za-z]+)\s+(-?\d+)\s*,\s*(-?\d+)\s*(?:→|->)\s*(-?\d+)\s*,\s*(-?\d+)(?:\s*\(\s*jump(?:\s*[×x]\s*(\d+))?\s*\))?/gy;
+
+export const Notation = {
+    /**
+     * Format a history entry
+     * @param {Object} entry - A MoveHistory entry (a move or a resignation)
+     * @param {number} moveNumber - The move's number (1-based)
+     * @param {string[]} [colorNames] - The game's colour names, by triangle index
+     *     (see GameState.getColorName)
+     * @returns {string}
+     */
+    formatMove(entry, moveNumber, colorNames = DEFAULT_GAME_OPTIONS.colors) {
+        const colorName = colorNames[entry.playerIndex];
+        if (MoveHistory.isResignation(entry)) {
+            return `${moveNumber}. ${colorName} ${entry.timeout ? 'loses on time' : 'resigns'}`;
+        }
+        const jumps = entry.jumpPath.length > 0 ? ` (jump ×${entry.jumpPath.length})` : '';
+        return `${moveNumber}. ${colorName} ${entry.from} → ${entry.to}${jumps}`;
+    },
+
+    /**
+     * Format a list of history entries, one move per line
+     * @param {Object[]} entries - MoveHistory entries, in order
+     * @param {string[]} [colorNames] - The game's colour names (see formatMove)
+     * @returns {string}
+     */
+    formatMoves(entries, colorNames = DEFAULT_GAME_OPTIONS.colors) {
+        return entries.map((entry, index) => this.formatMove(entry, index + 1, colorNames)).join('\n');
+    },
+
+    /**
+     * Parse text containing one or more moves
+     * @param {string} text - The text to parse
+     * @returns {Array<{ number: number|null, colorName: string, from: string, to: string, jumps: number|null,
+     *     resign?: boolean, timeout?: boolean }>} jumps is null for simple moves and 0 for a jump
+     *     with no hop count; resignations have resign set (and timeout for running out of time) and no cells
+     * @throws {NotationError} If any part of the text is not a move
+     */
+    parseMoves(text) {
+        const moves = [];
+        let index = 0;
+
+        while (true) {
+            while (index < text.length && /\s/.test(text[index])) index++;
+            if (index >= text.length) break;
+
+            RESIGN_PATTERN.lastIndex = index;
+            const resignation = RESIGN_PATTERN.exec(text);
+            if (resignation) {
+                moves.push(this._toResignation(resignation));
+                index = RESIGN_PATTERN.lastIndex;
+                continue;
+            }
+
+            MOVE_PATTERN.lastIndex = index;
+            const match = MOVE_PATTERN.exec(text);
+            if (!match) {
+                const snippet = text.slice(index, index + 20).split('\n')[0];
+                throw new NotationError(`Cannot read move at "${snippet}"`);
+            }
+
+            moves.push(this._toMove(match));
+            index = MOVE_PATTERN.lastIndex;
+        }
+
+        return moves;
+    },
+
+    /**
+     * Convert a regular expression match into a parsed move
+     * @private
+     */
+    _toMove(match) {
+        const [, number, color, fromQ, fromR, toQ, toR, hops] = match;
+        const isJump = /\(\s*jump/.test(match[0]);
+        return {
+            number: number !== undefined ? parseInt(number, 10) : null,
+            colorName: this._findColorName(color),
+            from: `${parseInt(fromQ, 10)},${parseInt(fromR, 10)}`,
+            to: `${parseInt(toQ, 10)},${parseInt(toR, 10)}`,
+            jumps: isJump ? (hops !== undefined ? parseInt(hops, 10) : 0) : null
+        };
+    },
+
+    /**
+     * Convert a regular expression match into a parsed resignation
+     * @private
+     */
+    _toResignation(match) {
+        const [, number, color, action] = match;
+        return {
+            number: number !== undefined ? parseInt(number, 10) : null,
+            colorName: this._findColorName(color),
+            from: null,
+            to: null,
+            jumps: null,
+            resign: true,
+            timeout: !/^resigns$/i.test(action)
+        };
+    },
+
+    /**
+     * Get the colour name for a case-insensitive colour
+     * @private
+     * @throws {NotationError} If no player has that colour
+     */
+    _findColorName(color) {
+        const found = PlayerConfig.colors.find(c => c.name.toLowerCase() === color.toLowerCase());
+        if (!found) {
+            throw new NotationError(`Unknown colour "${color}"`);
+        }
+        return found.name;
+    }
+};
@@ -1,3 +1,8 @@
+import { MatchPhase, AIDifficulty } from '../core/types.js';
+import { EngineHost, SearchCancelledError } from '../ai/EngineHost.js';
+import { AIPlayer } from '../ai/AIPlayer.js';
+import { MoveAnimator } from '../rendering/MoveAnimator.js';
+
 // ============================================================================
 // PlayerController - Handles input and controls player actions
 // ============================================================================
@@ -5,16 +10,27 @@ export class PlayerController {
     /**
      * Create a new player controller
      * @param {GameMode} gameMode - The game mode
-     * @param {Renderer} renderer - The renderer (for coordinate conversion)
+     * @param {Renderer} renderer - The renderer (for coordinate conversion and move animation)
      */
     constructor(gameMode, renderer) {
         this.gameMode = gameMode;
         this.renderer = renderer;
+        this.animator = new MoveAnimator(renderer, gameMode.getGameState().events);
 
         // Input state
         this.selectedPiece = null;
         this.validMoves = [];
-        this.isAnimating = false;
+        this.inputLocked = false; // Set while a replay is shown
+        this.localSeats = null; // Home triangle indices played on this device, or null for every seat
+
+        // AI turns: searches run in a worker through the engine host
+        this.engineHost = new EngineHost();
+        this.isThinking = false;
+        this.thinkingInfo = null; // Latest search progress, if the engine reports any
+        this.aiMoveDelay = 500; // Minimum ms per bot move, so humans can follow
+        this._aiTimer = null;
+        this._aiToken = 0; // Bumped on cancel so late search results are dropped
+        this._isTurnDeferred = false; // The turn starts when the move animation ends
 
         // Bound click handler (for removal)
         this._boundClickHandler = this._handleClick.bind(this);
@@ -51,8 +67,8 @@ export class PlayerController {
      * @private
      */
     _handleClick(event) {
-        // Ignore clicks during animation
-        if (this.isAnimating) return;
+        // Ignore clicks during animation, replays or while a bot is to move
+        if (this.inputLocked || this.animator.isAnimating() || this.isThinking || !this.isMyTurn()) return;
 
         const rect = this.canvas.getBoundingClientRect();
         const x = event.clientX - rect.left;
@@ -78,7 +94,6 @@ export class PlayerController {
         }
 
         const clickedPiece = gameState.getPieceAt(clickedPos);
-        const currentPlayerIndex = this.gameMode.getCurrentPlayerIndex();
 
         if (this.selectedPiece) {
             // We have a piece selected - check for move or reselection
@@ -87,8 +102,8 @@ export class PlayerController {
             if (move) {
                 // Clicked on a valid move destination
                 this.requestMove(move);
-            } else if (clickedPiece && clickedPiece.belongsTo(currentPlayerIndex)) {
-                // Clicked on another piece belonging to current player
+            } else if (this.canSelectPiece(clickedPiece)) {
+                // Clicked on another piece the current player moves
                 this.selectPiece(clickedPiece);
             } else {
                 // Clicked elsewhere - deselect
@@ -96,7 +111,7 @@ export class PlayerController {
             }
         } else {
             // No piece selected - try to select one
-            if (clickedPiece && clickedPiece.belongsTo(currentPlayerIndex)) {
+            if (this.canSelectPiece(clickedPiece)) {
                 this.selectPiece(clickedPiece);
             }
         }
@@ -123,6 +138,14 @@ export class PlayerController {
         // Calculate valid moves
         this.validMoves = this.gameMode.getValidMovesForPiece(piece);
 
+        // Say why a piece cannot move when the foreign-goal stay limit stops it
+        if (this.validMoves.length === 0) {
+            const reason = this.gameMode.getStayLimitReason(piece.getPosition());
+            if (reason) {
+                this.gameMode.getGameState().events.emit('moveRejected', { reason });
+            }
+        }
+
         // Render to show selection and valid moves
         this.gameMode.render();
     }
@@ -148,7 +171,7 @@ export class PlayerController {
      */
     canSelectPiece(piece) {
         if (!piece) return false;
-        return piece.belongsTo(this.gameMode.getCurrentPlayerIndex());
+        return this.gameMode.canMovePiece(piece);
     }
 
     // ========================================================================
@@ -160,8 +183,6 @@ export class PlayerController {
      * @param {Object} move - The MoveInfo object
      */
     requestMove(move) {
-        const fromPos = this.selectedPiece.getPosition();
-        const toPos = move.targetPos;
         const piece = this.selectedPiece;
 
         // Clear selection immediately
@@ -169,75 +190,214 @@ export class PlayerController {
         this.selectedPiece = null;
         this.validMoves = [];
 
-        if (move.type === 'jump' && move.jumpPath && move.jumpPath.length > 0) {
-            // Animated jump move
-            this.executeJumpMove(fromPos, toPos, piece, move.jumpPath);
-        } else {
-            // Simple move - no animation
-            this.executeSimpleMove(fromPos, toPos);
+        this.playMove(piece.getPosition(), move);
+    }
+
+    /**
+     * Play a move for the player to move, and start the next turn
+     * Shared by human input and AI players
+     * @param {HexPosition} fromPos - The piece's position
+     * @param {Object} move - The MoveInfo object
+     */
+    playMove(fromPos, move) {
+        const jumps = move.type === 'jump' ? move.jumpPath.length : null;
+        if (this.gameMode.online) {
+            // The server plays the move, and every player applies it from there
+            this.gameMode.online.requestMove(fromPos, move.targetPos, jumps);
+            return;
         }
+
+        const result = this.gameMode.applyMove(fromPos, move.targetPos, jumps);
+        this._afterTurn(result);
     }
 
     /**
-     * Execute a simple (non-jump) move
-     * @private
+     * Pass the turn of a player with no legal move
      */
-    executeSimpleMove(fromPos, toPos) {
-        this.gameMode.executeMove(fromPos, toPos);
-        this.onMoveComplete();
+    passTurn() {
+        if (this.gameMode.online) {
+            this.gameMode.online.requestPass();
+            return;
+        }
+        this._afterTurn(this.gameMode.passTurn());
     }
 
     /**
-     * Execute a jump move with animation
+     * Redraw after a move or pass, and start the next turn
      * @private
      */
-    executeJumpMove(fromPos, toPos, piece, jumpPath) {
-        this.isAnimating = true;
+    _afterTurn(result) {
+        this.gameMode.render();
+        if (result && !result.winner) {
+            this.gameMode.beginTurn();
+        }
+    }
+
+    // ========================================================================
+    // AI Turns
+    // ========================================================================
+
+    /**
+     * Start the current turn, handing control to the computer for AI seats
+     */
+    beginTurn() {
+        this._cancelAITurn();
 
-        // Build full path including start position
-        const fullPath = [fromPos, ...jumpPath];
+        // The turn starts once the last move has been shown
+        if (this.animator.isAnimating()) {
+            this._deferTurn();
+            return;
+        }
 
-        // Temporarily remove the piece from its starting position
         const gameState = this.gameMode.getGameState();
-        gameState.removePieceAt(fromPos);
-
-        // Animate the jump path
-        this.renderer.animateJumpPath(
-            fullPath,
-            piece.getOwnerPlayerIndex(),
-            () => {
-                // Animation complete - place piece at destination
-                gameState.placePiece(toPos, piece);
-
-                // Update player's piece positions
-                const player = gameState.players.find(
-                    p => p.homeTriangleIndex === piece.getOwnerPlayerIndex()
-                );
-                if (player) {
-                    player.updatePiecePosition(fromPos.key, toPos.key);
-                }
-
-                this.isAnimating = false;
-                this.onMoveComplete();
-            }
-        );
+        const currentPlayer = gameState.getCurrentPlayer();
+        if (gameState.matchPhase !== MatchPhase.InProgress || !currentPlayer || !currentPlayer.isAI()
+            || !this.isLocalSeat(currentPlayer.homeTriangleIndex)) {
+            return;
+        }
+
+        // Bots wait during replays and while an earlier position is being
+        // looked at (moves left to redo)
+        if (this.inputLocked || gameState.history.canRedo()) {
+            return;
+        }
+
+        this._startAITurn(currentPlayer);
     }
 
     /**
-     * Called when a move is complete
+     * Start the turn again when the move animator has finished (and not if
+     * the animation is interrupted: whoever interrupts starts the turn)
+     * @private
      */
-    onMoveComplete() {
-        // Advance turn
-        this.gameMode.advanceTurn();
+    _deferTurn() {
+        if (this._isTurnDeferred) return;
+
+        this._isTurnDeferred = true;
+        this.animator.whenIdle(() => {
+            this._isTurnDeferred = false;
+            this.gameMode.beginTurn();
+        });
+    }
 
-        // Render new state
+    /**
+     * Ask the engine for a move and play it once it arrives
+     * @private
+     */
+    _startAITurn(playerState) {
+        const token = this._aiToken;
+        const startTime = Date.now();
+
+        this.isThinking = true;
+        this.thinkingInfo = null;
         this.gameMode.render();
 
-        // Check win condition
-        const result = this.gameMode.checkWinCondition();
-        if (result.winner) {
-            this.gameMode.endMatch(result.playerState);
+        this.engineHost.search(this.gameMode.getGameState(), {
+            difficulty: playerState.aiDifficulty,
+            onInfo: (info) => {
+                this.thinkingInfo = info;
+                this.gameMode.render();
+            }
+        }).then(choice => {
+            if (token !== this._aiToken) return;
+
+            // Keep bots from moving faster than humans can follow
+            const delay = Math.max(0, this.aiMoveDelay - (Date.now() - startTime));
+            this._aiTimer = setTimeout(() => {
+                this._aiTimer = null;
+                this.isThinking = false;
+                this.thinkingInfo = null;
+                this._playAIMove(playerState, choice);
+            }, delay);
+        }).catch(error => {
+            if (error instanceof SearchCancelledError || token !== this._aiToken) return;
+
+            console.error('AI search failed:', error);
+            this.isThinking = false;
+            this.thinkingInfo = null;
+            this.gameMode.render();
+        });
+    }
+
+    /**
+     * Play the move the AI chose
+     * @private
+     */
+    _playAIMove(playerState, choice) {
+        const gameState = this.gameMode.getGameState();
+        if (gameState.getCurrentPlayer() !== playerState || !playerState.isAI()) {
+            return;
+        }
+
+        if (!choice) {
+            // No legal move - pass the turn
+            this.passTurn();
+            return;
+        }
+        if (this.gameMode.online) {
+            this.playMove(choice.fromPos, choice.move);
+            return;
+        }
+
+        let result = this._applyChoice(choice);
+        if (!result) {
+            // The engine's move was refused: pick a move in the page instead,
+            // so the game does not stop with a bot to move
+            console.warn('AI move refused, choosing another:', `${choice.fromPos.key} → ${choice.move.targetPos.key}`);
+            const fallback = new AIPlayer(AIDifficulty.Medium)
+                .chooseMove(gameState, this.gameMode.getMoveCalculator(), playerState);
+            result = fallback ? this._applyChoice(fallback) : this.gameMode.passTurn();
         }
+        this._afterTurn(result);
+    }
+
+    /**
+     * Apply a move chosen by an AI
+     * @private
+     * @returns {Object|null} As for GameMode.applyMove
+     */
+    _applyChoice(choice) {
+        const jumps = choice.move.type === 'jump' ? choice.move.jumpPath.length : null;
+        return this.gameMode.applyMove(choice.fromPos, choice.move.targetPos, jumps);
+    }
+
+    /**
+     * Cancel a running or pending AI turn
+     * @private
+     */
+    _cancelAITurn() {
+        this._aiToken++;
+        this.engineHost.cancel();
+        if (this._aiTimer !== null) {
+            clearTimeout(this._aiTimer);
+            this._aiTimer = null;
+        }
+        this.isThinking = false;
+        this.thinkingInfo = null;
+    }
+
+    // ========================================================================
+    // Input Lock
+    // ========================================================================
+
+    /**
+     * Lock or unlock the board: while locked, clicks are ignored and bots do not move
+     * @param {boolean} locked
+     */
+    setInputLocked(locked) {
+        this.inputLocked = locked;
+        if (locked) {
+            this.reset();
+        }
+        this.gameMode.updateClock();
+    }
+
+    /**
+     * Check if the board is locked
+     * @returns {boolean}
+     */
+    getIsInputLocked() {
+        return this.inputLocked;
     }
 
     // ========================================================================
@@ -249,7 +409,30 @@ export class PlayerController {
      * @returns {boolean}
      */
     isMyTurn() {
-        return true; // In single-device play, it's always the current player's turn
+        // Humans play the local seats by clicking; AI seats play themselves
+        const currentPlayer = this.gameMode.getCurrentPlayer();
+        return !!currentPlayer && !currentPlayer.isAI() && this.isLocalSeat(currentPlayer.homeTriangleIndex);
+    }
+
+    /**
+     * Check if a seat is played on this device (every seat is, unless
+     * setLocalSeats says otherwise)
+     * @param {number} triangleIndex - The seat's home triangle index
+     * @returns {boolean}
+     */
+    isLocalSeat(triangleIndex) {
+        return this.localSeats === null || this.localSeats.includes(triangleIndex);
+    }
+
+    /**
+     * Choose which seats are played on this device; bots only play local seats.
+     * With no seats at all (a spectator), clicks never select or move a piece.
+     * @param {number[]|null} seats - Home triangle indices, or null for every seat
+     */
+    setLocalSeats(seats) {
+        this.localSeats = seats;
+        this.deselectPiece();
+        this.gameMode.beginTurn();
     }
 
     /**
@@ -273,7 +456,31 @@ export class PlayerController {
      * @returns {boolean}
      */
     getIsAnimating() {
-        return this.isAnimating;
+        return this.animator.isAnimating();
+    }
+
+    /**
+     * Call back once the last move has been shown (see MoveAnimator.whenIdle)
+     * @param {Function} callback
+     */
+    whenMoveShown(callback) {
+        this.animator.whenIdle(callback);
+    }
+
+    /**
+     * Check if a bot is deciding on its move
+     * @returns {boolean}
+     */
+    getIsThinking() {
+        return this.isThinking;
+    }
+
+    /**
+     * Get the latest search progress of the thinking bot
+     * @returns {{ depth: number, score: number, nodes: number, timeMs: number, pv: Array }|null}
+     */
+    getThinkingInfo() {
+        return this.thinkingInfo;
     }
 
     // ========================================================================
@@ -284,11 +491,13 @@ export class PlayerController {
      * Reset the controller state
      */
     reset() {
+        this._cancelAITurn();
+        this.renderer.cancelAnimation();
+        this._isTurnDeferred = false;
         if (this.selectedPiece) {
             this.selectedPiece.deselect();
         }
         this.selectedPiece = null;
         this.validMoves = [];
-        this.isAnimating = false;
     }
 }
@@ -1,4 +1,6 @@
-import { PlayerConfig, GameConfig } from '../core/config.js';
+import { GameConfig } from '../core/config.js';
+import { HexPosition } from '../core/hexUtils.js';
+import { PlayerType, AIDifficulty, WinRule } from '../core/types.js';
 
 // ============================================================================
 // PlayerState - Per-player state
@@ -8,44 +10,73 @@ export class PlayerState {
      * Create a new player state
      * @param {number} playerIndex - The player's index in the turn order
      * @param {number} homeTriangleIndex - The triangle index where this player starts (0-5)
+     * @param {string} colorName - The home triangle's colour in the game (see GameState.getColorName)
+     * @param {number[]} [armies] - Home triangles of all the player's armies,
+     *     starting with homeTriangleIndex (see GameConfig.getArmies)
      */
-    constructor(playerIndex, homeTriangleIndex) {
+    constructor(playerIndex, homeTriangleIndex, colorName, armies = [homeTriangleIndex]) {
         this.playerIndex = playerIndex;
         this.homeTriangleIndex = homeTriangleIndex;
         this.goalTriangleIndex = GameConfig.getGoalTriangleIndex(homeTriangleIndex);
 
-        // Get display properties from config
-        const config = PlayerConfig.getTriangleConfig(homeTriangleIndex);
-        this.colorName = config.name;
-        this.color = config.color;
-        this.woodTint = config.woodTint;
+        // Each army starts in its own triangle and heads for the one opposite;
+        // pieces record their army (Piece.getArmyIndex)
+        this.armies = [...armies];
+        this.goalTriangleIndices = this.armies.map(idx => GameConfig.getGoalTriangleIndex(idx));
+
+        // Display name from the game's colours; colors are resolved by the renderer
+        this.colorName = colorName;
+        this.name = null; // Chosen name, if any (see getDisplayName)
+
+        // Who controls this seat
+        this.playerType = PlayerType.Human;
+        this.aiDifficulty = null;
 
         // Track piece positions (set of position keys)
         this.piecePositions = new Set();
     }
 
     /**
-     * Get the display name for this player
-     * @returns {string}
+     * Set who controls this seat
+     * @param {string} playerType - A PlayerType value
+     * @param {string} [aiDifficulty] - An AIDifficulty value (AI seats only)
      */
-    getDisplayName() {
-        return this.colorName;
+    setController(playerType, aiDifficulty = AIDifficulty.Medium) {
+        this.playerType = playerType;
+        this.aiDifficulty = playerType === PlayerType.AI ? aiDifficulty : null;
     }
 
     /**
-     * Get the player's color
-     * @returns {string}
+     * Set the player's name
+     * @param {string|null} name - The name, or null to go by colour
      */
-    getColor() {
-        return this.color;
+    setName(name) {
+        this.name = name || null;
     }
 
     /**
-     * Get the wood tint color
+     * Check if this seat is played by the computer
+     * @returns {boolean}
+     */
+    isAI() {
+        return this.playerType === PlayerType.AI;
+    }
+
+    /**
+     * Get the display name for this player: their name, or their colour
+     * Moves are written with the colour (see Notation.js).
      * @returns {string}
      */
-    getWoodTint() {
-        return this.woodTint;
+    getDisplayName() {
+        return this.name || this.colorName;
+    }
+
+    /**
+     * Check if the player has more than one army
+     * @returns {boolean}
+     */
+    hasSeveralArmies() {
+        return this.armies.length > 1;
     }
 
     /**
@@ -83,25 +114,76 @@ export class PlayerState {
     }
 
     /**
-     * Check if this player has won
+     * Create an independent copy of this player state
+     * @returns {PlayerState}
+     */
+    clone() {
+        const copy = new PlayerState(this.playerIndex, this.homeTriangleIndex, this.colorName, this.armies);
+        copy.setController(this.playerType, this.aiDifficulty);
+        copy.setName(this.name);
+        copy.piecePositions = new Set(this.piecePositions);
+        return copy;
+    }
+
+    /**
+     * Check if this player has won: every army has filled its goal under the
+     * game's win rule
      * @param {GameState} gameState - The current game state
      * @returns {boolean}
      */
     hasWon(gameState) {
-        const goalTriangle = gameState.getTrianglePositions(this.goalTriangleIndex);
+        return this.armies.every(armyIndex => this._hasArmyArrived(gameState, armyIndex));
+    }
+
+    /**
+     * Get how far the player's pieces are from their goals: the sum over
+     * pieces of the steps to the nearest cell of their army's goal triangle
+     * @param {GameState} gameState - The current game state
+     * @returns {number} 0 once every piece is in its goal
+     */
+    getGoalDistance(gameState) {
+        const goals = new Map(); // army index -> goal cells
+        let total = 0;
+
+        this.piecePositions.forEach(key => {
+            const piece = gameState.getBoardCellByKey(key).getPiece();
+            const armyIndex = piece ? piece.getArmyIndex() : this.homeTriangleIndex;
+            if (!goals.has(armyIndex)) {
+                goals.set(armyIndex, gameState.getTrianglePositions(GameConfig.getGoalTriangleIndex(armyIndex)));
+            }
+
+            const pos = HexPosition.fromKey(key);
+            total += Math.min(...goals.get(armyIndex).map(goalPos => pos.distanceTo(goalPos)));
+        });
+
+        return total;
+    }
+
+    /**
+     * Check if one army has filled its goal
+     * @private
+     */
+    _hasArmyArrived(gameState, armyIndex) {
+        const goalTriangle = gameState.getTrianglePositions(GameConfig.getGoalTriangleIndex(armyIndex));
+        // Under OccupiedGoal, other pieces parked in the goal count towards filling it
+        const othersCount = gameState.options.winRule === WinRule.OccupiedGoal;
+        let ownPieces = 0;
 
-        // Check if all 10 cells in the goal triangle are occupied by this player's pieces
+        // Check if every cell in the goal triangle is occupied, by this army's pieces
+        // unless others count (then at least one must be the army's)
         for (const pos of goalTriangle) {
             const cell = gameState.getBoardCell(pos);
             if (!cell || !cell.hasPiece()) {
                 return false;
             }
             const piece = cell.getPiece();
-            if (piece.getOwnerPlayerIndex() !== this.homeTriangleIndex) {
+            if (piece.belongsTo(this.homeTriangleIndex) && piece.getArmyIndex() === armyIndex) {
+                ownPieces++;
+            } else if (!othersCount) {
                 return false;
             }
         }
 
-        return true;
+        return ownPieces > 0;
     }
 }
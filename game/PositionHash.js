@@ -0,0 +1,146 @@
+import { MoveHistory } from './MoveHistory.js';
+
+// ============================================================================
+// PositionHash - Hashes of full positions, for spotting repetitions
+// ============================================================================
+// A position is the army on every occupied cell plus the player to move.
+// Hashes are Zobrist-style: each (cell, army) pair and each player to move
+// has a fixed random key, and a position's hash is the XOR of its keys, so a
+// move changes the hash by XORing out the piece's old cell and in its new one.
+//
+// Keys are 53-bit numbers made of two lanes (21 high bits and 32 low bits),
+// derived from the key's name so that hashes agree between sessions.
+const HIGH_BITS = 0x1fffff;
+const HIGH_FACTOR = 0x100000000;
+
+export const PositionHash = {
+    // Cached keys by name: [high, low]
+    _keys: new Map(),
+
+    /**
+     * Hash the current position: every piece's cell and army, and the player to move
+     * @param {GameState} gameState - The game state
+     * @returns {number} The hash (a safe integer)
+     */
+    hash(gameState) {
+        const lanes = this._turnKey(gameState.currentPlayerIndex).slice();
+        gameState.forEachCell((cell, key) => {
+            if (cell.hasPiece()) {
+                this._xor(lanes, this._pieceKey(key, cell.getPiece().getArmyIndex()));
+            }
+        });
+        return this._toNumber(lanes);
+    },
+
+    /**
+     * Count how often the current position has arisen, with the same player
+     * to move, by walking back through the moves that led to it
+     * @param {GameState} gameState - The game state
+     * @param {Object[]} entries - The history entries that led to the current
+     *     position, oldest first (see MoveHistory)
+     * @returns {number} Times the position has arisen, including now (at least 1)
+     */
+    countRepetitions(gameState, entries) {
+        const armies = new Map(); // cell key -> army index
+        const lanes = this._turnKey(gameState.currentPlayerIndex).slice();
+        gameState.forEachCell((cell, key) => {
+            if (cell.hasPiece()) {
+                armies.set(key, cell.getPiece().getArmyIndex());
+                this._xor(lanes, this._pieceKey(key, cell.getPiece().getArmyIndex()));
+            }
+        });
+
+        const current = this._toNumber(lanes);
+        let turn = gameState.currentPlayerIndex;
+        let count = 1;
+
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (MoveHistory.isResignation(entries[i])) break; // No earlier position had the same players
+
+            const { from, to, playerIndex } = entries[i];
+            const armyIndex = armies.get(to);
+            if (armyIndex === undefined) break; // Not the moves that led here
+
+            // Take the move back, and give the turn back to its player
+            armies.delete(to);
+            armies.set(from, armyIndex);
+            this._xor(lanes, this._pieceKey(to, armyIndex));
+            this._xor(lanes, this._pieceKey(from, armyIndex));
+            this._xor(lanes, this._turnKey(turn));
+            this._xor(lanes, this._turnKey(playerIndex));
+            turn = playerIndex;
+
+            if (this._toNumber(lanes) === current) {
+                count++;
+            }
+        }
+
+        return count;
+    },
+
+    // ========================================================================
+    // Keys
+    // ========================================================================
+
+    /**
+     * Get the key for an army's piece on a cell
+     * @private
+     */
+    _pieceKey(cellKey, armyIndex) {
+        return this._getKey(`${cellKey}:${armyIndex}`);
+    },
+
+    /**
+     * Get the key for a player to move
+     * @private
+     */
+    _turnKey(triangleIndex) {
+        return this._getKey(`turn:${triangleIndex}`);
+    },
+
+    /**
+     * Get (creating and caching) the key for a name
+     * @private
+     * @returns {number[]} [high, low]
+     */
+    _getKey(name) {
+        let key = this._keys.get(name);
+        if (!key) {
+            key = [this._hashString(name, 0x811c9dc5) & HIGH_BITS, this._hashString(name, 0x01000193)];
+            this._keys.set(name, key);
+        }
+        return key;
+    },
+
+    /**
+     * Hash a string to 32 bits: FNV-1a from a seed, then a final avalanche
+     * so that similar names get unrelated keys
+     * @private
+     */
+    _hashString(text, seed) {
+        let h = seed >>> 0;
+        for (let i = 0; i < text.length; i++) {
+            h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+        }
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return (h ^ (h >>> 16)) >>> 0;
+    },
+
+    /**
+     * XOR a key into a hash, in place
+     * @private
+     */
+    _xor(lanes, key) {
+        lanes[0] = (lanes[0] ^ key[0]) >>> 0;
+        lanes[1] = (lanes[1] ^ key[1]) >>> 0;
+    },
+
+    /**
+     * Combine a hash's lanes into one number
+     * @private
+     */
+    _toNumber(lanes) {
+        return lanes[0] * HIGH_FACTOR + lanes[1];
+    }
+};
@@ -0,0 +1,312 @@
+import { EventEmitter, MatchPhase } from '../core/types.js';
+import { HexPosition } from '../core/hexUtils.js';
+import { MoveHistory } from './MoveHistory.js';
+
+// ============================================================================
+// ReplayController - Steps through a game's move history for viewing
+// ============================================================================
+// A replay walks the history cursor of the current game, so it works for
+// finished, loaded and in-progress games alike. While a replay is shown the
+// board is locked: clicks are ignored and bots do not move. Forward steps
+// are animated hop by hop with Renderer.animateJumpPath.
+//
+// Emits 'replayChanged' on its own events whenever the replay starts, stops,
+// steps, or starts or stops playing.
+export class ReplayController {
+    /**
+     * Create a new replay controller
+     * @param {GameMode} gameMode - The game mode
+     * @param {Renderer} renderer - The renderer (for move animation)
+     */
+    constructor(gameMode, renderer) {
+        this.gameMode = gameMode;
+        this.renderer = renderer;
+        this.events = new EventEmitter();
+
+        this.isActive = false;
+        this.isPlaying = false;
+        this.speed = 1; // Playback speed multiplier
+        this.stepDelay = 900; // Ms between moves at 1x speed
+        this.isStepping = false; // A forward step is animating
+
+        this._playTimer = null;
+
+        // A new or loaded game ends the replay
+        gameMode.getGameState().events.subscribe('stateReset', () => this._deactivate());
+    }
+
+    // ========================================================================
+    // Starting and Stopping
+    // ========================================================================
+
+    /**
+     * Show a replay of the current game, locking the board
+     * (online games can be replayed once they are over)
+     * @param {number} [moveCount=0] - Position to start from (moves played)
+     */
+    start(moveCount = 0) {
+        const gameMode = this.gameMode;
+        if (gameMode.online && gameMode.getGameState().matchPhase === MatchPhase.InProgress) return;
+
+        const playerController = this.gameMode.playerController;
+        if (playerController) {
+            playerController.setInputLocked(true);
+        }
+
+        this.isActive = true;
+        this.goTo(moveCount);
+    }
+
+    /**
+     * Leave the replay at the end of the game and unlock the board
+     */
+    exit() {
+        if (!this.isActive) return;
+
+        this.pause();
+        this._cancelStep();
+        this.gameMode.goToMove(this._getHistory().entries.length);
+        this._unlock();
+    }
+
+    /**
+     * Leave the replay and play on from the position shown
+     * The moves after it are discarded, branching a new game.
+     */
+    resumeFromHere() {
+        if (!this.isActive) return;
+
+        this.pause();
+        this._cancelStep();
+        this.gameMode.getGameState().discardUndoneMoves();
+        this._unlock();
+    }
+
+    // ========================================================================
+    // Navigation
+    // ========================================================================
+
+    /**
+     * Show the starting position
+     */
+    first() {
+        this.goTo(0);
+    }
+
+    /**
+     * Step back one move
+     */
+    previous() {
+        this.goTo(this.getMoveCount() - 1);
+    }
+
+    /**
+     * Step forward one move, animating it
+     * @param {Function} [onDone] - Called once the move has been shown
+     */
+    next(onDone) {
+        if (!this.isActive || this.isStepping) return;
+
+        const history = this._getHistory();
+        if (!history.canRedo()) {
+            this.pause();
+            return;
+        }
+
+        const gameState = this.gameMode.getGameState();
+        const entry = history.entries[history.cursor];
+        const finish = () => {
+            this.isStepping = false;
+            gameState.redoMove();
+            this.gameMode.render();
+            this._emitChange();
+            if (onDone) onDone();
+        };
+
+        if (MoveHistory.isResignation(entry) || entry.jumpPath.length === 0) {
+            finish();
+            return;
+        }
+
+        // Lift the piece so it is drawn moving along its jump path
+        const fromPos = HexPosition.fromKey(entry.from);
+        const piece = gameState.removePieceAt(fromPos);
+        const path = [fromPos, ...entry.jumpPath.map(key => HexPosition.fromKey(key))];
+        const putBack = () => gameState.placePiece(fromPos, piece);
+
+        this.isStepping = true;
+        this.renderer.animateJumpPath(path, piece.getArmyIndex(), () => {
+            putBack();
+            finish();
+        }, {
+            framesPerStep: Math.max(2, Math.round(15 / this.speed)),
+            onCancel: () => {
+                putBack();
+                this.isStepping = false;
+                this.pause();
+            }
+        });
+    }
+
+    /**
+     * Show the final position
+     */
+    last() {
+        this.goTo(this._getHistory().entries.length);
+    }
+
+    /**
+     * Show the position after a number of moves, without animation
+     * @param {number} moveCount - Moves played (0 = starting position)
+     */
+    goTo(moveCount) {
+        if (!this.isActive) return;
+
+        this._cancelStep();
+        const count = Math.max(0, Math.min(moveCount, this._getHistory().entries.length));
+        this.gameMode.goToMove(count);
+        this._emitChange();
+    }
+
+    // ========================================================================
+    // Playback
+    // ========================================================================
+
+    /**
+     * Play the moves one after another, from the start if at the end
+     */
+    play() {
+        if (!this.isActive || this.isPlaying) return;
+
+        if (!this._getHistory().canRedo()) {
+            this.first();
+        }
+
+        this.isPlaying = true;
+        this._emitChange();
+        this._playNext();
+    }
+
+    /**
+     * Stop automatic playback
+     */
+    pause() {
+        if (this._playTimer !== null) {
+            clearTimeout(this._playTimer);
+            this._playTimer = null;
+        }
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        this._emitChange();
+    }
+
+    /**
+     * Change the playback speed
+     * @param {number} speed - Multiplier, e.g. 0.5, 1, 2
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+        this._emitChange();
+    }
+
+    // ========================================================================
+    // State Queries
+    // ========================================================================
+
+    /**
+     * Get the number of moves played in the position shown
+     * @returns {number}
+     */
+    getMoveCount() {
+        return this._getHistory().cursor;
+    }
+
+    /**
+     * Get the number of moves in the game
+     * @returns {number}
+     */
+    getTotalMoves() {
+        return this._getHistory().entries.length;
+    }
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Step forward, then wait and step again while playing
+     * @private
+     */
+    _playNext() {
+        this.next(() => {
+            if (!this.isPlaying) return;
+            if (!this._getHistory().canRedo()) {
+                this.pause();
+                return;
+            }
+            this._playTimer = setTimeout(() => {
+                this._playTimer = null;
+                this._playNext();
+            }, this.stepDelay / this.speed);
+        });
+    }
+
+    /**
+     * Stop an animating forward step, leaving the move unplayed
+     * @private
+     */
+    _cancelStep() {
+        if (this.isStepping) {
+            this.renderer.cancelAnimation();
+        }
+    }
+
+    /**
+     * Unlock the board and hand the turn back to the players
+     * @private
+     */
+    _unlock() {
+        this.isActive = false;
+
+        const playerController = this.gameMode.playerController;
+        if (playerController) {
+            playerController.setInputLocked(false);
+        }
+        this.gameMode.render();
+        this.gameMode.beginTurn();
+        this._emitChange();
+    }
+
+    /**
+     * End the replay without moving the board (the game was replaced)
+     * @private
+     */
+    _deactivate() {
+        if (!this.isActive) return;
+
+        this.pause();
+        this.isActive = false;
+        this.isStepping = false;
+        if (this.gameMode.playerController) {
+            this.gameMode.playerController.setInputLocked(false);
+        }
+        this._emitChange();
+    }
+
+    /**
+     * Get the current game's move history (replaced when a game is loaded)
+     * @private
+     */
+    _getHistory() {
+        return this.gameMode.getGameState().history;
+    }
+
+    /**
+     * Notify listeners that the replay changed
+     * @private
+     */
+    _emitChange() {
+        this.events.emit('replayChanged', { replay: this });
+    }
+}
@@ -0,0 +1,458 @@
+import { MatchPhase, MatchResult, ResignedPieces, HistoryEntryType, TimeControl, PlayerType, AIDifficulty, RuleSet, WinRule, TeamMode, Layout } from '../core/types.js';
+import { PlayerConfig, GameConfig, BOARD_SIZES, MAX_NAME_LENGTH } from '../core/config.js';
+
+// ============================================================================
+// GameDataError - Thrown when saved game data is corrupt or inconsistent
+// ============================================================================
+export class GameDataError extends Error {
+    constructor(message) {
+        super(`Invalid saved game: ${message}`);
+        this.name = 'GameDataError';
+    }
+}
+
+// ============================================================================
+// Save Format
+// ============================================================================
+// A saved game (GameState.toJSON) is a JSON object:
+// {
+//     format: 'chinese-checkers',
+//     version: 1,
+//     playerCount: number,
+//     players: [{
+//         homeTriangleIndex, playerType, aiDifficulty,
+//         name?: string|null,        // The player's name, since version 11 (null: their colour)
+//         piecePositions: string[],  // Every piece of the player
+//         armies?: [{ triangleIndex, piecePositions: string[] }] // Each army's pieces, for
+//     }],                            // players with several armies, since version 7
+//     turnOrder: number[],       // Triangle indices in turn order
+//     turnIndex: number,
+//     matchPhase: string,        // A MatchPhase value
+//     matchResult: string|null,  // How the match ended (a MatchResult), since version 8
+//     finishOrder: number[],     // Finished players' triangle indices, since version 3
+//     resigned: number[],        // Resigned players' triangle indices, since version 9
+//     clockTimes: Object|null,   // Each player's time left at the start of their turn, in ms
+//                                // by triangle index (null when untimed), since version 10
+//     options: Object,           // Game options, since version 2 (see DEFAULT_GAME_OPTIONS)
+//     history: {
+//         entries: Object[],     // MoveHistory entries (moves and resignations)
+//         cursor: number         // Entries before the cursor have been played
+//     }
+// }
+// Bump VERSION when the shape changes, and keep reading older versions.
+// Version 1 saves have no options and were played with long-range jumps,
+// the default. Saves before version 3 have no finish order: games ended at
+// the first finish. Options added after version 2 (playOn in version 3,
+// winRule and foreignStayLimit in version 4, teamMode and teamAssist in
+// version 5, boardSize in version 6, layout in version 7, moveLimit in
+// version 8, resignedPieces in version 9, timeControl, clockSeconds and
+// clockIncrement in version 10, colors in version 12) take their defaults
+// when missing, and timed games without clock times start with full clocks.
+// Players saved before version 11 have no name, and go by their colour.
+// Players' armies must match the layout. Players who resigned are not in
+// the turn order, and have no pieces if theirs were removed. Finished
+// matches with no result (saved before version 8, or turn states recorded
+// before then) count as wins.
+export const SaveFormat = Object.freeze({
+    FORMAT: 'chinese-checkers',
+    VERSION: 12
+});
+
+const KEY_PATTERN = /^-?\d+,-?\d+$/;
+
+/**
+ * Check saved game data before it is loaded
+ * @param {Object} data - Parsed save data
+ * @param {GameState} boardState - A game state with an initialized board of the saved
+ *     size, used for cell lookups
+ * @throws {GameDataError} Describing the first problem found
+ */
+export function validateGameData(data, boardState) {
+    if (!data || typeof data !== 'object') {
+        throw new GameDataError('not a game object');
+    }
+    if (data.format !== SaveFormat.FORMAT) {
+        throw new GameDataError('not a Chinese Checkers save');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new GameDataError('missing version');
+    }
+    if (data.version > SaveFormat.VERSION) {
+        throw new GameDataError(`saved by a newer version (${data.version})`);
+    }
+
+    // Options first: the board size decides which cells and piece counts are valid
+    validateOptions(data);
+
+    const isCellKey = (key) => typeof key === 'string' && KEY_PATTERN.test(key) && boardState.board.has(key);
+
+    // Players and pieces
+    if (!Array.isArray(data.players) || data.players.length < 2 || data.players.length > 6) {
+        throw new GameDataError('there must be 2 to 6 players');
+    }
+    if (data.playerCount !== data.players.length) {
+        throw new GameDataError('player count does not match the players');
+    }
+
+    const piecesPerArmy = boardState.getPiecesPerPlayer();
+    const homeIndices = new Set();
+    const occupied = new Map(); // key -> owner triangle index
+
+    // Each player's army triangles, from the layout (one army each if it does not fit)
+    const seats = data.players.map(player => player && player.homeTriangleIndex);
+    const armies = GameConfig.getArmies(seats, (data.options && data.options.layout) || Layout.Standard)
+        || seats.map(idx => [idx]);
+
+    // Players who resigned (checked against the players below)
+    const resigned = data.resigned === undefined && data.version < 9 ? [] : data.resigned;
+    if (!Array.isArray(resigned) || new Set(resigned).size !== resigned.length) {
+        throw new GameDataError('resigned players are not a list of players');
+    }
+
+    data.players.forEach((player, index) => {
+        const label = `player ${index + 1}`;
+        if (!player || !Number.isInteger(player.homeTriangleIndex)
+            || player.homeTriangleIndex < 0 || player.homeTriangleIndex > 5) {
+            throw new GameDataError(`${label} has no valid home triangle`);
+        }
+        if (homeIndices.has(player.homeTriangleIndex)) {
+            throw new GameDataError(`two players share home triangle ${player.homeTriangleIndex}`);
+        }
+        homeIndices.add(player.homeTriangleIndex);
+
+        if (!Object.values(PlayerType).includes(player.playerType)) {
+            throw new GameDataError(`${label} has unknown player type "${player.playerType}"`);
+        }
+        if (player.playerType === PlayerType.AI && !Object.values(AIDifficulty).includes(player.aiDifficulty)) {
+            throw new GameDataError(`${label} has unknown AI difficulty "${player.aiDifficulty}"`);
+        }
+        if (player.name !== undefined && player.name !== null
+            && (typeof player.name !== 'string' || player.name.length > MAX_NAME_LENGTH)) {
+            throw new GameDataError(`${label} has an invalid name`);
+        }
+
+        // A player who resigned may have had their pieces removed
+        const piecesPerPlayer = piecesPerArmy * armies[index].length;
+        const isRemoved = resigned.includes(player.homeTriangleIndex)
+            && Array.isArray(player.piecePositions) && player.piecePositions.length === 0;
+        if (!Array.isArray(player.piecePositions) || (player.piecePositions.length !== piecesPerPlayer && !isRemoved)) {
+            throw new GameDataError(`${label} must have ${piecesPerPlayer} pieces`);
+        }
+        player.piecePositions.forEach(key => {
+            if (!isCellKey(key)) {
+                throw new GameDataError(`${label} has a piece off the board at "${key}"`);
+            }
+            if (occupied.has(key)) {
+                throw new GameDataError(`two pieces on cell ${key}`);
+            }
+            occupied.set(key, player.homeTriangleIndex);
+        });
+        validateArmies(player, label, armies[index], isRemoved ? 0 : piecesPerArmy);
+    });
+    if (!resigned.every(index => homeIndices.has(index))) {
+        throw new GameDataError('resigned players do not match the players');
+    }
+
+    // Turns
+    if (!isTurnOrder(data.turnOrder, homeIndices, resigned)) {
+        throw new GameDataError('turn order does not match the players');
+    }
+    if (!Number.isInteger(data.turnIndex) || data.turnIndex < 0 || data.turnIndex >= data.turnOrder.length) {
+        throw new GameDataError('turn index out of range');
+    }
+    if (!Object.values(MatchPhase).includes(data.matchPhase)) {
+        throw new GameDataError(`unknown match phase "${data.matchPhase}"`);
+    }
+    if (!isMatchResult(data)) {
+        throw new GameDataError(`match result "${data.matchResult}" does not fit the match phase`);
+    }
+    if (!isFinishOrder(data.finishOrder, homeIndices, data.version)) {
+        throw new GameDataError('finish order does not match the players');
+    }
+    if (!isClockTimes(data.clockTimes, homeIndices)) {
+        throw new GameDataError('clock times do not match the players');
+    }
+
+    validateHistory(data, homeIndices, occupied, isCellKey);
+}
+
+/**
+ * Check a player's pieces are split into the armies the layout gives them
+ * @private
+ */
+function validateArmies(player, label, armyIndices, piecesPerArmy) {
+    if (armyIndices.length === 1) {
+        if (player.armies !== undefined) {
+            throw new GameDataError(`${label} has armies the layout does not give them`);
+        }
+        return;
+    }
+
+    if (!Array.isArray(player.armies) || player.armies.length !== armyIndices.length
+        || player.armies.some((army, i) => !army || army.triangleIndex !== armyIndices[i])) {
+        throw new GameDataError(`${label} armies do not match the layout`);
+    }
+
+    const pieces = new Set(player.piecePositions);
+    const seen = new Set();
+    player.armies.forEach(army => {
+        const isValid = Array.isArray(army.piecePositions) && army.piecePositions.length === piecesPerArmy
+            && army.piecePositions.every(key => pieces.has(key) && !seen.has(key));
+        if (!isValid) {
+            throw new GameDataError(`${label} army ${army.triangleIndex} does not have ${piecesPerArmy} of the player's pieces`);
+        }
+        army.piecePositions.forEach(key => seen.add(key));
+    });
+}
+
+/**
+ * Check game options on their own, such as the options chosen for new games
+ * @param {Object} options - Game options (see DEFAULT_GAME_OPTIONS)
+ * @throws {GameDataError} Describing the first problem found
+ */
+export function validateGameOptions(options) {
+    validateOptions({ version: SaveFormat.VERSION, options });
+}
+
+/**
+ * Check the game options
+ * @private
+ */
+function validateOptions(data) {
+    if (data.options === undefined && data.version < 2) return;
+
+    if (!data.options || typeof data.options !== 'object') {
+        throw new GameDataError('missing game options');
+    }
+    if (!Object.values(RuleSet).includes(data.options.ruleSet)) {
+        throw new GameDataError(`unknown rule set "${data.options.ruleSet}"`);
+    }
+    if (data.options.layout !== undefined && !Object.values(Layout).includes(data.options.layout)) {
+        throw new GameDataError(`unknown layout "${data.options.layout}"`);
+    }
+    if (data.options.boardSize !== undefined && !BOARD_SIZES.includes(data.options.boardSize)) {
+        throw new GameDataError(`unknown board size "${data.options.boardSize}"`);
+    }
+    if (data.options.playOn !== undefined && typeof data.options.playOn !== 'boolean') {
+        throw new GameDataError('play-on option must be true or false');
+    }
+    if (data.options.winRule !== undefined && !Object.values(WinRule).includes(data.options.winRule)) {
+        throw new GameDataError(`unknown win rule "${data.options.winRule}"`);
+    }
+    const limit = data.options.foreignStayLimit;
+    if (limit !== undefined && !(Number.isInteger(limit) && limit >= 0)) {
+        throw new GameDataError('foreign goal stay limit must be a whole number of turns');
+    }
+    if (data.options.teamMode !== undefined && !Object.values(TeamMode).includes(data.options.teamMode)) {
+        throw new GameDataError(`unknown team mode "${data.options.teamMode}"`);
+    }
+    if (data.options.teamAssist !== undefined && typeof data.options.teamAssist !== 'boolean') {
+        throw new GameDataError('team assist option must be true or false');
+    }
+    const resignedPieces = data.options.resignedPieces;
+    if (resignedPieces !== undefined && !Object.values(ResignedPieces).includes(resignedPieces)) {
+        throw new GameDataError(`unknown resigned pieces option "${resignedPieces}"`);
+    }
+    const moveLimit = data.options.moveLimit;
+    if (moveLimit !== undefined && !(Number.isInteger(moveLimit) && moveLimit >= 0)) {
+        throw new GameDataError('move limit must be a whole number of moves');
+    }
+    const timeControl = data.options.timeControl;
+    if (timeControl !== undefined && !Object.values(TimeControl).includes(timeControl)) {
+        throw new GameDataError(`unknown time control "${timeControl}"`);
+    }
+    const clockSeconds = data.options.clockSeconds;
+    if (clockSeconds !== undefined && !(Number.isInteger(clockSeconds) && clockSeconds > 0)) {
+        throw new GameDataError('clock time must be a whole number of seconds');
+    }
+    const clockIncrement = data.options.clockIncrement;
+    if (clockIncrement !== undefined && !(Number.isInteger(clockIncrement) && clockIncrement >= 0)) {
+        throw new GameDataError('clock increment must be a whole number of seconds');
+    }
+    if (data.options.colors !== undefined && !PlayerConfig.isColorList(data.options.colors)) {
+        throw new GameDataError('colours must give each triangle a different one of the six colours');
+    }
+}
+
+/**
+ * Check clock times, if any, give every player a time left in ms
+ * @private
+ */
+function isClockTimes(clockTimes, homeIndices) {
+    if (clockTimes === undefined || clockTimes === null) return true;
+    if (typeof clockTimes !== 'object' || Array.isArray(clockTimes)) return false;
+
+    const keys = Object.keys(clockTimes);
+    return keys.length === homeIndices.size
+        && [...homeIndices].every(index => Number.isFinite(clockTimes[index]) && clockTimes[index] >= 0);
+}
+
+/**
+ * Check a match result, if any, is a MatchResult for a match that is over
+ * @private
+ */
+function isMatchResult(state) {
+    if (state.matchResult === undefined || state.matchResult === null) return true;
+    return state.matchPhase === MatchPhase.GameOver && Object.values(MatchResult).includes(state.matchResult);
+}
+
+/**
+ * Check a turn order holds every player who has not resigned, once
+ * @private
+ */
+function isTurnOrder(turnOrder, homeIndices, resigned) {
+    const playing = [...homeIndices].filter(index => !resigned.includes(index));
+    return Array.isArray(turnOrder) && turnOrder.length === playing.length
+        && new Set(turnOrder).size === playing.length
+        && turnOrder.every(index => playing.includes(index));
+}
+
+/**
+ * Check a list of finished players (optional before version 3)
+ * @private
+ */
+function isFinishOrder(finishOrder, homeIndices, version) {
+    if (finishOrder === undefined) return version < 3;
+
+    return Array.isArray(finishOrder)
+        && new Set(finishOrder).size === finishOrder.length
+        && finishOrder.every(index => homeIndices.has(index));
+}
+
+/**
+ * Check the move history is well formed and leads to the saved board
+ * @private
+ */
+function validateHistory(data, homeIndices, occupied, isCellKey) {
+    const history = data.history;
+    if (!history || !Array.isArray(history.entries)) {
+        throw new GameDataError('missing move history');
+    }
+    const { entries, cursor } = history;
+    if (!Number.isInteger(cursor) || cursor < 0 || cursor > entries.length) {
+        throw new GameDataError('move history cursor out of range');
+    }
+
+    // Turn states from before version 9 have no turn order or resigned
+    // players, and those of untimed games (or from before version 10) no clock times
+    const isTurnState = (turnState) => {
+        if (!turnState || !Number.isInteger(turnState.turnIndex)) return false;
+        const resigned = turnState.resigned || [];
+        const turnOrder = turnState.turnOrder || data.turnOrder;
+        return Array.isArray(resigned) && resigned.every(index => homeIndices.has(index))
+            && (turnState.turnOrder === undefined || isTurnOrder(turnOrder, homeIndices, resigned))
+            && turnState.turnIndex >= 0 && turnState.turnIndex < turnOrder.length
+            && Object.values(MatchPhase).includes(turnState.matchPhase)
+            && isMatchResult(turnState)
+            && isFinishOrder(turnState.finishOrder, homeIndices, data.version)
+            && isClockTimes(turnState.clockTimes, homeIndices);
+    };
+
+    entries.forEach((entry, index) => {
+        const label = `move ${index + 1}`;
+        if (entry && entry.type === HistoryEntryType.Resign) {
+            validateResignation(entry, label, homeIndices, isCellKey);
+            if (!isTurnState(entry.before) || !isTurnState(entry.after) || entry.turnIndex !== entry.before.turnIndex) {
+                throw new GameDataError(`${label} has invalid turn data`);
+            }
+            return;
+        }
+        if (!entry || (entry.type !== undefined && entry.type !== HistoryEntryType.Move)) {
+            throw new GameDataError(`${label} is not a move or a resignation`);
+        }
+        if (!isCellKey(entry.from) || !isCellKey(entry.to) || entry.from === entry.to) {
+            throw new GameDataError(`${label} has invalid cells`);
+        }
+        if (!Array.isArray(entry.jumpPath) || !entry.jumpPath.every(isCellKey)) {
+            throw new GameDataError(`${label} has an invalid jump path`);
+        }
+        if (entry.jumpPath.length > 0 && entry.jumpPath[entry.jumpPath.length - 1] !== entry.to) {
+            throw new GameDataError(`${label} jump path does not end on its target`);
+        }
+        if (!homeIndices.has(entry.playerIndex)) {
+            throw new GameDataError(`${label} was made by an unknown player`);
+        }
+        if (entry.pieceOwner !== undefined && !homeIndices.has(entry.pieceOwner)) {
+            throw new GameDataError(`${label} moved a piece of an unknown player`);
+        }
+        if (!isTurnState(entry.before) || !isTurnState(entry.after) || entry.turnIndex !== entry.before.turnIndex) {
+            throw new GameDataError(`${label} has invalid turn data`);
+        }
+    });
+
+    // Walk back from the saved board through the played moves...
+    const board = new Map(occupied);
+    for (let i = cursor - 1; i >= 0; i--) {
+        if (entries[i].type === HistoryEntryType.Resign) {
+            placePieces(board, entries[i], i);
+        } else {
+            shiftPiece(board, entries[i], entries[i].to, entries[i].from, i);
+        }
+    }
+
+    // ...and forward again through every move, including undone ones
+    entries.forEach((entry, i) => {
+        if (entry.type === HistoryEntryType.Resign) {
+            takePieces(board, entry, i);
+        } else {
+            shiftPiece(board, entry, entry.from, entry.to, i);
+        }
+    });
+}
+
+/**
+ * Check a resignation entry's player and removed pieces
+ * @private
+ */
+function validateResignation(entry, label, homeIndices, isCellKey) {
+    if (!homeIndices.has(entry.playerIndex)) {
+        throw new GameDataError(`${label} was a resignation by an unknown player`);
+    }
+    const isPieceList = Array.isArray(entry.pieces) && entry.pieces.every(piece => piece
+        && isCellKey(piece.key) && Number.isInteger(piece.armyIndex) && piece.armyIndex >= 0 && piece.armyIndex <= 5);
+    if (!isPieceList || new Set(entry.pieces.map(piece => piece.key)).size !== entry.pieces.length) {
+        throw new GameDataError(`${label} has an invalid list of removed pieces`);
+    }
+    if (entry.timeout !== undefined && entry.timeout !== true) {
+        throw new GameDataError(`${label} has an invalid timeout`);
+    }
+}
+
+/**
+ * Put a resigned player's removed pieces back on an occupancy map
+ * @private
+ */
+function placePieces(board, entry, index) {
+    entry.pieces.forEach(({ key }) => {
+        if (board.has(key)) {
+            throw new GameDataError(`move history does not match the board at move ${index + 1}`);
+        }
+        board.set(key, entry.playerIndex);
+    });
+}
+
+/**
+ * Take a resigning player's pieces off an occupancy map
+ * @private
+ */
+function takePieces(board, entry, index) {
+    entry.pieces.forEach(({ key }) => {
+        if (board.get(key) !== entry.playerIndex) {
+            throw new GameDataError(`move history does not match the board at move ${index + 1}`);
+        }
+        board.delete(key);
+    });
+}
+
+/**
+ * Move a piece on an occupancy map, checking the move fits the board
+ * @private
+ */
+function shiftPiece(board, entry, fromKey, toKey, index) {
+    const owner = entry.pieceOwner !== undefined ? entry.pieceOwner : entry.playerIndex;
+    if (board.get(fromKey) !== owner || board.has(toKey)) {
+        throw new GameDataError(`move history does not match the board at move ${index + 1}`);
+    }
+    board.delete(fromKey);
+    board.set(toKey, owner);
+}
@@ -0,0 +1,424 @@
+import { PlayerConfig, GameConfig, BOARD_SIZES, DEFAULT_GAME_OPTIONS } from '../core/config.js';
+import { MatchPhase, RuleSet, WinRule, TeamMode, Layout, ResignedPieces, TimeControl } from '../core/types.js';
+import { GameState } from './GameState.js';
+import { MoveHistory } from './MoveHistory.js';
+
+// ============================================================================
+// ShareCodeError - Thrown for share codes that cannot be read
+// ============================================================================
+export class ShareCodeError extends Error {
+    constructor(message) {
+        super(`Invalid link: ${message}`);
+        this.name = 'ShareCodeError';
+    }
+}
+
+// ============================================================================
+// Share Codes
+// ============================================================================
+// Compact, URL-safe text for sharing a game in a link (after the "#"), so
+// no server is needed. Fields are separated by "." and start with a version:
+//
+//     Position:  2.<rules>.<players>.<turn>.<cells>      e.g. 2.l.03.0.0a00b000...
+//     Game:      2.<rules>.<players>.<moves>             e.g. 2.c.03.2p2b1x1l...
+//
+//     <rules>    Rule set letter (see RULE_SET_CODES), then "b" and the
+//                board size unless it is the default, "x" and the armies
+//                per player (2 or 3) for multi-army layouts, "p" when play
+//                continues until every place is decided, "o" when an
+//                occupied goal with one own piece counts as filled, "f" when
+//                resigning players' pieces stay on the board, "t" and
+//                the team size (2 for pairs, 3 for triples) in team games,
+//                followed by "a" when finished players assist partners,
+//                the foreign-goal stay limit in turns if there is one,
+//                "m" and the move limit if there is one, and for timed games
+//                "k", the time control letter (see TIME_CONTROL_CODES) and
+//                the clock time in seconds, followed by "-" and the
+//                increment for increment clocks, and "r" and each triangle's
+//                colour, as the digit of the triangle that has it in the
+//                standard colours, when the colours are not the standard
+//                ones, e.g. "lb5x2po20m300ki180-2r301245".
+//                Clocks start full: the time players have left is not shared
+//                Version 1 codes have no rules field and use long-range jumps
+//     <players>  Home triangle index (0-5) of every player, ascending.
+//                Positions leave out players who resigned, and their pieces
+//     <turn>     Home triangle index of the player to move
+//     <cells>    Every cell of the board size in reading order (top row first, left to
+//                right): a digit is a piece of the army from that home
+//                triangle (the player's own for one army each), and a
+//                letter a-z is a run of 1-26 empty cells
+//     <moves>    Each played move as two 2-character base-36 cell numbers
+//                (from, to) in the same reading order. The game starts from
+//                the standard setup for the players; jump paths are found
+//                again when the moves are replayed. Games with resignations
+//                are shared as positions
+const CODE_VERSION = '2';
+const RULE_SET_CODES = Object.freeze({
+    [RuleSet.Classic]: 'c',
+    [RuleSet.LongRange]: 'l',
+    [RuleSet.SingleJump]: 's'
+});
+const BOARD_SIZE_FLAG = 'b';
+const ARMIES_FLAG = 'x';
+const ARMY_COUNTS = Object.freeze({ [Layout.DoubleArmies]: '2', [Layout.TripleArmies]: '3' });
+const PLAY_ON_FLAG = 'p';
+const OCCUPIED_GOAL_FLAG = 'o';
+const FROZEN_PIECES_FLAG = 'f';
+const TEAM_FLAG = 't';
+const ASSIST_FLAG = 'a';
+const TEAM_SIZES = Object.freeze({ [TeamMode.Pairs]: '2', [TeamMode.Triples]: '3' });
+const MOVE_LIMIT_FLAG = 'm';
+const CLOCK_FLAG = 'k';
+const COLORS_FLAG = 'r';
+const TIME_CONTROL_CODES = Object.freeze({
+    [TimeControl.SuddenDeath]: 's',
+    [TimeControl.Increment]: 'i',
+    [TimeControl.PerMove]: 'p'
+});
+const RULES_PATTERN = /^([a-z])(?:b(\d))?(?:x([23]))?(p?)(o?)(f?)(?:t([23])(a?))?(\d*)(?:m(\d+))?(?:k([sip])(\d+)(?:-(\d+))?)?(?:r([0-5]{6}))?$/;
+const EMPTY_RUNS = 'abcdefghijklmnopqrstuvwxyz';
+const CELL_DIGITS = 2;
+
+export const ShareCodec = {
+    /** Board cell keys in reading order by board size, built on first use */
+    _cellKeys: new Map(),
+
+    // ========================================================================
+    // Positions
+    // ========================================================================
+
+    /**
+     * Encode the current position
+     * @param {GameState} gameState - The game to encode
+     * @returns {string} Position code
+     */
+    encodePosition(gameState) {
+        let cells = '';
+        let emptyRun = 0;
+        const flushEmpty = () => {
+            if (emptyRun > 0) cells += EMPTY_RUNS[emptyRun - 1];
+            emptyRun = 0;
+        };
+
+        this.getCellKeys(gameState.options.boardSize).forEach(key => {
+            const piece = gameState.getBoardCellByKey(key).getPiece();
+            if (!piece || gameState.hasResigned(piece.getOwnerPlayerIndex())) {
+                emptyRun++;
+                if (emptyRun === EMPTY_RUNS.length) flushEmpty();
+                return;
+            }
+            flushEmpty();
+            cells += piece.getArmyIndex();
+        });
+        flushEmpty();
+
+        return [
+            CODE_VERSION,
+            this._encodeRules(gameState.options),
+            this._encodePlayers(gameState),
+            gameState.currentPlayerIndex,
+            cells
+        ].join('.');
+    },
+
+    /**
+     * Decode a position code
+     * Player types are not part of the code and are left unset.
+     * @param {string} code - Position code
+     * @returns {Object} Position snapshot (see GameState.toPosition)
+     * @throws {ShareCodeError} If the code cannot be read
+     */
+    decodePosition(code) {
+        const { fields, options } = this._splitCode(code, 3);
+        const players = this._decodePlayers(fields[0]);
+
+        const turn = Number(fields[1]);
+        if (!/^[0-5]$/.test(fields[1]) || !players.includes(turn)) {
+            throw new ShareCodeError('the player to move is not in the game');
+        }
+
+        // Pieces by army, each army belonging to one player
+        const armies = GameConfig.getArmies(players, options.layout) || players.map(index => [index]);
+        const piecePositions = new Map(armies.flat().map(index => [index, []]));
+        const cellKeys = this.getCellKeys(options.boardSize);
+        let cellIndex = 0;
+
+        for (const char of fields[2]) {
+            const emptyRun = EMPTY_RUNS.indexOf(char);
+            if (emptyRun >= 0) {
+                cellIndex += emptyRun + 1;
+                continue;
+            }
+            if (!piecePositions.has(Number(char))) {
+                throw new ShareCodeError(`unexpected "${char}" in the board`);
+            }
+            if (cellIndex >= cellKeys.length) {
+                throw new ShareCodeError('the board has the wrong number of cells');
+            }
+            piecePositions.get(Number(char)).push(cellKeys[cellIndex]);
+            cellIndex++;
+        }
+        if (cellIndex !== cellKeys.length) {
+            throw new ShareCodeError('the board has the wrong number of cells');
+        }
+
+        const turnOrder = GameConfig.getTurnOrder(players);
+        return {
+            players: players.map((homeTriangleIndex, index) => ({
+                homeTriangleIndex,
+                playerType: null,
+                aiDifficulty: null,
+                piecePositions: armies[index].flatMap(army => piecePositions.get(army)),
+                ...(armies[index].length > 1 ? {
+                    armies: armies[index].map(army => ({ triangleIndex: army, piecePositions: piecePositions.get(army) }))
+                } : {})
+            })),
+            turnOrder,
+            turnIndex: turnOrder.indexOf(turn),
+            matchPhase: MatchPhase.InProgress,
+            options
+        };
+    },
+
+    // ========================================================================
+    // Games
+    // ========================================================================
+
+    /**
+     * Encode the moves played so far
+     * @param {GameState} gameState - The game to encode
+     * @returns {string|null} Game code, or null if the game did not start
+     *     from the standard setup or someone resigned (share its position instead)
+     */
+    encodeGame(gameState) {
+        const hasResignations = gameState.history.getPlayedEntries().some(entry => MoveHistory.isResignation(entry));
+        if (hasResignations || !this._startsFromStandardSetup(gameState)) return null;
+
+        const cellNumbers = new Map(this.getCellKeys(gameState.options.boardSize).map((key, index) => [key, index]));
+        const toDigits = (key) => cellNumbers.get(key).toString(36).padStart(CELL_DIGITS, '0');
+        const moves = gameState.history.getPlayedEntries()
+            .map(entry => toDigits(entry.from) + toDigits(entry.to))
+            .join('');
+
+        return [
+            CODE_VERSION,
+            this._encodeRules(gameState.options),
+            this._encodePlayers(gameState),
+            moves
+        ].join('.');
+    },
+
+    /**
+     * Decode a game code
+     * @param {string} code - Game code
+     * @returns {{ triangleIndices: number[], moves: Object[], options: Object }} The
+     *     players' home triangles, the moves to replay (shaped like
+     *     Notation.parseMoves results with no colour or hop count) and the game options
+     * @throws {ShareCodeError} If the code cannot be read
+     */
+    decodeGame(code) {
+        const { fields, options } = this._splitCode(code, 2);
+        const triangleIndices = this._decodePlayers(fields[0]);
+        const text = fields[1];
+        const cellKeys = this.getCellKeys(options.boardSize);
+        const moveLength = CELL_DIGITS * 2;
+
+        if (!/^[0-9a-z]*$/.test(text) || text.length % moveLength !== 0) {
+            throw new ShareCodeError('the move list is damaged');
+        }
+
+        const toKey = (digits) => {
+            const key = cellKeys[parseInt(digits, 36)];
+            if (!key) {
+                throw new ShareCodeError('a move leaves the board');
+            }
+            return key;
+        };
+
+        const moves = [];
+        for (let i = 0; i < text.length; i += moveLength) {
+            moves.push({
+                number: moves.length + 1,
+                colorName: null,
+                from: toKey(text.slice(i, i + CELL_DIGITS)),
+                to: toKey(text.slice(i + CELL_DIGITS, i + moveLength)),
+                jumps: null
+            });
+        }
+
+        return { triangleIndices, moves, options };
+    },
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Get every board cell key in reading order (by row, then left to right)
+     * @param {number} [boardSize] - The board size (see BOARD_SIZES)
+     * @returns {string[]}
+     */
+    getCellKeys(boardSize = DEFAULT_GAME_OPTIONS.boardSize) {
+        if (!this._cellKeys.has(boardSize)) {
+            const state = new GameState();
+            state.options = { ...state.options, boardSize };
+            state.initializeBoard();
+            this._cellKeys.set(boardSize, state.getAllCells()
+                .map(cell => cell.getPosition())
+                .sort((a, b) => a.r - b.r || a.q - b.q)
+                .map(pos => pos.key));
+        }
+        return this._cellKeys.get(boardSize);
+    },
+
+    /**
+     * Encode the players' home triangles
+     * @private
+     */
+    _encodePlayers(gameState) {
+        return gameState.players
+            .map(p => p.homeTriangleIndex)
+            .filter(index => !gameState.hasResigned(index))
+            .sort((a, b) => a - b)
+            .join('');
+    },
+
+    /**
+     * Decode the players' home triangles
+     * @private
+     */
+    _decodePlayers(text) {
+        if (!/^[0-5]{2,6}$/.test(text) || new Set(text).size !== text.length) {
+            throw new ShareCodeError('the player list is damaged');
+        }
+        return Array.from(text, Number).sort((a, b) => a - b);
+    },
+
+    /**
+     * Encode the game options as the rules field
+     * @private
+     */
+    _encodeRules(options) {
+        const boardSize = options.boardSize !== DEFAULT_GAME_OPTIONS.boardSize ? options.boardSize : null;
+        return RULE_SET_CODES[options.ruleSet]
+            + (boardSize ? BOARD_SIZE_FLAG + boardSize : '')
+            + (ARMY_COUNTS[options.layout] ? ARMIES_FLAG + ARMY_COUNTS[options.layout] : '')
+            + (options.playOn ? PLAY_ON_FLAG : '')
+            + (options.winRule === WinRule.OccupiedGoal ? OCCUPIED_GOAL_FLAG : '')
+            + (options.resignedPieces === ResignedPieces.Frozen ? FROZEN_PIECES_FLAG : '')
+            + (TEAM_SIZES[options.teamMode] ? TEAM_FLAG + TEAM_SIZES[options.teamMode] : '')
+            + (TEAM_SIZES[options.teamMode] && options.teamAssist ? ASSIST_FLAG : '')
+            + (options.foreignStayLimit > 0 ? options.foreignStayLimit : '')
+            + (options.moveLimit > 0 ? MOVE_LIMIT_FLAG + options.moveLimit : '')
+            + this._encodeClock(options)
+            + this._encodeColors(options);
+    },
+
+    /**
+     * Encode the time control, if the game is timed
+     * @private
+     */
+    _encodeClock(options) {
+        const code = TIME_CONTROL_CODES[options.timeControl];
+        if (!code) return '';
+
+        const increment = options.timeControl === TimeControl.Increment ? `-${options.clockIncrement}` : '';
+        return `${CLOCK_FLAG}${code}${options.clockSeconds}${increment}`;
+    },
+
+    /**
+     * Encode the colours, unless they are the standard ones
+     * @private
+     */
+    _encodeColors(options) {
+        const standard = DEFAULT_GAME_OPTIONS.colors;
+        if (options.colors.every((name, triangleIndex) => name === standard[triangleIndex])) return '';
+        return COLORS_FLAG + options.colors.map(name => standard.indexOf(name)).join('');
+    },
+
+    /**
+     * Split a code into its fields after the version and rules, checking the field count
+     * @private
+     * @returns {{ fields: string[], options: Object }}
+     */
+    _splitCode(code, fieldCount) {
+        const fields = String(code).trim().split('.');
+        const version = fields.shift();
+        const options = { ...DEFAULT_GAME_OPTIONS, ruleSet: RuleSet.LongRange };
+
+        if (version === CODE_VERSION) {
+            const rules = fields.shift() || '';
+            const match = RULES_PATTERN.exec(rules);
+            if (!match) {
+                throw new ShareCodeError(`unknown rules "${rules}"`);
+            }
+            options.ruleSet = Object.keys(RULE_SET_CODES).find(key => RULE_SET_CODES[key] === match[1]);
+            if (!options.ruleSet) {
+                throw new ShareCodeError(`unknown rule set "${match[1]}"`);
+            }
+            if (match[2]) {
+                options.boardSize = Number(match[2]);
+                if (!BOARD_SIZES.includes(options.boardSize)) {
+                    throw new ShareCodeError(`unknown board size "${match[2]}"`);
+                }
+            }
+            options.layout = Object.keys(ARMY_COUNTS).find(key => ARMY_COUNTS[key] === match[3]) || Layout.Standard;
+            options.playOn = match[4] === PLAY_ON_FLAG;
+            options.winRule = match[5] === OCCUPIED_GOAL_FLAG ? WinRule.OccupiedGoal : WinRule.FullGoal;
+            options.resignedPieces = match[6] === FROZEN_PIECES_FLAG ? ResignedPieces.Frozen : ResignedPieces.Removed;
+            options.teamMode = Object.keys(TEAM_SIZES).find(key => TEAM_SIZES[key] === match[7]) || TeamMode.None;
+            options.teamAssist = match[8] === ASSIST_FLAG;
+            options.foreignStayLimit = match[9] ? parseInt(match[9], 10) : 0;
+            options.moveLimit = match[10] ? parseInt(match[10], 10) : 0;
+            if (match[11]) {
+                options.timeControl = Object.keys(TIME_CONTROL_CODES).find(key => TIME_CONTROL_CODES[key] === match[11]);
+                options.clockSeconds = parseInt(match[12], 10);
+                options.clockIncrement = match[13] ? parseInt(match[13], 10) : 0;
+                if (options.clockSeconds <= 0) {
+                    throw new ShareCodeError(`clock time "${match[12]}" is too short`);
+                }
+            }
+            if (match[14]) {
+                options.colors = Array.from(match[14], digit => DEFAULT_GAME_OPTIONS.colors[Number(digit)]);
+                if (!PlayerConfig.isColorList(options.colors)) {
+                    throw new ShareCodeError(`unknown colours "${match[14]}"`);
+                }
+            }
+        } else if (version !== '1') {
+            throw new ShareCodeError('unknown link version');
+        }
+
+        if (fields.length !== fieldCount) {
+            throw new ShareCodeError('the link is incomplete');
+        }
+        return { fields, options };
+    },
+
+    /**
+     * Check if the played moves start from the standard setup: every piece
+     * in its home triangle and the first player in turn order to move
+     * @private
+     */
+    _startsFromStandardSetup(gameState) {
+        const board = new Map();
+        gameState.players.forEach(p => {
+            p.piecePositions.forEach(key => board.set(key, p.homeTriangleIndex));
+        });
+
+        const played = gameState.history.getPlayedEntries();
+        const startTurnIndex = played.length > 0 ? played[0].before.turnIndex : gameState.turnIndex;
+        if (startTurnIndex !== 0) return false;
+
+        for (let i = played.length - 1; i >= 0; i--) {
+            // Assisting players move their partner's pieces (see MoveHistory)
+            const owner = played[i].pieceOwner !== undefined ? played[i].pieceOwner : played[i].playerIndex;
+            board.delete(played[i].to);
+            board.set(played[i].from, owner);
+        }
+
+        return gameState.players.every(p => p.armies.every(armyIndex =>
+            gameState.getTrianglePositions(armyIndex)
+                .every(pos => board.get(pos.key) === p.homeTriangleIndex)
+        ));
+    }
+};
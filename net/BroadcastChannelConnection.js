@@ -0,0 +1,120 @@
+import { EventEmitter } from '../core/types.js';
+
+// How long to wait for the hosting tab to answer
+const CONNECT_TIMEOUT_MS = 1000;
+
+// ============================================================================
+// BroadcastChannelConnection - Messages to a game hosted in another tab
+// ============================================================================
+// A stand-in for WebSocketConnection when the game is hosted by a tab of
+// the same browser (see TabHost.js): the same messages, wrapped in
+// envelopes saying which tab they are for, travel over a BroadcastChannel.
+// Emits 'open', 'message' and 'close' on its own events, as
+// WebSocketConnection does.
+export class BroadcastChannelConnection {
+    /**
+     * Create a connection (not opened yet)
+     * @param {string} channelName - The hosting tab's channel (see getTabChannelName)
+     * @param {Function} [ChannelClass] - BroadcastChannel implementation
+     */
+    constructor(channelName, ChannelClass = globalThis.BroadcastChannel) {
+        this.channelName = channelName;
+        this.ChannelClass = ChannelClass;
+        this.events = new EventEmitter();
+        this.channel = null;
+        this.id = null;           // This end's address on the channel
+        this.isConnected = false;
+        this._timer = null;
+    }
+
+    /**
+     * Ask the hosting tab to connect; 'close' follows if no tab answers
+     * @throws {Error} If the browser has no BroadcastChannel
+     */
+    open() {
+        if (!this.ChannelClass) {
+            throw new Error('This browser cannot talk to other tabs');
+        }
+
+        const channel = new this.ChannelClass(this.channelName);
+        this.channel = channel;
+        this.id = createTabId();
+        this.isConnected = false;
+
+        channel.onmessage = (event) => {
+            const envelope = event.data;
+            if (!envelope || typeof envelope !== 'object') return;
+
+            if (envelope.closed) {
+                this._drop();
+            } else if (envelope.to === this.id && envelope.connected) {
+                clearTimeout(this._timer);
+                this.isConnected = true;
+                this.events.emit('open', {});
+            } else if (envelope.to === this.id && this.isConnected) {
+                this.events.emit('message', envelope.message);
+            }
+        };
+        channel.postMessage({ from: this.id, connect: true });
+        this._timer = setTimeout(() => this._drop(), CONNECT_TIMEOUT_MS);
+    }
+
+    /**
+     * Send a message, if connected
+     * @param {Object} message
+     */
+    send(message) {
+        if (this.isOpen()) {
+            this.channel.postMessage({ from: this.id, message });
+        }
+    }
+
+    /**
+     * Check if the connection is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.channel && this.isConnected;
+    }
+
+    /**
+     * Disconnect; no 'close' event follows
+     */
+    close() {
+        if (!this.channel) return;
+        if (this.isConnected) {
+            this.channel.postMessage({ from: this.id, disconnect: true });
+        }
+        this._shutDown();
+    }
+
+    /**
+     * Lose the connection: the host has gone or never answered
+     * @private
+     */
+    _drop() {
+        this._shutDown();
+        this.events.emit('close', {});
+    }
+
+    /**
+     * Close the channel
+     * @private
+     */
+    _shutDown() {
+        clearTimeout(this._timer);
+        this.channel.onmessage = null;
+        this.channel.close();
+        this.channel = null;
+        this.isConnected = false;
+    }
+}
+
+/**
+ * Make up an address for one end of a tab channel
+ * @returns {string}
+ */
+export function createTabId() {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(8));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
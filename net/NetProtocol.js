@@ -0,0 +1,140 @@
+import { MatchPhase } from '../core/types.js';
+import { HexPosition } from '../core/hexUtils.js';
+
+// Join codes: letters that cannot be mistaken for one another
+const CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 5;
+
+// ============================================================================
+// Net Message Types
+// ============================================================================
+// Messages exchanged between OnlineGame (page) and a Room (on the game
+// server, see server/GameServer.js), sent as JSON text:
+//
+// Client -> server
+//     { type: 'createRoom', game, spectatorDelay }
+//                                           Open a room playing game (save data, see
+//                                           SaveFormat.js); the sender joins it.
+//                                           Spectators see the game spectatorDelay
+//                                           turns late (optional, 0 by default)
+//     { type: 'joinRoom', code, token, spectate }
+//                                           Join the room with that join code; token
+//                                           (optional) is a seat's session token,
+//                                           to take back the seat after reconnecting;
+//                                           spectate (optional) joins to watch only
+//     { type: 'claimSeat', seat }           Take a free seat (home triangle index)
+//     { type: 'move', from, to, jumps }     Move for the sender's seat; jumps is the
+//                                           hop count, or null for a step
+//     { type: 'pass' }                      Pass, having no legal move
+//     { type: 'resign' }                    Resign the sender's seat
+//     { type: 'requestTurns', after }       Resend the turns numbered after seq 'after'
+//     { type: 'resync' }                    Send the whole game again
+//
+// Server -> client
+//     { type: 'joined', code, game, seq, spectating, spectatorDelay }
+//                                           Entered a room; game is its save data
+//                                           (a snapshot) and seq its last turn's number
+//     { type: 'resync', game, seq }         The whole game, as asked for
+//     { type: 'seats', claimed, away, seat, token, started, watching }
+//                                           Seats taken (home triangle indices), those
+//                                           whose player has lost the connection, the
+//                                           receiver's seat and its session token (or
+//                                           null), whether play has started (once
+//                                           every seat is taken), and the number of
+//                                           spectators
+//     { type: 'move', seq, from, to, jumps, playerIndex, clockTimes }
+//                                           A move was played; clockTimes as the
+//                                           server's game has them after it
+//     { type: 'pass', seq, playerIndex, clockTimes }
+//     { type: 'resign', seq, playerIndex, timeout }
+//                                           A player resigned or ran out of time
+//     { type: 'error', message }            A request was refused
+//
+// The same messages travel between the tabs of one browser when a tab hosts
+// the game instead of a server (see TabHost.js).
+//
+// The server holds the authoritative game and checks every request with the
+// same rules engine the page uses; clients change their game only as the
+// server says, so every player sees the same moves in the same order.
+//
+// Turns (moves, passes and resignations) are numbered from 1 by seq. A
+// client that sees a number skipped asks for the turns it missed; one whose
+// game no longer agrees with a turn asks for the whole game. Snapshots give
+// the clock times as they stand when sent, counting the turn in progress.
+//
+// Claiming a seat gives the client a session token. Once play has started, a
+// player who loses the connection keeps their seat, and can take it back by
+// joining with the token (a page reload does so by itself); joining with it
+// from elsewhere moves the seat to the new connection.
+//
+// Spectators cannot take seats. With a spectator delay, they are sent each
+// turn only once that many more have been played (and the rest when the
+// game ends), and their snapshots are of the game as far as they have seen
+// it, so turn numbers, catching up and resyncing work the same for them.
+export const NetMessage = Object.freeze({
+    CreateRoom: 'createRoom',
+    JoinRoom: 'joinRoom',
+    ClaimSeat: 'claimSeat',
+    Joined: 'joined',
+    Seats: 'seats',
+    Move: 'move',
+    Pass: 'pass',
+    Resign: 'resign',
+    RequestTurns: 'requestTurns',
+    Resync: 'resync',
+    Error: 'error'
+});
+
+/**
+ * Make up a join code for a room
+ * @returns {string}
+ */
+export function createJoinCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_LETTERS[Math.floor(Math.random() * CODE_LETTERS.length)];
+    }
+    return code;
+}
+
+/**
+ * Convert a move's history entry into the fields of a move message
+ * @param {Object} entry - A MoveHistory move entry
+ * @returns {{ from: string, to: string, jumps: number|null }}
+ */
+export function entryToNetMove(entry) {
+    return {
+        from: entry.from,
+        to: entry.to,
+        jumps: entry.jumpPath.length > 0 ? entry.jumpPath.length : null
+    };
+}
+
+/**
+ * Play a move, pass or resignation message on a game. Moves and passes
+ * leave the next turn to the caller to begin; resignations begin it
+ * themselves (see GameMode.removePlayer).
+ * @param {GameMode} gameMode - The game to play it on
+ * @param {Object} message - A move, pass or resign message
+ * @returns {{ winner: boolean }|null} As for GameMode.applyMove, or null if
+ *     the game cannot play it, leaving it unchanged
+ */
+export function playNetTurn(gameMode, message) {
+    const gameState = gameMode.getGameState();
+    if (message.type === NetMessage.Resign) {
+        if (!gameState.players.some(p => p.homeTriangleIndex === message.playerIndex)
+            || gameState.hasResigned(message.playerIndex)) {
+            return null;
+        }
+        gameMode.removePlayer(message.playerIndex, message.timeout);
+        return { winner: gameState.matchPhase !== MatchPhase.InProgress };
+    }
+
+    const result = message.type === NetMessage.Move
+        ? gameMode.applyMove(HexPosition.fromKey(message.from), HexPosition.fromKey(message.to), message.jumps)
+        : gameMode.passTurn();
+    if (!result) return null;
+
+    gameState.clockTimes = message.clockTimes;
+    return result;
+}
@@ -0,0 +1,376 @@
+import { EventEmitter } from '../core/types.js';
+import { NetMessage, playNetTurn } from './NetProtocol.js';
+
+// ============================================================================
+// OnlineGame - Plays the page's game in a room on a game server
+// ============================================================================
+// Joining a room replaces the page's game with the room's. From then on the
+// game changes only as the server says: moves made on this page are sent as
+// requests (see PlayerController.playMove and GameMode.resign) and played
+// when the server announces them, through the same GameMode.applyMove as
+// local moves, so they are animated and recorded as usual. The player here
+// controls only the seat they have claimed (see PlayerController.setLocalSeats);
+// a spectator controls none, and sees the game as the room's spectator delay
+// allows.
+//
+// Starting a new game or loading one on the page leaves the room, as does
+// losing the connection. After a lost connection (or a page reload), joining
+// again with the seat's session (see session) takes the seat back, with the
+// game as the server has it by then.
+//
+// Turns arrive numbered: a skipped number means turns went missing, and they
+// are asked for again; a turn this game cannot play means it is out of step,
+// and the whole game is asked for.
+//
+// Emits 'onlineChanged' on its own events whenever the connection, the
+// seats or the last error change.
+export class OnlineGame {
+    /**
+     * Create an online game (not connected yet)
+     * @param {GameMode} gameMode - The game mode
+     * @param {WebSocketConnection|BroadcastChannelConnection} connection - The
+     *     connection to the server, or to the tab hosting the game
+     */
+    constructor(gameMode, connection) {
+        this.gameMode = gameMode;
+        this.connection = connection;
+        this.events = new EventEmitter();
+
+        this.isConnecting = false;
+        this.isConnected = false;
+        this.code = null;       // The room's join code, once joined
+        this.seat = null;       // Home triangle index of the seat claimed here
+        this.claimed = [];      // Seats taken by anyone
+        this.away = [];         // Seats whose player has lost the connection
+        this.started = false;   // Play starts once every seat is taken
+        this.isSpectating = false; // Joined to watch only
+        this.spectatorDelay = 0;   // Turns spectators are kept behind
+        this.watching = 0;         // Number of spectators
+        this.error = null;      // The last refusal or failure, shown to the player
+        this.seq = 0;           // Number of the last turn played here
+        this.session = null;    // { code, token } of the seat held here, kept after
+                                // losing the connection so it can be taken back
+
+        this._firstRequest = null; // Sent once the connection opens
+        this._isLoading = false;   // Set while the room's game is loaded
+        this._awaiting = null;     // The request sent to catch up (RequestTurns or Resync), if any
+        this._boundStateReset = () => {
+            if (!this._isLoading) this.leave();
+        };
+
+        connection.events.subscribe('open', () => {
+            this.isConnecting = false;
+            this.isConnected = true;
+            this.connection.send(this._firstRequest);
+            this._changed();
+        });
+        connection.events.subscribe('message', (message) => this._handleMessage(message));
+        connection.events.subscribe('close', () => {
+            this.error = this.isConnected ? 'Lost the connection to the game host' : 'Could not reach the game host';
+            this.isConnecting = false;
+            this.isConnected = false;
+            this._goOffline();
+        });
+    }
+
+    // ========================================================================
+    // Joining and Leaving
+    // ========================================================================
+
+    /**
+     * Open a room playing a game, and join it
+     * @param {Object} data - The game's save data (see SaveFormat.js)
+     * @param {number} [spectatorDelay] - Turns spectators are kept behind
+     */
+    createRoom(data, spectatorDelay = 0) {
+        this.session = null;
+        this._connect({ type: NetMessage.CreateRoom, game: data, spectatorDelay });
+    }
+
+    /**
+     * Join a room by its join code
+     * @param {string} code - The join code
+     * @param {string|null} [token] - Session token of a seat held in the
+     *     room, to take it back
+     */
+    joinRoom(code, token = null) {
+        this.session = token ? { code: code.trim().toUpperCase(), token } : null;
+        this._connect({ type: NetMessage.JoinRoom, code, token });
+    }
+
+    /**
+     * Join a room by its join code as a spectator, following the game
+     * without taking a seat
+     * @param {string} code - The join code
+     */
+    watchRoom(code) {
+        this.session = null;
+        this._connect({ type: NetMessage.JoinRoom, code, spectate: true });
+    }
+
+    /**
+     * Join the room of the seat held before the connection was lost, and
+     * take the seat back
+     * @returns {boolean} False if no seat is held
+     */
+    rejoin() {
+        if (!this.session) return false;
+        this.joinRoom(this.session.code, this.session.token);
+        return true;
+    }
+
+    /**
+     * Take a free seat
+     * @param {number} seat - The seat's home triangle index
+     */
+    claimSeat(seat) {
+        this.connection.send({ type: NetMessage.ClaimSeat, seat });
+    }
+
+    /**
+     * Leave the room, giving up the seat; the game stays on the page, to
+     * play on locally
+     */
+    leave() {
+        this.session = null;
+        this.connection.close();
+        this.isConnecting = false;
+        this.isConnected = false;
+        this._goOffline();
+    }
+
+    /**
+     * Check if a seat can be claimed
+     * @param {number} seat - The seat's home triangle index
+     * @returns {boolean}
+     */
+    isSeatFree(seat) {
+        return this.code !== null && !this.isSpectating && !this.claimed.includes(seat);
+    }
+
+    // ========================================================================
+    // Requests
+    // ========================================================================
+
+    /**
+     * Ask the server to play a move for this page's seat
+     * @param {HexPosition} fromPos - The piece's position
+     * @param {HexPosition} toPos - Target position
+     * @param {number|null} jumps - Hop count, or null for a step
+     */
+    requestMove(fromPos, toPos, jumps) {
+        this.connection.send({ type: NetMessage.Move, from: fromPos.key, to: toPos.key, jumps });
+    }
+
+    /**
+     * Ask the server to pass the turn of this page's seat
+     */
+    requestPass() {
+        this.connection.send({ type: NetMessage.Pass });
+    }
+
+    /**
+     * Ask the server to resign this page's seat
+     */
+    requestResign() {
+        this.connection.send({ type: NetMessage.Resign });
+    }
+
+    // ========================================================================
+    // Server Messages
+    // ========================================================================
+
+    /**
+     * Act on a message from the server
+     * @private
+     */
+    _handleMessage(message) {
+        switch (message.type) {
+            case NetMessage.Joined:
+                this._joined(message);
+                break;
+            case NetMessage.Resync:
+                this._loadSnapshot(message);
+                break;
+            case NetMessage.Seats:
+                this._updateSeats(message);
+                break;
+            case NetMessage.Move:
+            case NetMessage.Pass:
+            case NetMessage.Resign:
+                this._receiveTurn(message);
+                break;
+            case NetMessage.Error:
+                this.error = message.message;
+                this._changed();
+                break;
+        }
+    }
+
+    /**
+     * Replace the page's game with the room's
+     * @private
+     */
+    _joined(message) {
+        if (!this._loadSnapshot(message)) return;
+
+        this.code = message.code;
+        this.isSpectating = message.spectating;
+        this.spectatorDelay = message.spectatorDelay;
+        this.error = null;
+        this.gameMode.setOnline(this);
+        this.gameMode.getGameState().events.subscribe('stateReset', this._boundStateReset);
+        this._changed();
+    }
+
+    /**
+     * Replace the page's game with a snapshot of the room's
+     * @private
+     * @returns {boolean} False if the snapshot could not be loaded, leaving the room
+     */
+    _loadSnapshot({ game, seq }) {
+        this._isLoading = true;
+        try {
+            this.gameMode.loadGame(game);
+        } catch (error) {
+            this.error = `Could not open the online game. ${error.message}`;
+            this.leave();
+            return false;
+        } finally {
+            this._isLoading = false;
+        }
+
+        this.seq = seq;
+        this._awaiting = null;
+        return true;
+    }
+
+    /**
+     * Take in who holds which seat, and start play once every seat is taken
+     * @private
+     */
+    _updateSeats({ claimed, away, seat, token, started, watching }) {
+        this.claimed = claimed;
+        this.away = away;
+        this.seat = seat;
+        this.started = started;
+        this.watching = watching;
+        this.session = token ? { code: this.code, token } : null;
+
+        const controller = this.gameMode.playerController;
+        if (controller) {
+            if (controller.getIsInputLocked() === started) {
+                controller.setInputLocked(!started);
+            }
+            controller.setLocalSeats(seat !== null ? [seat] : []);
+        }
+        this._changed();
+    }
+
+    /**
+     * Play the next turn the server announced, asking for any turns missed
+     * before it
+     * @private
+     */
+    _receiveTurn(message) {
+        if (message.seq <= this.seq) return; // Already played
+        if (message.seq > this.seq + 1) {
+            if (!this._awaiting) {
+                this._ask(NetMessage.RequestTurns, { after: this.seq });
+            }
+            return;
+        }
+
+        if (!this._playTurn(message)) {
+            // The server's game and this one no longer agree
+            if (this._awaiting !== NetMessage.Resync) {
+                this._ask(NetMessage.Resync, {});
+            }
+            return;
+        }
+        this.seq = message.seq;
+        if (this._awaiting === NetMessage.RequestTurns) {
+            this._awaiting = null;
+        }
+    }
+
+    /**
+     * Ask the server for turns or the game, to catch up
+     * @private
+     */
+    _ask(type, fields) {
+        this._awaiting = type;
+        this.connection.send({ type, ...fields });
+    }
+
+    /**
+     * Play a move, pass or resignation, taking the server's clock times
+     * @private
+     * @returns {boolean} False if this game cannot play it
+     */
+    _playTurn(message) {
+        const result = playNetTurn(this.gameMode, message);
+        if (!result) return false;
+
+        if (message.type !== NetMessage.Resign) {
+            this.gameMode.render();
+            if (!result.winner) {
+                this.gameMode.beginTurn();
+            }
+        }
+        return true;
+    }
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Connect, sending a request once connected
+     * @private
+     */
+    _connect(request) {
+        this._firstRequest = request;
+        this.error = null;
+        try {
+            this.connection.open();
+            this.isConnecting = true;
+        } catch (error) {
+            this.error = `Could not reach the game host. ${error.message}`;
+        }
+        this._changed();
+    }
+
+    /**
+     * Hand the game back to the page
+     * @private
+     */
+    _goOffline() {
+        this.gameMode.getGameState().events.unsubscribe('stateReset', this._boundStateReset);
+        if (this.gameMode.online === this) {
+            this.gameMode.setOnline(null);
+            const controller = this.gameMode.playerController;
+            if (controller) {
+                controller.setInputLocked(false);
+                controller.setLocalSeats(null);
+            }
+        }
+
+        this.code = null;
+        this.seat = null;
+        this.claimed = [];
+        this.away = [];
+        this.started = false;
+        this.isSpectating = false;
+        this.watching = 0;
+        this._changed();
+    }
+
+    /**
+     * Notify listeners of a change
+     * @private
+     */
+    _changed() {
+        this.events.emit('onlineChanged', { online: this });
+    }
+}
@@ -0,0 +1,446 @@
+import { MatchPhase, PlayerType } from '../core/types.js';
+import { HexPosition } from '../core/hexUtils.js';
+import { GameMode } from '../game/GameMode.js';
+import { NetMessage, entryToNetMove, playNetTurn } from './NetProtocol.js';
+
+const TOKEN_BYTES = 16;
+
+// ============================================================================
+// Room - One online game and the clients taking part in it
+// ============================================================================
+// The room holds the authoritative game, a headless GameMode, and checks
+// every request against it before telling the clients what happened (see
+// NetProtocol.js). Each client may take one seat; play starts once every
+// seat is taken (resigned players' seats stay empty), and only the player
+// to move may move. The game's clocks run here, so time-outs are the
+// room's to announce.
+//
+// Every turn announced is numbered and kept, so a client can ask for the
+// ones it missed. A seat belongs to whoever holds its session token: once
+// play has started, the seat is kept for its player when they disconnect,
+// until they join again with the token.
+//
+// Spectators watch without a seat. With a spectator delay they follow a
+// second game that lags that many turns behind, so what they are shown
+// cannot be used to coach the players.
+//
+// Clients are objects with a send(message) method; the room does not care
+// how messages travel.
+export class Room {
+    /**
+     * Create a room playing a game
+     * @param {string} code - The join code
+     * @param {Object} data - The game's save data (see SaveFormat.js); every
+     *     seat is played by a human, and undone moves are dropped
+     * @param {Object} [options]
+     * @param {number} [options.spectatorDelay] - Turns spectators are kept behind
+     * @throws {GameDataError} If the game data is invalid
+     */
+    constructor(code, data, options = {}) {
+        this.code = code;
+        this.gameMode = new GameMode();
+        this.gameMode.loadGame(data);
+        this.gameMode.clock.reset(); // The clocks wait for every seat to be taken
+
+        const gameState = this.gameMode.getGameState();
+        gameState.discardUndoneMoves();
+        gameState.players.forEach(p => p.setController(PlayerType.Human, null));
+
+        this.seats = new Map(); // home triangle index -> { token, client } (client null while away)
+        this.clients = new Set();
+        this.spectators = new Set(); // The clients watching only
+        this.started = false;
+        this.turns = [];        // Every turn announced; a turn's seq is its index + 1
+        this.shownTurns = 0;    // Turns sent to spectators so far
+
+        const delay = options.spectatorDelay;
+        this.spectatorDelay = Number.isInteger(delay) && delay > 0 ? delay : 0;
+        this.spectatorGame = null; // The game as spectators see it, when delayed
+        if (this.spectatorDelay > 0) {
+            this.spectatorGame = new GameMode();
+            this.spectatorGame.loadGame(gameState.toJSON());
+            this.spectatorGame.clock.reset();
+        }
+
+        // Time-outs happen on the room's own clock, so resignations are
+        // announced from the game's events
+        gameState.events.subscribe('playerResigned', ({ playerIndex, timeout }) => {
+            this._announceTurn({ type: NetMessage.Resign, playerIndex, timeout });
+        });
+        // Spectators see the end of the game without delay
+        gameState.events.subscribe('matchEnded', () => this._showTurns());
+    }
+
+    // ========================================================================
+    // Clients
+    // ========================================================================
+
+    /**
+     * Add a client, sending them the game and the seats
+     * @param {{ send: Function }} client
+     * @param {Object} [options]
+     * @param {string|null} [options.token] - A seat's session token: the
+     *     client takes over that seat, from any other connection holding it
+     * @param {boolean} [options.spectate] - True to join as a spectator
+     */
+    join(client, { token = null, spectate = false } = {}) {
+        this.clients.add(client);
+        if (spectate) {
+            this.spectators.add(client);
+        }
+        client.send({
+            type: NetMessage.Joined,
+            code: this.code,
+            ...this._getGameFor(client),
+            spectating: spectate,
+            spectatorDelay: this.spectatorDelay
+        });
+
+        if (spectate) {
+            this._broadcastSeats();
+            return;
+        }
+
+        const held = token ? Array.from(this.seats.values()).find(s => s.token === token) : undefined;
+        if (held) {
+            held.client = client;
+            this._broadcastSeats();
+        } else {
+            if (token) {
+                this._refuse(client, 'Your seat in this game has been taken');
+            }
+            this._sendSeats(client);
+        }
+    }
+
+    /**
+     * Remove a client. Their seat is kept for them once play has started,
+     * and freed before then.
+     * @param {{ send: Function }} client
+     */
+    leave(client) {
+        this.clients.delete(client);
+        if (this.spectators.delete(client)) {
+            this._broadcastSeats();
+            return;
+        }
+
+        const seat = this._getSeat(client);
+        if (seat === null) return;
+
+        this.seats.get(seat).client = null;
+        this._broadcastSeats();
+    }
+
+    /**
+     * Check if no clients are left
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.clients.size === 0;
+    }
+
+    /**
+     * Stop the game's clock, once the room is no longer needed
+     */
+    close() {
+        this.gameMode.clock.reset();
+    }
+
+    // ========================================================================
+    // Requests
+    // ========================================================================
+
+    /**
+     * Handle a request from a client in the room
+     * @param {{ send: Function }} client - The sender
+     * @param {Object} message - The request (see NetProtocol.js)
+     */
+    handle(client, message) {
+        switch (message.type) {
+            case NetMessage.ClaimSeat:
+                this._claimSeat(client, message.seat);
+                break;
+            case NetMessage.Move:
+                this._move(client, message);
+                break;
+            case NetMessage.Pass:
+                this._pass(client);
+                break;
+            case NetMessage.Resign:
+                this._resign(client);
+                break;
+            case NetMessage.RequestTurns:
+                this._sendTurns(client, message.after);
+                break;
+            case NetMessage.Resync:
+                client.send({ type: NetMessage.Resync, ...this._getGameFor(client) });
+                break;
+            default:
+                this._refuse(client, `Unknown request "${message.type}"`);
+        }
+    }
+
+    /**
+     * Give a client a free seat
+     * @private
+     */
+    _claimSeat(client, seat) {
+        const gameState = this.gameMode.getGameState();
+        if (this.spectators.has(client)) {
+            this._refuse(client, 'Spectators cannot take a seat');
+            return;
+        }
+        if (this._getSeat(client) !== null) {
+            this._refuse(client, 'You already have a seat');
+            return;
+        }
+        if (!gameState.players.some(p => p.homeTriangleIndex === seat)) {
+            this._refuse(client, 'There is no such seat');
+            return;
+        }
+        if (gameState.hasResigned(seat)) {
+            this._refuse(client, 'That player has resigned');
+            return;
+        }
+        if (!this._isSeatFree(seat)) {
+            this._refuse(client, 'That seat is taken');
+            return;
+        }
+
+        this.seats.set(seat, { token: this._createToken(), client });
+        // Play starts once every player who has not resigned is seated
+        const seated = Array.from(this.seats.values()).filter(s => s.client !== null);
+        const inPlay = gameState.players.filter(p => !gameState.hasResigned(p.homeTriangleIndex));
+        if (!this.started && seated.length === inPlay.length) {
+            this.started = true;
+            this.gameMode.beginTurn();
+        }
+        this._broadcastSeats();
+    }
+
+    /**
+     * Play a move for the client's seat
+     * @private
+     */
+    _move(client, { from, to, jumps }) {
+        if (!this._checkTurn(client)) return;
+
+        if (typeof from !== 'string' || typeof to !== 'string') {
+            this._refuse(client, 'That move is not legal');
+            return;
+        }
+
+        const fromPos = HexPosition.fromKey(from);
+        const toPos = HexPosition.fromKey(to);
+        const playerIndex = this.gameMode.getCurrentPlayerIndex();
+        const result = this.gameMode.applyMove(fromPos, toPos, Number.isInteger(jumps) ? jumps : null);
+        if (!result) {
+            this._refuse(client, this.gameMode.getStayLimitReason(fromPos, toPos) || 'That move is not legal');
+            return;
+        }
+
+        const played = this.gameMode.getGameState().history.getPlayedEntries();
+        this._announceTurn({
+            type: NetMessage.Move,
+            ...entryToNetMove(played[played.length - 1]),
+            playerIndex,
+            clockTimes: this.gameMode.getGameState().clockTimes
+        });
+        this.gameMode.beginTurn();
+    }
+
+    /**
+     * Pass the turn of the client's seat
+     * @private
+     */
+    _pass(client) {
+        if (!this._checkTurn(client)) return;
+
+        const playerIndex = this.gameMode.getCurrentPlayerIndex();
+        if (!this.gameMode.passTurn()) {
+            this._refuse(client, 'You can still move');
+            return;
+        }
+
+        this._announceTurn({ type: NetMessage.Pass, playerIndex, clockTimes: this.gameMode.getGameState().clockTimes });
+        this.gameMode.beginTurn();
+    }
+
+    /**
+     * Resign the client's seat (announced through playerResigned)
+     * @private
+     */
+    _resign(client) {
+        const seat = this._getSeat(client);
+        if (!this.started || seat === null || !this.gameMode.resign(seat)) {
+            this._refuse(client, 'You cannot resign now');
+        }
+    }
+
+    /**
+     * Check the client may move now, telling them why not otherwise
+     * @private
+     */
+    _checkTurn(client) {
+        const gameState = this.gameMode.getGameState();
+        if (gameState.matchPhase !== MatchPhase.InProgress) {
+            this._refuse(client, 'The game is over');
+        } else if (!this.started) {
+            this._refuse(client, 'Waiting for every seat to be taken');
+        } else if (this._getSeat(client) !== gameState.currentPlayerIndex) {
+            this._refuse(client, 'It is not your turn');
+        } else {
+            return true;
+        }
+        return false;
+    }
+
+    // ========================================================================
+    // Seats
+    // ========================================================================
+
+    /**
+     * Get the seat a client holds
+     * @private
+     * @returns {number|null} Its home triangle index, or null if none
+     */
+    _getSeat(client) {
+        for (const [seat, holder] of this.seats) {
+            if (holder.client === client) return seat;
+        }
+        return null;
+    }
+
+    /**
+     * Check if a seat can be claimed: it has never been taken, or its
+     * player left before play started
+     * @private
+     */
+    _isSeatFree(seat) {
+        const holder = this.seats.get(seat);
+        return !holder || (!this.started && holder.client === null);
+    }
+
+    /**
+     * Make up a seat's session token
+     * @private
+     */
+    _createToken() {
+        const bytes = globalThis.crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // ========================================================================
+    // Sending
+    // ========================================================================
+
+    /**
+     * Number a turn, keep it, and send it to the players, and to spectators
+     * when the delay allows
+     * @private
+     */
+    _announceTurn(message) {
+        const turn = { ...message, seq: this.turns.length + 1 };
+        this.turns.push(turn);
+        this.clients.forEach(client => {
+            if (!this.spectators.has(client)) {
+                client.send(turn);
+            }
+        });
+        this._showTurns();
+    }
+
+    /**
+     * Send spectators the turns the delay no longer holds back: all of them
+     * once the game is over
+     * @private
+     */
+    _showTurns() {
+        const isOver = this.gameMode.getGameState().matchPhase !== MatchPhase.InProgress;
+        const shown = isOver ? this.turns.length : this.turns.length - this.spectatorDelay;
+
+        while (this.shownTurns < shown) {
+            const turn = this.turns[this.shownTurns++];
+            if (this.spectatorGame) {
+                playNetTurn(this.spectatorGame, turn);
+                this.spectatorGame.clock.reset(); // Only the room's own clock runs
+            }
+            this.spectators.forEach(client => client.send(turn));
+        }
+    }
+
+    /**
+     * Send a client the turns numbered after a seq, or the whole game if
+     * they cannot be told apart
+     * @private
+     */
+    _sendTurns(client, after) {
+        const seq = this._getSeenTurns(client);
+        if (!Number.isInteger(after) || after < 0 || after > seq) {
+            client.send({ type: NetMessage.Resync, ...this._getGameFor(client) });
+            return;
+        }
+        this.turns.slice(after, seq).forEach(turn => client.send(turn));
+    }
+
+    /**
+     * Get the number of turns a client may see
+     * @private
+     */
+    _getSeenTurns(client) {
+        return this.spectators.has(client) ? this.shownTurns : this.turns.length;
+    }
+
+    /**
+     * Get the game as a client may see it: a snapshot of its save data,
+     * with the clock of the player to move showing their time left now,
+     * and the number of its last turn
+     * @private
+     * @returns {{ game: Object, seq: number }}
+     */
+    _getGameFor(client) {
+        const gameMode = this.spectatorGame && this.spectators.has(client) ? this.spectatorGame : this.gameMode;
+        const gameState = gameMode.getGameState();
+        const game = gameState.toJSON();
+        if (game.clockTimes) {
+            const player = gameState.currentPlayerIndex;
+            game.clockTimes = { ...game.clockTimes, [player]: gameMode.clock.getRemaining(player) };
+        }
+        return { game, seq: this._getSeenTurns(client) };
+    }
+
+    /**
+     * Tell a client their request was refused
+     * @private
+     */
+    _refuse(client, message) {
+        client.send({ type: NetMessage.Error, message });
+    }
+
+    /**
+     * Send every client the seats
+     * @private
+     */
+    _broadcastSeats() {
+        this.clients.forEach(client => this._sendSeats(client));
+    }
+
+    /**
+     * Send a client the seats, and which is theirs
+     * @private
+     */
+    _sendSeats(client) {
+        const seats = Array.from(this.seats.keys()).sort((a, b) => a - b);
+        const seat = this._getSeat(client);
+        client.send({
+            type: NetMessage.Seats,
+            claimed: seats.filter(s => !this._isSeatFree(s)),
+            away: seats.filter(s => !this._isSeatFree(s) && this.seats.get(s).client === null),
+            seat,
+            token: seat !== null ? this.seats.get(seat).token : null,
+            started: this.started,
+            watching: this.spectators.size
+        });
+    }
+}
@@ -0,0 +1,137 @@
+import { Room } from './Room.js';
+import { NetMessage } from './NetProtocol.js';
+
+const CHANNEL_PREFIX = 'chinese-checkers.game.';
+
+// ============================================================================
+// TabHost - Hosts an online game in this tab, for other tabs of the browser
+// ============================================================================
+// Plays the game server's part for one room, with no server: tabs reach it
+// over a BroadcastChannel named after the join code, using
+// BroadcastChannelConnection, and send the messages of NetProtocol.js
+// inside envelopes:
+//
+// Tab -> host
+//     { from, connect: true }              Open a connection from address 'from'
+//     { from, message }                    A message from that connection
+//     { from, disconnect: true }           Close the connection
+//
+// Host -> tab
+//     { to, connected: true }              The connection to address 'to' is open
+//     { to, message }                      A message for that connection
+//     { closed: true }                     The host has stopped; every connection is lost
+//
+// The hosting tab plays too, through a connection of its own. The game
+// lasts as long as the hosting tab keeps hosting it.
+export class TabHost {
+    /**
+     * Start hosting a game
+     * @param {string} code - The join code (see createJoinCode)
+     * @param {Object} data - The game's save data (see Room)
+     * @param {Object} [options] - Room options (see Room)
+     * @param {Function} [ChannelClass] - BroadcastChannel implementation
+     * @throws {GameDataError} If the game data is invalid
+     */
+    constructor(code, data, options = {}, ChannelClass = globalThis.BroadcastChannel) {
+        this.code = code;
+        this.room = new Room(code, data, options);
+        this.clients = new Map(); // address -> client of the room
+        this.channel = new ChannelClass(getTabChannelName(code));
+        this.channel.onmessage = (event) => this._handleEnvelope(event.data);
+    }
+
+    /**
+     * Stop hosting: every tab loses the connection
+     */
+    close() {
+        if (!this.channel) return;
+
+        this.clients.forEach(client => this.room.leave(client));
+        this.clients.clear();
+        this.room.close();
+
+        this.channel.postMessage({ closed: true });
+        this.channel.onmessage = null;
+        this.channel.close();
+        this.channel = null;
+    }
+
+    // ========================================================================
+    // Envelopes
+    // ========================================================================
+
+    /**
+     * Open or close a tab's connection, or pass its message on
+     * @private
+     */
+    _handleEnvelope(envelope) {
+        if (!envelope || typeof envelope !== 'object' || typeof envelope.from !== 'string') return;
+
+        const address = envelope.from;
+        if (envelope.connect) {
+            this._connect(address);
+            return;
+        }
+
+        const client = this.clients.get(address);
+        if (!client) return;
+
+        if (envelope.disconnect) {
+            this.clients.delete(address);
+            this.room.leave(client);
+        } else if (envelope.message && typeof envelope.message === 'object') {
+            this._handleMessage(client, envelope.message);
+        }
+    }
+
+    /**
+     * Open a connection for a tab
+     * @private
+     */
+    _connect(address) {
+        if (!this.clients.has(address)) {
+            this.clients.set(address, {
+                send: (message) => {
+                    if (this.channel) {
+                        this.channel.postMessage({ to: address, message });
+                    }
+                }
+            });
+        }
+        this.channel.postMessage({ to: address, connected: true });
+    }
+
+    /**
+     * Join the tab to the room, or pass the message on to the room, as the
+     * game server would (see server/GameServer.js)
+     * @private
+     */
+    _handleMessage(client, message) {
+        if (message.type === NetMessage.JoinRoom) {
+            const code = typeof message.code === 'string' ? message.code.trim().toUpperCase() : '';
+            if (code !== this.code) {
+                client.send({ type: NetMessage.Error, message: `There is no game with code "${code}"` });
+                return;
+            }
+            this.room.join(client, {
+                token: typeof message.token === 'string' ? message.token : null,
+                spectate: message.spectate === true
+            });
+        } else if (message.type === NetMessage.CreateRoom) {
+            client.send({ type: NetMessage.Error, message: 'Games in tabs are created by the tab hosting them' });
+        } else if (this.room.clients.has(client)) {
+            this.room.handle(client, message);
+        } else {
+            client.send({ type: NetMessage.Error, message: 'Join the game first' });
+        }
+    }
+}
+
+/**
+ * Get the channel a game hosted in a tab is reached on
+ * @param {string} code - The game's join code
+ * @returns {string}
+ */
+export function getTabChannelName(code) {
+    return CHANNEL_PREFIX + code.trim().toUpperCase();
+}
@@ -0,0 +1,76 @@
+import { EventEmitter } from '../core/types.js';
+
+// ============================================================================
+// WebSocketConnection - JSON messages over a WebSocket
+// ============================================================================
+// Emits 'open', 'message' (with the parsed message) and 'close' on its own
+// events. Messages that are not JSON are dropped.
+export class WebSocketConnection {
+    /**
+     * Create a connection (not opened yet)
+     * @param {string} url - The server's URL, such as ws://localhost:8080
+     * @param {Function} [WebSocketClass] - WebSocket implementation (the
+     *     browser's by default; in Node, pass the ws package's)
+     */
+    constructor(url, WebSocketClass = globalThis.WebSocket) {
+        this.url = url;
+        this.WebSocketClass = WebSocketClass;
+        this.events = new EventEmitter();
+        this.socket = null;
+    }
+
+    /**
+     * Connect to the server
+     * @throws {Error} If the URL is not a WebSocket URL
+     */
+    open() {
+        const socket = new this.WebSocketClass(this.url);
+        this.socket = socket;
+
+        socket.onopen = () => this.events.emit('open', {});
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            this.events.emit('message', message);
+        };
+        socket.onerror = () => {}; // A close always follows, and is handled there
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.events.emit('close', {});
+        };
+    }
+
+    /**
+     * Send a message, if connected
+     * @param {Object} message
+     */
+    send(message) {
+        if (this.isOpen()) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Check if the connection is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.socket && this.socket.readyState === this.WebSocketClass.OPEN;
+    }
+
+    /**
+     * Disconnect; no 'close' event follows
+     */
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.close();
+        }
+    }
+}
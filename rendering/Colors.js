@@ -0,0 +1,88 @@
+import { PlayerConfig, DEFAULT_GAME_OPTIONS } from '../core/config.js';
+
+// ============================================================================
+// Triangle Colors - piece and home colors, loaded from CSS variables
+// ============================================================================
+// Triangles are coloured as the game being shown chooses (see setGameState)
+export const TriangleColors = {
+    // Cached resolved colors, by colour name
+    _resolved: null,
+
+    // The game whose colours are shown, or null for the standard colours
+    _gameState: null,
+
+    // Resolve CSS variables to actual color values
+    _resolveColors() {
+        if (this._resolved) return;
+        const style = getComputedStyle(document.documentElement);
+        this._resolved = new Map(PlayerConfig.colors.map(c => [c.name, {
+            color: style.getPropertyValue(c.colorVar).trim(),
+            woodTint: style.getPropertyValue(c.woodTintVar).trim()
+        }]));
+    },
+
+    // Colour triangles as a game's options choose, following them as they
+    // change (see GameState.getColorName); null for the standard colours
+    setGameState(gameState) {
+        this._gameState = gameState;
+    },
+
+    // Resolved colors of a triangle
+    _getTriangle(homeIndex) {
+        this._resolveColors();
+        const options = this._gameState ? this._gameState.options : DEFAULT_GAME_OPTIONS;
+        return this._resolved.get(options.colors[homeIndex]);
+    },
+
+    getColor(homeIndex) {
+        return this._getTriangle(homeIndex).color;
+    },
+
+    // Color of a colour name (see PlayerConfig.colors), whichever triangle has it
+    getNamedColor(colorName) {
+        this._resolveColors();
+        const resolved = this._resolved.get(colorName);
+        return resolved ? resolved.color : '';
+    },
+
+    getWoodTint(homeIndex) {
+        return this._getTriangle(homeIndex).woodTint;
+    }
+};
+
+// ============================================================================
+// Game Colors - loaded from CSS variables
+// ============================================================================
+export const GameColors = {
+    cached: null,
+
+    get() {
+        if (this.cached) return this.cached;
+
+        const style = getComputedStyle(document.documentElement);
+        this.cached = {
+            boardWoodBase: style.getPropertyValue('--board-wood-base').trim(),
+            boardBorderDark: style.getPropertyValue('--board-border-dark').trim(),
+            boardBorderDarker: style.getPropertyValue('--board-border-darker').trim(),
+            boardBackground: style.getPropertyValue('--board-background').trim(),
+            woodGrainColor: style.getPropertyValue('--wood-grain-color').trim(),
+            holeShadow: style.getPropertyValue('--hole-shadow').trim(),
+            holeLight: style.getPropertyValue('--hole-light').trim(),
+            holeMid: style.getPropertyValue('--hole-mid').trim(),
+            holeDark: style.getPropertyValue('--hole-dark').trim(),
+            holeRim: style.getPropertyValue('--hole-rim').trim(),
+            pieceShadow: style.getPropertyValue('--piece-shadow').trim(),
+            pieceHighlight: style.getPropertyValue('--piece-highlight').trim(),
+            selectionColor: style.getPropertyValue('--selection-color').trim(),
+            selectionGlow: style.getPropertyValue('--selection-glow').trim(),
+            moveIndicatorSimple: style.getPropertyValue('--move-indicator-simple').trim(),
+            moveIndicatorJump: style.getPropertyValue('--move-indicator-jump').trim(),
+            moveStrokeSimple: style.getPropertyValue('--move-stroke-simple').trim(),
+            moveStrokeJump: style.getPropertyValue('--move-stroke-jump').trim(),
+            panelBackground: style.getPropertyValue('--panel-background').trim(),
+            panelText: style.getPropertyValue('--panel-text').trim(),
+            panelBorderLight: style.getPropertyValue('--panel-border-light').trim()
+        };
+        return this.cached;
+    }
+};
@@ -0,0 +1,79 @@
+// ============================================================================
+// MoveAnimator - Shows jump moves hop by hop as they are played
+// ============================================================================
+// Moves are applied to the game state at once (see GameMode.applyMove); the
+// animator follows the moveApplied events and draws the piece travelling
+// along its jump path while the piece itself is hidden on its new cell.
+// Steps are not animated. Callers that should wait for a move to be shown,
+// such as starting the next turn, use whenIdle.
+export class MoveAnimator {
+    /**
+     * Create a new move animator
+     * @param {Renderer} renderer - The renderer to animate on
+     * @param {EventEmitter} events - The game state's events
+     */
+    constructor(renderer, events) {
+        this.renderer = renderer;
+        this._isAnimating = false;
+        this._waiting = [];    // Called once the running animation completes
+        this._generation = 0;  // Bumped per animation, so a replaced one is ignored
+
+        events.subscribe('moveApplied', ({ move, piece }) => this.animate(move, piece.getArmyIndex()));
+    }
+
+    /**
+     * Animate a move that has already been made on the board
+     * @param {{ fromPos: HexPosition, toPos: HexPosition, jumpPath: HexPosition[] }} move - The move
+     * @param {number} armyIndex - The moving piece's army (for its colour)
+     */
+    animate(move, armyIndex) {
+        if (move.jumpPath.length === 0) return;
+
+        const generation = ++this._generation;
+        this._isAnimating = true;
+        this.renderer.animateJumpPath([move.fromPos, ...move.jumpPath], armyIndex, () => {
+            this._finish(generation, true);
+        }, {
+            hideEnd: true,
+            // Interrupted (new game, replay, undo): the move stands, but
+            // whoever interrupted starts the next turn
+            onCancel: () => this._finish(generation, false)
+        });
+    }
+
+    /**
+     * Check if a move is being shown
+     * @returns {boolean}
+     */
+    isAnimating() {
+        return this._isAnimating;
+    }
+
+    /**
+     * Call back once the move being shown has finished, or now if none is.
+     * Callbacks are dropped if the animation is interrupted.
+     * @param {Function} callback
+     */
+    whenIdle(callback) {
+        if (this._isAnimating) {
+            this._waiting.push(callback);
+        } else {
+            callback();
+        }
+    }
+
+    /**
+     * End an animation, calling the waiting callbacks if it completed
+     * @private
+     */
+    _finish(generation, completed) {
+        if (generation !== this._generation) return; // Replaced by a newer animation
+
+        const waiting = this._waiting;
+        this._isAnimating = false;
+        this._waiting = [];
+        if (completed) {
+            waiting.forEach(callback => callback());
+        }
+    }
+}
@@ -1,5 +1,6 @@
 import { HexPosition, HexUtils } from '../core/hexUtils.js';
-import { GameColors, PlayerConfig } from '../core/config.js';
+import { GameColors, TriangleColors } from './Colors.js';
+import { DEFAULT_GAME_OPTIONS } from '../core/config.js';
 
 // ============================================================================
 // Renderer - Canvas rendering for the game
@@ -13,6 +14,11 @@ export class Renderer {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.hexRadius = 20; // Will be recalculated on resize
+        this.boardSize = DEFAULT_GAME_OPTIONS.boardSize; // Board size the scale is fitted to
+        this._animationGeneration = 0; // Bumped to cancel a running animation
+        this._animationOnCancel = null; // Cancel handler of the running animation
+        this._hiddenPieceKey = null; // Cell whose piece the running animation draws itself
+        this.rotation = 0; // Sixths of a turn the board is drawn rotated by (see setRotation)
     }
 
     // ========================================================================
@@ -23,12 +29,13 @@ export class Renderer {
      * Resize the canvas to fit its container
      */
     resizeCanvas() {
+        // The canvas shares the main area with the side panel
         const container = this.canvas.parentElement;
-        const header = container.querySelector('.header');
-        const headerHeight = header ? header.offsetHeight + 20 : 70;
+        const sidePanel = container.querySelector('.side-panel');
+        const panelWidth = sidePanel ? sidePanel.offsetWidth + 10 : 0;
 
-        const availableWidth = container.clientWidth - 20;
-        const availableHeight = container.clientHeight - headerHeight;
+        const availableWidth = container.clientWidth - panelWidth - 20;
+        const availableHeight = container.clientHeight;
 
         const aspectRatio = 1.1;
         let width, height;
@@ -43,7 +50,17 @@ export class Renderer {
 
         this.canvas.width = width;
         this.canvas.height = height;
-        this.hexRadius = Math.min(width, height) / 28;
+        this.fitBoard(this.boardSize);
+    }
+
+    /**
+     * Scale cells so a board of the given size fills the canvas
+     * @param {number} boardSize - Rows per home triangle
+     */
+    fitBoard(boardSize) {
+        this.boardSize = boardSize;
+        // The star spans 6 * boardSize + 6 cell radii from tip to tip
+        this.hexRadius = Math.min(this.canvas.width, this.canvas.height) / (6 * boardSize + 4);
     }
 
     /**
@@ -66,13 +83,30 @@ export class Renderer {
     // Coordinate Conversion
     // ========================================================================
 
+    /**
+     * Turn the view of the board, such as to bring another player's home
+     * to the bottom. Only the drawing turns: positions are unchanged.
+     * @param {number} rotation - Sixths of a turn (60° steps), 0-5
+     */
+    setRotation(rotation) {
+        this.rotation = ((rotation % 6) + 6) % 6;
+    }
+
+    /**
+     * Get how far the view of the board is turned
+     * @returns {number} Sixths of a turn, 0-5
+     */
+    getRotation() {
+        return this.rotation;
+    }
+
     /**
      * Convert axial coordinates to pixel coordinates
      * @param {HexPosition} pos - The hex position
      * @returns {{ x: number, y: number }}
      */
     axialToPixel(pos) {
-        return HexUtils.axialToPixel(pos, this.hexRadius, this.getCenterX(), this.getCenterY());
+        return HexUtils.axialToPixel(pos.rotateN(this.rotation), this.hexRadius, this.getCenterX(), this.getCenterY());
     }
 
     /**
@@ -82,7 +116,8 @@ export class Renderer {
      * @returns {HexPosition}
      */
     pixelToAxial(x, y) {
-        return HexUtils.pixelToAxial(x, y, this.hexRadius, this.getCenterX(), this.getCenterY());
+        const pos = HexUtils.pixelToAxial(x, y, this.hexRadius, this.getCenterX(), this.getCenterY());
+        return pos.rotateN((6 - this.rotation) % 6);
     }
 
     // ========================================================================
@@ -138,7 +173,8 @@ export class Renderer {
         const centerY = this.getCenterY();
         const vertices = [];
 
-        const outerRadius = this.hexRadius * 15;
+        // Reaches one cell beyond the triangle tips, 3 * boardSize radii from the centre
+        const outerRadius = this.hexRadius * (3 * this.boardSize + 3);
         const innerRadius = outerRadius / Math.sqrt(3);
 
         for (let i = 0; i < 12; i++) {
@@ -166,6 +202,12 @@ export class Renderer {
     render(gameState, playerController) {
         const selectedPiece = playerController ? playerController.getSelectedPiece() : null;
         const validMoves = playerController ? playerController.getValidMoves() : [];
+        const isThinking = playerController ? playerController.getIsThinking() : false;
+        const thinkingInfo = playerController ? playerController.getThinkingInfo() : null;
+
+        if (gameState.options.boardSize !== this.boardSize) {
+            this.fitBoard(gameState.options.boardSize);
+        }
 
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
@@ -178,18 +220,26 @@ export class Renderer {
 
             this.drawHole(x, y);
 
-            if (cell.hasPiece()) {
+            if (cell.hasPiece() && key !== this._hiddenPieceKey) {
                 const piece = cell.getPiece();
                 const drawData = piece.getDrawData();
-                this.drawPiece(x, y, drawData.ownerPlayerIndex, drawData.isSelected);
+                this.drawPiece(x, y, drawData.armyIndex, drawData.isSelected);
             }
         });
 
         // Draw valid move indicators
         this.drawValidMoves(validMoves);
 
-        // Draw current player indicator
-        this.drawPlayerIndicator(gameState.getCurrentPlayer());
+        // Draw current player indicator, with the team scores above it in team games
+        const currentPlayer = gameState.getCurrentPlayer();
+        const controlled = currentPlayer ? gameState.getControlledTriangles(currentPlayer.homeTriangleIndex) : [];
+        const assisting = controlled.length > 0 && controlled[0] !== currentPlayer.homeTriangleIndex
+            ? gameState.getPlayerName(controlled[0])
+            : null;
+        this.drawPlayerIndicator(currentPlayer, isThinking, thinkingInfo, assisting);
+        if (gameState.isTeamGame()) {
+            this.drawTeamScores(gameState);
+        }
     }
 
     // ========================================================================
@@ -250,7 +300,7 @@ export class Renderer {
                     ctx.moveTo(x + this.hexRadius * 1.1, y);
                     ctx.arc(x, y, this.hexRadius * 1.1, 0, Math.PI * 2);
                 });
-                ctx.fillStyle = PlayerConfig.getTriangleWoodTint(triangleIndex);
+                ctx.fillStyle = TriangleColors.getWoodTint(triangleIndex);
                 ctx.fill();
             }
         }
@@ -336,7 +386,7 @@ export class Renderer {
         // Main piece with gradient
         ctx.beginPath();
         ctx.arc(x, y, pieceRadius, 0, Math.PI * 2);
-        const baseColor = PlayerConfig.getTriangleColor(homeIndex);
+        const baseColor = TriangleColors.getColor(homeIndex);
         const gradient = ctx.createRadialGradient(x - pieceRadius * 0.3, y - pieceRadius * 0.3, 0, x, y, pieceRadius);
         gradient.addColorStop(0, this.lightenColor(baseColor, 60));
         gradient.addColorStop(0.5, baseColor);
@@ -390,26 +440,43 @@ export class Renderer {
     /**
      * Draw the current player indicator
      * @param {PlayerState} currentPlayer - The current player
+     * @param {boolean} [isThinking] - Whether the player (a bot) is deciding on a move
+     * @param {Object} [thinkingInfo] - Latest search progress ({ depth, ... }), if any
+     * @param {string|null} [assisting] - Name of the partner whose pieces the
+     *     player moves, once finished in a team game
      */
-    drawPlayerIndicator(currentPlayer) {
+    drawPlayerIndicator(currentPlayer, isThinking = false, thinkingInfo = null, assisting = null) {
         if (!currentPlayer) return;
 
         const ctx = this.ctx;
         const colors = GameColors.get();
         const displayName = currentPlayer.getDisplayName();
-        const playerColor = currentPlayer.getColor();
+        const playerColor = TriangleColors.getColor(currentPlayer.homeTriangleIndex);
+
+        let label;
+        if (isThinking) {
+            const depth = thinkingInfo ? ` (depth ${thinkingInfo.depth})` : '';
+            label = `${displayName} is thinking…${depth}`;
+        } else {
+            const botSuffix = currentPlayer.isAI() ? ' (Bot)' : '';
+            const partnerSuffix = assisting !== null ? ` for ${assisting}` : '';
+            label = `${displayName}${botSuffix} to Play${partnerSuffix}`;
+        }
 
-        const x = 130;
+        ctx.font = 'bold 16px "Segoe UI", Tahoma, sans-serif';
+        const panelWidth = Math.max(240, ctx.measureText(label).width + 70);
+
+        const x = 10 + panelWidth / 2;
         const y = this.canvas.height - 30;
 
         // Background panel
         ctx.fillStyle = colors.panelBackground;
         ctx.beginPath();
-        ctx.roundRect(x - 120, y - 18, 240, 36, 8);
+        ctx.roundRect(x - panelWidth / 2, y - 18, panelWidth, 36, 8);
         ctx.fill();
 
         // Marble icon
-        const marbleX = x - 90;
+        const marbleX = x - panelWidth / 2 + 30;
         ctx.beginPath();
         ctx.arc(marbleX, y, 12, 0, Math.PI * 2);
         const gradient = ctx.createRadialGradient(marbleX - 4, y - 4, 0, marbleX, y, 12);
@@ -424,10 +491,61 @@ export class Renderer {
 
         // Text
         ctx.fillStyle = colors.panelText;
-        ctx.font = 'bold 16px "Segoe UI", Tahoma, sans-serif';
         ctx.textAlign = 'left';
         ctx.textBaseline = 'middle';
-        ctx.fillText(`${displayName} to Play`, marbleX + 20, y);
+        ctx.fillText(label, marbleX + 20, y);
+    }
+
+    /**
+     * Draw each team's colours and score (pieces in their goals) in a row of
+     * panels above the player indicator, outlining the team to play
+     * @param {GameState} gameState
+     */
+    drawTeamScores(gameState) {
+        const ctx = this.ctx;
+        const colors = GameColors.get();
+        const y = this.canvas.height - 30 - 44;
+        let x = 10;
+
+        ctx.font = 'bold 14px "Segoe UI", Tahoma, sans-serif';
+        gameState.getTeams().forEach(team => {
+            const score = team.reduce((sum, idx) => sum + gameState.getPiecesInGoal(idx), 0);
+            const maxScore = gameState.players
+                .filter(p => team.includes(p.homeTriangleIndex))
+                .reduce((sum, p) => sum + p.getPieceCount(), 0);
+            const label = `${score}/${maxScore}`;
+            const panelWidth = 16 + team.length * 20 + ctx.measureText(label).width + 10;
+
+            // Background panel, outlined for the team to play
+            ctx.fillStyle = colors.panelBackground;
+            ctx.beginPath();
+            ctx.roundRect(x, y - 14, panelWidth, 28, 8);
+            ctx.fill();
+            if (team.includes(gameState.currentPlayerIndex)) {
+                ctx.strokeStyle = colors.selectionColor;
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+
+            // A small marble per member
+            team.forEach((triangleIndex, index) => {
+                const color = TriangleColors.getColor(triangleIndex);
+                ctx.beginPath();
+                ctx.arc(x + 16 + index * 20, y, 8, 0, Math.PI * 2);
+                ctx.fillStyle = color;
+                ctx.fill();
+                ctx.strokeStyle = color === '#FFFFFF' ? colors.panelBorderLight : '#000';
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            });
+
+            ctx.fillStyle = colors.panelText;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, x + 8 + team.length * 20, y);
+
+            x += panelWidth + 8;
+        });
     }
 
     // ========================================================================
@@ -439,8 +557,14 @@ export class Renderer {
      * @param {HexPosition[]} positions - Array of positions (including start and end)
      * @param {number} homeIndex - The player's triangle index (for piece color)
      * @param {Function} callback - Called when animation completes
+     * @param {Object} [options]
+     * @param {number} [options.framesPerStep=15] - Frames per hop (lower is faster)
+     * @param {Function} [options.onCancel] - Called instead of callback if the
+     *     animation is cancelled or replaced by another one
+     * @param {boolean} [options.hideEnd=false] - The piece is already on the
+     *     last position: leave it out of the board until the animation ends
      */
-    animateJumpPath(positions, homeIndex, callback) {
+    animateJumpPath(positions, homeIndex, callback, options = {}) {
         if (positions.length < 2) {
             if (callback) callback();
             return;
@@ -448,15 +572,30 @@ export class Renderer {
 
         const totalSteps = positions.length - 1;
         let currentStep = 0;
-        const framesPerStep = 15; // Frames per hop
+        const framesPerStep = options.framesPerStep || 15; // Frames per hop
         let frameInStep = 0;
 
         // Store reference to the game state and controller for redrawing
         const gameState = this._animationGameState;
         const controller = this._animationController;
+        this.cancelAnimation();
+        const generation = this._animationGeneration;
+        this._animationOnCancel = options.onCancel || null;
+        this._hiddenPieceKey = options.hideEnd ? positions[positions.length - 1].key : null;
 
         const animate = () => {
+            // Cancelled: stop without calling back
+            if (generation !== this._animationGeneration) return;
+
             if (currentStep >= totalSteps) {
+                this._animationOnCancel = null;
+                if (this._hiddenPieceKey !== null) {
+                    // Show the piece on its cell again
+                    this._hiddenPieceKey = null;
+                    if (gameState && controller) {
+                        this.render(gameState, controller);
+                    }
+                }
                 if (callback) callback();
                 return;
             }
@@ -500,6 +639,19 @@ export class Renderer {
         animate();
     }
 
+    /**
+     * Stop any running animation; its onCancel handler is called instead of
+     * its completion callback
+     */
+    cancelAnimation() {
+        this._animationGeneration++;
+        this._hiddenPieceKey = null;
+
+        const onCancel = this._animationOnCancel;
+        this._animationOnCancel = null;
+        if (onCancel) onCancel();
+    }
+
     /**
      * Set the animation context (called before animating)
      * @param {GameState} gameState
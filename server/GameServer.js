@@ -0,0 +1,168 @@
+import { WebSocketServer } from 'ws';
+import { Room } from '../net/Room.js';
+import { NetMessage, createJoinCode } from '../net/NetProtocol.js';
+
+// How long an empty room is kept, so its players can reconnect
+const EMPTY_ROOM_MS = 5 * 60 * 1000;
+
+// ============================================================================
+// GameServer - Hosts online games over WebSockets
+// ============================================================================
+// Each connection is a client that creates or joins one room at a time, by
+// join code (see NetProtocol.js for the messages). The rooms do the rest;
+// a room closes once it has been empty for a while.
+export class GameServer {
+    /**
+     * Create a game server (not listening yet)
+     * @param {Object} [options]
+     * @param {number} [options.emptyRoomMs] - How long an empty room is kept
+     */
+    constructor(options = {}) {
+        this.emptyRoomMs = options.emptyRoomMs !== undefined ? options.emptyRoomMs : EMPTY_ROOM_MS;
+        this.rooms = new Map(); // join code -> Room
+        this.wss = null;
+        this._closeTimers = new Map(); // join code -> timer closing the empty room
+    }
+
+    /**
+     * Start accepting connections
+     * @param {number} port - The port to listen on (0 for any free port)
+     * @returns {Promise<number>} Resolves with the port once listening
+     */
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocketServer({ port });
+            this.wss.on('connection', socket => this._handleConnection(socket));
+            this.wss.on('listening', () => resolve(this.wss.address().port));
+            this.wss.on('error', reject);
+        });
+    }
+
+    /**
+     * Close every room and connection, and stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+        this._closeTimers.forEach(timer => clearTimeout(timer));
+        this._closeTimers.clear();
+        this.rooms.forEach(room => room.close());
+        this.rooms.clear();
+        if (!this.wss) return Promise.resolve();
+
+        this.wss.clients.forEach(socket => socket.terminate());
+        return new Promise(resolve => this.wss.close(() => resolve()));
+    }
+
+    // ========================================================================
+    // Connections
+    // ========================================================================
+
+    /**
+     * Set up a new connection as a client
+     * @private
+     */
+    _handleConnection(socket) {
+        const client = {
+            room: null,
+            send: (message) => {
+                if (socket.readyState === socket.OPEN) {
+                    socket.send(JSON.stringify(message));
+                }
+            }
+        };
+
+        socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                message = null;
+            }
+
+            if (!message || typeof message !== 'object') {
+                client.send({ type: NetMessage.Error, message: 'Messages must be JSON objects' });
+                return;
+            }
+            this._handleMessage(client, message);
+        });
+        socket.on('close', () => this._leaveRoom(client));
+    }
+
+    /**
+     * Create or join a room, or pass the message on to the client's room
+     * @private
+     */
+    _handleMessage(client, message) {
+        if (message.type === NetMessage.CreateRoom) {
+            let room;
+            try {
+                room = new Room(this._createCode(), message.game, { spectatorDelay: message.spectatorDelay });
+            } catch (error) {
+                client.send({ type: NetMessage.Error, message: error.message });
+                return;
+            }
+            this.rooms.set(room.code, room);
+            this._enterRoom(client, room, {});
+        } else if (message.type === NetMessage.JoinRoom) {
+            const code = typeof message.code === 'string' ? message.code.trim().toUpperCase() : '';
+            const room = this.rooms.get(code);
+            if (!room) {
+                client.send({ type: NetMessage.Error, message: `There is no game with code "${code}"` });
+                return;
+            }
+            this._enterRoom(client, room, {
+                token: typeof message.token === 'string' ? message.token : null,
+                spectate: message.spectate === true
+            });
+        } else if (client.room) {
+            client.room.handle(client, message);
+        } else {
+            client.send({ type: NetMessage.Error, message: 'Create or join a game first' });
+        }
+    }
+
+    /**
+     * Move a client into a room, leaving any room they were in
+     * @private
+     * @param {Object} options - As for Room.join
+     */
+    _enterRoom(client, room, options) {
+        this._leaveRoom(client);
+        clearTimeout(this._closeTimers.get(room.code));
+        this._closeTimers.delete(room.code);
+
+        client.room = room;
+        room.join(client, options);
+    }
+
+    /**
+     * Take a client out of their room, closing it later if it is now empty
+     * @private
+     */
+    _leaveRoom(client) {
+        const room = client.room;
+        if (!room) return;
+
+        client.room = null;
+        room.leave(client);
+        if (room.isEmpty()) {
+            this._closeTimers.set(room.code, setTimeout(() => {
+                this._closeTimers.delete(room.code);
+                room.close();
+                this.rooms.delete(room.code);
+            }, this.emptyRoomMs));
+        }
+    }
+
+    /**
+     * Make up a join code no open room uses
+     * @private
+     */
+    _createCode() {
+        let code;
+        do {
+            code = createJoinCode();
+        } while (this.rooms.has(code));
+        return code;
+    }
+}
@@ -0,0 +1,308 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { GameServer } from './GameServer.js';
+import { GameMode } from '../game/GameMode.js';
+import { NetMessage } from '../net/NetProtocol.js';
+import { HexPosition } from '../core/hexUtils.js';
+import { MatchPhase } from '../core/types.js';
+
+// How long a client waits for a message before the test fails
+const RECEIVE_TIMEOUT_MS = 2000;
+
+// ============================================================================
+// TestClient - A WebSocket client that keeps what the server sends
+// ============================================================================
+class TestClient {
+    /**
+     * Connect to a server
+     * @param {number} port - The server's port on localhost
+     * @returns {Promise<TestClient>}
+     */
+    static connect(port) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(`ws://localhost:${port}`);
+            socket.once('open', () => resolve(new TestClient(socket)));
+            socket.once('error', reject);
+        });
+    }
+
+    constructor(socket) {
+        this.socket = socket;
+        this.inbox = [];   // Messages not yet received
+        this.waiting = []; // { match, resolve, timer }
+        socket.on('message', (data) => {
+            this.inbox.push(JSON.parse(data.toString()));
+            this._deliver();
+        });
+    }
+
+    send(message) {
+        this.socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * Wait for the first message not yet received of a type (and matching
+     * a test, if given), taking it from the inbox
+     * @param {string} type - A NetMessage type
+     * @param {Function} [match] - Receives each message of the type
+     * @returns {Promise<Object>}
+     */
+    receive(type, match = () => true) {
+        return new Promise((resolve, reject) => {
+            const waiter = { match: (m) => m.type === type && match(m), resolve };
+            waiter.timer = setTimeout(() => {
+                this.waiting.splice(this.waiting.indexOf(waiter), 1);
+                reject(new Error(`No "${type}" message arrived`));
+            }, RECEIVE_TIMEOUT_MS);
+            this.waiting.push(waiter);
+            this._deliver();
+        });
+    }
+
+    close() {
+        this.socket.close();
+    }
+
+    _deliver() {
+        this.waiting = this.waiting.filter(waiter => {
+            const index = this.inbox.findIndex(waiter.match);
+            if (index < 0) return true;
+            clearTimeout(waiter.timer);
+            waiter.resolve(this.inbox.splice(index, 1)[0]);
+            return false;
+        });
+    }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Save data of a new game
+ * @param {number} playerCount
+ * @returns {Object}
+ */
+function newGame(playerCount) {
+    const gameMode = new GameMode();
+    gameMode.initGame(playerCount);
+    return gameMode.getGameState().toJSON();
+}
+
+/**
+ * Find a legal move for the player to move in a game
+ * @param {Object} data - The game's save data
+ * @returns {{ from: string, to: string, jumps: number|null }}
+ */
+function findMove(data) {
+    const gameMode = new GameMode();
+    gameMode.loadGame(data);
+    const gameState = gameMode.getGameState();
+    for (const key of gameState.getCurrentPlayer().piecePositions) {
+        const [move] = gameMode.getMoveCalculator().findValidMoves(HexPosition.fromKey(key));
+        if (move) {
+            return { from: key, to: move.targetPos.key, jumps: move.type === 'jump' ? move.jumpPath.length : null };
+        }
+    }
+    throw new Error('The player to move cannot move');
+}
+
+// ============================================================================
+// Tests
+// ============================================================================
+describe('GameServer', () => {
+    let server;
+    let port;
+    const clients = [];
+
+    before(async () => {
+        server = new GameServer({ emptyRoomMs: 0 });
+        port = await server.listen(0);
+    });
+
+    after(async () => {
+        clients.forEach(client => client.close());
+        await server.close();
+    });
+
+    async function connect() {
+        const client = await TestClient.connect(port);
+        clients.push(client);
+        return client;
+    }
+
+    /**
+     * Open a room for a game, with a client in it for each player
+     * @returns {Promise<{ code: string, room: Room, players: TestClient[] }>}
+     */
+    async function openRoom(data) {
+        const host = await connect();
+        host.send({ type: NetMessage.CreateRoom, game: data });
+        const { code } = await host.receive(NetMessage.Joined);
+
+        const players = [host];
+        for (let i = 1; i < data.players.length; i++) {
+            const client = await connect();
+            client.send({ type: NetMessage.JoinRoom, code });
+            await client.receive(NetMessage.Joined);
+            players.push(client);
+        }
+        return { code, room: server.rooms.get(code), players };
+    }
+
+    /**
+     * Open a room and seat every player, in turn order
+     * @returns {Promise<{ room: Room, seated: Map<number, TestClient> }>}
+     */
+    async function startGame(playerCount) {
+        const data = newGame(playerCount);
+        const { room, players } = await openRoom(data);
+        const seated = new Map();
+        for (const [i, player] of data.players.entries()) {
+            players[i].send({ type: NetMessage.ClaimSeat, seat: player.homeTriangleIndex });
+            await players[i].receive(NetMessage.Seats, m => m.seat === player.homeTriangleIndex);
+            seated.set(player.homeTriangleIndex, players[i]);
+        }
+        await players[0].receive(NetMessage.Seats, m => m.started);
+        return { room, seated };
+    }
+
+    it('creates a room and lets others join it by code', async () => {
+        const host = await connect();
+        host.send({ type: NetMessage.CreateRoom, game: newGame(2) });
+        const joined = await host.receive(NetMessage.Joined);
+        assert.match(joined.code, /^[A-Z]{5}$/);
+        assert.equal(joined.seq, 0);
+        assert.equal(joined.spectating, false);
+
+        const guest = await connect();
+        guest.send({ type: NetMessage.JoinRoom, code: ` ${joined.code.toLowerCase()} ` });
+        const guestJoined = await guest.receive(NetMessage.Joined);
+        assert.equal(guestJoined.code, joined.code);
+        assert.deepEqual(guestJoined.game.players.map(p => p.homeTriangleIndex), [0, 3]);
+
+        const lost = await connect();
+        lost.send({ type: NetMessage.JoinRoom, code: 'ZZZZZ' });
+        assert.equal((await lost.receive(NetMessage.Error)).message, 'There is no game with code "ZZZZZ"');
+    });
+
+    it('refuses to create a room for an invalid game', async () => {
+        const data = newGame(2);
+        data.players[0].piecePositions.pop();
+        const host = await connect();
+        host.send({ type: NetMessage.CreateRoom, game: data });
+        assert.match((await host.receive(NetMessage.Error)).message, /^Invalid saved game/);
+    });
+
+    it('gives each seat to one client and starts once every seat is taken', async () => {
+        const { players: [host, guest] } = await openRoom(newGame(2));
+
+        host.send({ type: NetMessage.ClaimSeat, seat: 0 });
+        const seats = await host.receive(NetMessage.Seats, m => m.seat === 0);
+        assert.equal(typeof seats.token, 'string');
+        assert.equal(seats.started, false);
+
+        guest.send({ type: NetMessage.ClaimSeat, seat: 0 });
+        assert.equal((await guest.receive(NetMessage.Error)).message, 'That seat is taken');
+        guest.send({ type: NetMessage.ClaimSeat, seat: 1 });
+        assert.equal((await guest.receive(NetMessage.Error)).message, 'There is no such seat');
+
+        guest.send({ type: NetMessage.ClaimSeat, seat: 3 });
+        const started = await guest.receive(NetMessage.Seats, m => m.started);
+        assert.equal(started.seat, 3);
+        assert.deepEqual(started.claimed, [0, 3]);
+        await host.receive(NetMessage.Seats, m => m.started);
+
+        host.send({ type: NetMessage.ClaimSeat, seat: 3 });
+        assert.equal((await host.receive(NetMessage.Error)).message, 'You already have a seat');
+    });
+
+    it('refuses moves out of turn and illegal moves', async () => {
+        const { room, seated } = await startGame(2);
+        const gameState = room.gameMode.getGameState();
+        const mover = seated.get(gameState.currentPlayerIndex);
+        const [waiting] = Array.from(seated.values()).filter(client => client !== mover);
+        const move = findMove(gameState.toJSON());
+
+        waiting.send({ type: NetMessage.Move, ...move });
+        assert.equal((await waiting.receive(NetMessage.Error)).message, 'It is not your turn');
+
+        const far = gameState.getCurrentPlayer().piecePositions.values().next().value;
+        mover.send({ type: NetMessage.Move, from: far, to: '0,0', jumps: null });
+        assert.match((await mover.receive(NetMessage.Error)).message, /not (a )?legal/);
+
+        mover.send({ type: NetMessage.Move, from: 5, to: null });
+        assert.equal((await mover.receive(NetMessage.Error)).message, 'That move is not legal');
+
+        mover.send({ type: NetMessage.Pass });
+        assert.equal((await mover.receive(NetMessage.Error)).message, 'You can still move');
+        assert.equal(gameState.history.entries.length, 0);
+    });
+
+    it('sends every player each move, numbered in order', async () => {
+        const { room, seated } = await startGame(3);
+        const gameState = room.gameMode.getGameState();
+        const moves = [];
+
+        for (let seq = 1; seq <= 4; seq++) {
+            const playerIndex = gameState.currentPlayerIndex;
+            const move = findMove(gameState.toJSON());
+            moves.push(move);
+            seated.get(playerIndex).send({ type: NetMessage.Move, ...move });
+
+            for (const client of seated.values()) {
+                const announced = await client.receive(NetMessage.Move);
+                assert.equal(announced.seq, seq);
+                assert.equal(announced.playerIndex, playerIndex);
+                assert.equal(announced.from, move.from);
+                assert.equal(announced.to, move.to);
+            }
+        }
+        assert.equal(gameState.history.getPlayedMoves().length, 4);
+
+        // A client that missed turns gets them again, in order
+        const client = seated.get(gameState.currentPlayerIndex);
+        client.send({ type: NetMessage.RequestTurns, after: 1 });
+        for (let seq = 2; seq <= 4; seq++) {
+            const resent = await client.receive(NetMessage.Move);
+            assert.equal(resent.seq, seq);
+            assert.equal(resent.from, moves[seq - 1].from);
+        }
+    });
+
+    it('announces a resignation, which ends a two-player game', async () => {
+        const { room, seated } = await startGame(2);
+        const gameState = room.gameMode.getGameState();
+        const [resigning, other] = Array.from(seated.keys());
+
+        seated.get(resigning).send({ type: NetMessage.Resign });
+        for (const client of seated.values()) {
+            const announced = await client.receive(NetMessage.Resign);
+            assert.equal(announced.seq, 1);
+            assert.equal(announced.playerIndex, resigning);
+        }
+        assert.equal(gameState.matchPhase, MatchPhase.GameOver);
+        assert.deepEqual(gameState.finishOrder, [other]);
+
+        seated.get(other).send({ type: NetMessage.Move, ...findMove(newGame(2)) });
+        assert.equal((await seated.get(other).receive(NetMessage.Error)).message, 'The game is over');
+    });
+
+    it('starts a game with a resigned player once the others are seated', async () => {
+        const gameMode = new GameMode();
+        gameMode.initGame(3);
+        gameMode.resign(1);
+        const { room, players } = await openRoom(gameMode.getGameState().toJSON());
+
+        players[0].send({ type: NetMessage.ClaimSeat, seat: 1 });
+        assert.equal((await players[0].receive(NetMessage.Error)).message, 'That player has resigned');
+
+        players[0].send({ type: NetMessage.ClaimSeat, seat: 3 });
+        await players[0].receive(NetMessage.Seats, m => m.seat === 3);
+        players[1].send({ type: NetMessage.ClaimSeat, seat: 5 });
+        const started = await players[1].receive(NetMessage.Seats, m => m.seat === 5);
+        assert.equal(started.started, true);
+        assert.equal(room.started, true);
+    });
+});
@@ -0,0 +1,10 @@
+import { GameServer } from './GameServer.js';
+
+// ============================================================================
+// Game server entry point: `npm start`, listening on $PORT (default 8080)
+// ============================================================================
+const port = parseInt(process.env.PORT || '8080', 10);
+
+new GameServer().listen(port).then(actualPort => {
+    console.log(`Chinese Checkers server listening on ws://localhost:${actualPort}`);
+});
@@ -0,0 +1,181 @@
+import { TriangleColors } from '../rendering/Colors.js';
+
+const ERASE_TOOL = 'erase';
+
+// ============================================================================
+// BoardEditorPanel - Controls and canvas input for the board editor
+// ============================================================================
+// Clicking a cell places a piece of the chosen colour (or removes the piece
+// there if it already has that colour); dragging a piece moves it.
+export class BoardEditorPanel {
+    /**
+     * Create a new board editor panel
+     * @param {BoardEditor} editor - The board editor
+     * @param {Renderer} renderer - The renderer (for coordinate conversion)
+     * @param {Object} elements - DOM elements used by the panel
+     * @param {HTMLElement} elements.container - Shown only while editing
+     * @param {HTMLCanvasElement} elements.canvas - The game canvas
+     * @param {HTMLElement} elements.palette - Filled with a button per colour and an eraser
+     * @param {HTMLSelectElement} elements.turnSelect - Chooses who moves first
+     * @param {HTMLButtonElement} elements.startButton - Starts play from the position
+     * @param {HTMLButtonElement} elements.cancelButton - Leaves the editor
+     * @param {HTMLButtonElement} [elements.clearButton] - Removes every piece
+     * @param {HTMLElement} [elements.status] - Lists problems with the position
+     */
+    constructor(editor, renderer, elements) {
+        this.editor = editor;
+        this.renderer = renderer;
+        this.elements = elements;
+        this.tool = 0; // Triangle index of the colour to place, or ERASE_TOOL
+        this._dragFrom = null;
+    }
+
+    /**
+     * Bind DOM events and editor events
+     */
+    bind() {
+        const { canvas, palette, turnSelect, startButton, cancelButton, clearButton } = this.elements;
+
+        palette.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-tool]');
+            if (!button) return;
+            this.tool = button.dataset.tool === ERASE_TOOL ? ERASE_TOOL : parseInt(button.dataset.tool, 10);
+            this.render();
+        });
+
+        turnSelect.addEventListener('change', (e) => this.editor.setTurn(parseInt(e.target.value, 10)));
+        startButton.addEventListener('click', () => {
+            const problems = this.editor.startGame();
+            this._showProblems(problems);
+        });
+        cancelButton.addEventListener('click', () => this.editor.cancel());
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.editor.clearBoard());
+        }
+
+        canvas.addEventListener('pointerdown', (e) => this._handlePointerDown(e));
+        canvas.addEventListener('pointerup', (e) => this._handlePointerUp(e));
+
+        this.editor.events.subscribe('editorChanged', () => this.render());
+    }
+
+    /**
+     * Update the controls to match the editor
+     */
+    render() {
+        const { container, canvas, palette, turnSelect } = this.elements;
+        const editor = this.editor;
+
+        container.hidden = !editor.isActive;
+        canvas.classList.toggle('editing', editor.isActive);
+        if (!editor.isActive) return;
+
+        // The palette follows the game's colours
+        const gameState = editor.gameMode.getGameState();
+        palette.innerHTML = '';
+        gameState.options.colors.forEach((colorName, triangleIndex) => {
+            palette.appendChild(this._createToolButton(colorName, triangleIndex, TriangleColors.getColor(triangleIndex)));
+        });
+        palette.appendChild(this._createToolButton('Erase', ERASE_TOOL, null));
+        palette.querySelectorAll('button[data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === String(this.tool));
+        });
+
+        turnSelect.innerHTML = '';
+        gameState.players.forEach(player => {
+            turnSelect.add(new Option(`${player.getDisplayName()} to move`, player.homeTriangleIndex));
+        });
+        turnSelect.disabled = gameState.players.length === 0;
+        if (gameState.players.length > 0) {
+            turnSelect.value = String(gameState.currentPlayerIndex);
+        }
+
+        this._showProblems(editor.validate());
+    }
+
+    // ========================================================================
+    // Canvas Input
+    // ========================================================================
+
+    /**
+     * Remember the cell a press started on (a drag may follow)
+     * @private
+     */
+    _handlePointerDown(event) {
+        if (!this.editor.isActive || event.button !== 0) return;
+        this._dragFrom = this._getCellAt(event);
+    }
+
+    /**
+     * Finish a click or drag
+     * @private
+     */
+    _handlePointerUp(event) {
+        const fromPos = this._dragFrom;
+        this._dragFrom = null;
+        if (!this.editor.isActive || !fromPos) return;
+
+        const toPos = this._getCellAt(event);
+        if (!toPos) return;
+
+        const gameState = this.editor.gameMode.getGameState();
+        if (!fromPos.equals(toPos)) {
+            this.editor.movePiece(fromPos, toPos);
+            return;
+        }
+
+        const piece = gameState.getPieceAt(toPos);
+        if (this.tool === ERASE_TOOL || (piece && piece.belongsTo(this.tool))) {
+            this.editor.removePiece(toPos);
+        } else {
+            this.editor.placePiece(toPos, this.tool);
+        }
+    }
+
+    /**
+     * Get the board cell under a pointer event
+     * @private
+     * @returns {HexPosition|null}
+     */
+    _getCellAt(event) {
+        const rect = this.elements.canvas.getBoundingClientRect();
+        const pos = this.renderer.pixelToAxial(event.clientX - rect.left, event.clientY - rect.top);
+        return this.editor.gameMode.getGameState().isPositionOnBoard(pos) ? pos : null;
+    }
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Create a palette button
+     * @private
+     */
+    _createToolButton(label, tool, color) {
+        const button = document.createElement('button');
+        button.dataset.tool = tool;
+        button.title = tool === ERASE_TOOL ? 'Remove pieces' : `Place ${label} pieces`;
+
+        if (color) {
+            const swatch = document.createElement('span');
+            swatch.className = 'move-swatch';
+            swatch.style.background = color;
+            button.appendChild(swatch);
+        }
+        button.appendChild(document.createTextNode(label));
+        return button;
+    }
+
+    /**
+     * List the problems that stop the position from being played
+     * @private
+     */
+    _showProblems(problems) {
+        const { status, startButton } = this.elements;
+        startButton.disabled = problems.length > 0;
+        if (!status) return;
+
+        status.textContent = problems.length > 0 ? problems.join('. ') : 'Ready to play';
+        status.classList.toggle('error', problems.length > 0);
+    }
+}
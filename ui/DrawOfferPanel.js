@@ -0,0 +1,93 @@
+import { TriangleColors } from '../rendering/Colors.js';
+
+// ============================================================================
+// DrawOfferPanel - Offer Draw button and answers to a pending draw offer
+// ============================================================================
+// Bots answer offers as soon as they are made (see GameMode.offerDraw), so
+// the players left to answer are the human seats.
+export class DrawOfferPanel {
+    /**
+     * Create a new draw offer panel
+     * @param {GameMode} gameMode - The game mode
+     * @param {Object} elements - DOM elements used by the panel
+     * @param {HTMLButtonElement} elements.offerButton - Offers a draw for the player to move
+     * @param {HTMLElement} elements.container - Shown while an offer is pending or was just declined
+     * @param {HTMLElement} elements.text - Describes the offer
+     * @param {HTMLElement} elements.answers - Filled with Accept / Decline buttons per player yet to answer
+     */
+    constructor(gameMode, elements) {
+        this.gameMode = gameMode;
+        this.elements = elements;
+        this._declinedBy = null; // Who declined the last offer, shown until the next move
+    }
+
+    /**
+     * Bind DOM events and game events
+     */
+    bind() {
+        const { offerButton, answers } = this.elements;
+
+        offerButton.addEventListener('click', () => this.gameMode.offerDraw());
+        answers.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-player]');
+            if (!button) return;
+            this.gameMode.answerDrawOffer(parseInt(button.dataset.player, 10), button.dataset.accept === 'true');
+        });
+
+        const events = this.gameMode.getGameState().events;
+        events.subscribe('drawOfferChanged', ({ offer, declinedBy }) => {
+            this._declinedBy = !offer && declinedBy !== undefined ? declinedBy : null;
+            this.render();
+        });
+        ['turnChanged', 'stateReset', 'historyChanged', 'matchEnded'].forEach(event => {
+            events.subscribe(event, () => {
+                this._declinedBy = null;
+                this.render();
+            });
+        });
+        this.render();
+    }
+
+    /**
+     * Update the button and the offer to match the game
+     */
+    render() {
+        const { offerButton, container, text, answers } = this.elements;
+        const offer = this.gameMode.getDrawOffer();
+        const gameState = this.gameMode.getGameState();
+
+        offerButton.disabled = !this.gameMode.canOfferDraw();
+        answers.innerHTML = '';
+
+        if (offer) {
+            const waiting = offer.awaiting.map(idx => gameState.getPlayerName(idx)).join(', ');
+            text.textContent = `${gameState.getPlayerName(offer.from)} offers a draw. Waiting for ${waiting}.`;
+            gameState.players
+                .filter(p => offer.awaiting.includes(p.homeTriangleIndex))
+                .forEach(p => answers.append(
+                    this._createAnswerButton(p, true),
+                    this._createAnswerButton(p, false)
+                ));
+        } else if (this._declinedBy !== null) {
+            text.textContent = `${gameState.getPlayerName(this._declinedBy)} declined the draw.`;
+        }
+
+        container.hidden = !offer && this._declinedBy === null;
+    }
+
+    /**
+     * Create an Accept or Decline button for a player
+     * @private
+     */
+    _createAnswerButton(playerState, accept) {
+        const button = document.createElement('button');
+        button.dataset.player = playerState.homeTriangleIndex;
+        button.dataset.accept = String(accept);
+
+        const swatch = document.createElement('span');
+        swatch.className = 'move-swatch';
+        swatch.style.background = TriangleColors.getColor(playerState.homeTriangleIndex);
+        button.append(swatch, `${playerState.getDisplayName()}: ${accept ? 'Accept' : 'Decline'}`);
+        return button;
+    }
+}
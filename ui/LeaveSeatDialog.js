@@ -0,0 +1,77 @@
+import { PlayerType, ResignedPieces } from '../core/types.js';
+
+// ============================================================================
+// LeaveSeatDialog - Resign a seat, or hand it to a bot
+// ============================================================================
+// Resigning takes the player out of the match (see GameMode.resign); handing
+// the seat to a bot keeps their pieces in play.
+export class LeaveSeatDialog {
+    /**
+     * Create a new leave seat dialog
+     * @param {GameMode} gameMode - The game mode
+     * @param {Object} elements - DOM elements used by the dialog
+     * @param {HTMLDialogElement} elements.dialog - The dialog
+     * @param {HTMLElement} elements.title - Names the player leaving
+     * @param {HTMLElement} elements.text - Says what happens to their pieces
+     * @param {HTMLButtonElement} elements.resignButton - Resigns the player
+     * @param {HTMLButtonElement} elements.botButton - Hands the seat to a bot
+     * @param {HTMLButtonElement} elements.cancelButton - Closes the dialog
+     */
+    constructor(gameMode, elements) {
+        this.gameMode = gameMode;
+        this.elements = elements;
+        this._triangleIndex = null; // The seat being left
+    }
+
+    /**
+     * Bind DOM events
+     * @param {Function} [onChange] - Called after a seat is resigned or handed to a bot
+     */
+    bind(onChange = () => {}) {
+        const { resignButton, botButton, cancelButton } = this.elements;
+
+        resignButton.addEventListener('click', () => {
+            const triangleIndex = this._triangleIndex;
+            this.close();
+            if (this.gameMode.resign(triangleIndex)) onChange();
+        });
+        botButton.addEventListener('click', () => {
+            const triangleIndex = this._triangleIndex;
+            this.close();
+            this.gameMode.setSeatConfig(triangleIndex, PlayerType.AI);
+            onChange();
+        });
+        cancelButton.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Ask how a player wants to leave
+     * @param {number} triangleIndex - The player's home triangle index
+     */
+    show(triangleIndex) {
+        const { dialog, title, text } = this.elements;
+        const gameState = this.gameMode.getGameState();
+        const name = gameState.getPlayerName(triangleIndex);
+        const frozen = gameState.options.resignedPieces === ResignedPieces.Frozen;
+
+        this._triangleIndex = triangleIndex;
+        title.textContent = `${name} leaves the game`;
+        text.textContent = frozen
+            ? `If ${name} resigns, their pieces stay on the board as obstacles. A bot can play on for them instead.`
+            : `If ${name} resigns, their pieces are taken off the board. A bot can play on for them instead.`;
+
+        if (!dialog.open) {
+            dialog.showModal();
+        }
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        this._triangleIndex = null;
+        if (this.elements.dialog.open) {
+            this.elements.dialog.close();
+        }
+    }
+}
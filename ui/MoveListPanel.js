@@ -0,0 +1,148 @@
+import { TriangleColors } from '../rendering/Colors.js';
+import { Notation } from '../game/Notation.js';
+
+// ============================================================================
+// MoveListPanel - Side panel listing the game's moves in notation
+// ============================================================================
+export class MoveListPanel {
+    /**
+     * Create a new move list panel
+     * @param {GameMode} gameMode - The game mode
+     * @param {Object} elements - DOM elements used by the panel
+     * @param {HTMLOListElement} elements.list - The move list
+     * @param {HTMLTextAreaElement} [elements.input] - Text box for pasted moves
+     * @param {HTMLButtonElement} [elements.playButton] - Plays the pasted moves
+     * @param {HTMLButtonElement} [elements.copyButton] - Copies the moves as text
+     * @param {HTMLElement} [elements.status] - Shows errors and confirmations
+     */
+    constructor(gameMode, elements) {
+        this.gameMode = gameMode;
+        this.list = elements.list;
+        this.input = elements.input || null;
+        this.playButton = elements.playButton || null;
+        this.copyButton = elements.copyButton || null;
+        this.status = elements.status || null;
+    }
+
+    /**
+     * Bind DOM events and game state events
+     */
+    bind() {
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('li[data-move-count]');
+            if (item) {
+                this.gameMode.goToMove(parseInt(item.dataset.moveCount, 10));
+            }
+        });
+
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => this.playInput());
+        }
+        if (this.copyButton) {
+            this.copyButton.addEventListener('click', () => this.copyMoves());
+        }
+
+        const events = this.gameMode.getGameState().events;
+        events.subscribe('historyChanged', () => this.render());
+        events.subscribe('stateReset', () => this.render());
+    }
+
+    /**
+     * Rebuild the move list
+     */
+    render() {
+        const gameState = this.gameMode.getGameState();
+        const history = gameState.history;
+        this.list.innerHTML = '';
+
+        this.list.appendChild(this._createItem('Start', 0, history.cursor === 0, false));
+
+        history.entries.forEach((entry, index) => {
+            const moveCount = index + 1;
+            const item = this._createItem(
+                Notation.formatMove(entry, moveCount, gameState.options.colors),
+                moveCount,
+                history.cursor === moveCount,
+                moveCount > history.cursor
+            );
+
+            const swatch = document.createElement('span');
+            swatch.className = 'move-swatch';
+            swatch.style.background = TriangleColors.getColor(entry.playerIndex);
+            item.prepend(swatch);
+
+            this.list.appendChild(item);
+        });
+
+        const current = this.list.querySelector('.current');
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Play the moves typed or pasted into the input box
+     */
+    playInput() {
+        if (!this.input) return;
+
+        try {
+            const count = this.gameMode.playNotation(this.input.value);
+            this.input.value = '';
+            this._setStatus(`Played ${count} move${count === 1 ? '' : 's'}`, false);
+        } catch (error) {
+            this._setStatus(error.message, true);
+        }
+    }
+
+    /**
+     * Copy the played moves to the clipboard as notation text
+     */
+    copyMoves() {
+        const gameState = this.gameMode.getGameState();
+        const text = Notation.formatMoves(gameState.history.getPlayedEntries(), gameState.options.colors);
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text)
+                .then(() => this._setStatus('Moves copied', false))
+                .catch(() => this._showTextForCopy(text));
+        } else {
+            this._showTextForCopy(text);
+        }
+    }
+
+    /**
+     * Create a list item that jumps to a position when clicked
+     * @private
+     */
+    _createItem(text, moveCount, isCurrent, isUndone) {
+        const item = document.createElement('li');
+        item.dataset.moveCount = moveCount;
+        item.textContent = text;
+        item.classList.toggle('current', isCurrent);
+        item.classList.toggle('undone', isUndone);
+        return item;
+    }
+
+    /**
+     * Put text in the input box so it can be copied by hand
+     * @private
+     */
+    _showTextForCopy(text) {
+        if (this.input) {
+            this.input.value = text;
+            this.input.select();
+        }
+        this._setStatus('Copy the moves from the box above', false);
+    }
+
+    /**
+     * Show a status message under the panel
+     * @private
+     */
+    _setStatus(message, isError) {
+        if (!this.status) return;
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,369 @@
+import { TriangleColors } from '../rendering/Colors.js';
+import { OnlineGame } from '../net/OnlineGame.js';
+import { WebSocketConnection } from '../net/WebSocketConnection.js';
+import { BroadcastChannelConnection } from '../net/BroadcastChannelConnection.js';
+import { TabHost, getTabChannelName } from '../net/TabHost.js';
+import { createJoinCode } from '../net/NetProtocol.js';
+import { GameStorage } from '../game/GameStorage.js';
+
+const DEFAULT_SERVER_URL = 'ws://localhost:8080';
+
+// Where games are hosted: the value of the place selector, also stored as
+// the address of a remembered seat in a game hosted by a tab
+const TABS = 'tabs';
+
+// ============================================================================
+// OnlinePanel - Creating, joining and leaving online games
+// ============================================================================
+// Creating a room starts a new game with the current settings and hosts it
+// on the server, or in this tab for other tabs of the browser (see
+// TabHost.js); the join code shown can be given to the other players.
+// Once in a room, each player takes a seat, and play starts when every seat
+// is taken. Anyone else with the code can watch instead, as late as the
+// room's spectator delay says.
+//
+// The seat held is remembered for the tab (see GameStorage), so reloading
+// the page takes it back; after a lost connection, Join takes it back.
+export class OnlinePanel {
+    /**
+     * Create a new online panel
+     * @param {GameMode} gameMode - The game mode
+     * @param {Object} elements - DOM elements used by the panel
+     * @param {HTMLButtonElement} elements.toggleButton - Shows or hides the panel
+     * @param {HTMLElement} elements.container - The panel
+     * @param {HTMLSelectElement} [elements.placeSelect] - Chooses between a game
+     *     server and tabs of this browser
+     * @param {HTMLInputElement} elements.urlInput - The game server's URL
+     * @param {HTMLSelectElement} [elements.delaySelect] - Turns spectators of a
+     *     hosted game are kept behind
+     * @param {HTMLButtonElement} elements.createButton - Hosts a new game
+     * @param {HTMLInputElement} elements.codeInput - Join code of a game to join
+     * @param {HTMLButtonElement} elements.joinButton - Joins the game with that code
+     * @param {HTMLButtonElement} elements.watchButton - Watches the game with that code
+     * @param {HTMLButtonElement} elements.leaveButton - Leaves the game
+     * @param {HTMLElement} elements.seats - Filled with a button per seat
+     * @param {HTMLElement} elements.status - Shows the join code, or what went wrong
+     */
+    constructor(gameMode, elements) {
+        this.gameMode = gameMode;
+        this.elements = elements;
+        this.online = null; // The OnlineGame of the current connection
+        this.host = null;   // The TabHost, while this tab hosts a game
+        this._address = null; // Server URL or TABS of the current connection
+        this._seatToTake = null; // Seat taken once a created game is joined
+        this._onChange = null;
+    }
+
+    /**
+     * Bind DOM events
+     * @param {Function} [onChange] - Called whenever the online game changes
+     */
+    bind(onChange) {
+        const { toggleButton, container, placeSelect, urlInput, delaySelect, createButton, codeInput, joinButton, watchButton, leaveButton, seats } = this.elements;
+        this._onChange = onChange || null;
+
+        if (!urlInput.value) {
+            urlInput.value = DEFAULT_SERVER_URL;
+        }
+
+        toggleButton.addEventListener('click', () => {
+            container.hidden = !container.hidden;
+        });
+        if (placeSelect) {
+            placeSelect.addEventListener('change', () => this.render());
+        }
+        createButton.addEventListener('click', () => this.create());
+        joinButton.addEventListener('click', () => {
+            const code = codeInput.value.trim();
+            if (!code) return;
+            const saved = GameStorage.loadOnlineSession();
+            const token = saved && saved.url === this._getAddress() && saved.code === code.toUpperCase() ? saved.token : null;
+            const online = this._connect(code);
+            if (online) {
+                online.joinRoom(code, token);
+            }
+        });
+        watchButton.addEventListener('click', () => {
+            const code = codeInput.value.trim();
+            if (!code) return;
+            const online = this._connect(code);
+            if (online) {
+                online.watchRoom(code);
+            }
+        });
+        codeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') joinButton.click();
+        });
+        leaveButton.addEventListener('click', () => {
+            if (this.online) {
+                this.online.leave();
+            }
+        });
+        seats.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-seat]');
+            if (button && this.online) {
+                this.online.claimSeat(parseInt(button.dataset.seat, 10));
+            }
+        });
+
+        // Closing the tab: let the host know, keeping the seat remembered
+        // for a reload. A hosting tab takes its game with it.
+        window.addEventListener('pagehide', () => {
+            if (this.online) {
+                this.online.connection.close();
+            }
+            this._stopHosting();
+        });
+        this.render();
+    }
+
+    /**
+     * Take back the seat this tab held before the page was reloaded, if any
+     */
+    resume() {
+        const saved = GameStorage.loadOnlineSession();
+        if (!saved) return;
+
+        const { container, placeSelect, urlInput, codeInput } = this.elements;
+        container.hidden = false;
+        if (saved.url === TABS) {
+            if (!placeSelect) return;
+            placeSelect.value = TABS;
+        } else {
+            urlInput.value = saved.url;
+        }
+        codeInput.value = saved.code;
+        const online = this._connect(saved.code);
+        if (online) {
+            online.joinRoom(saved.code, saved.token);
+        }
+    }
+
+    /**
+     * Start a new game with the current settings, hosted where the place
+     * selector says, and join it
+     * @param {number|null} [seat] - Seat to take once joined (see GameSetup.getHostSeat)
+     */
+    create(seat = null) {
+        const { container, delaySelect } = this.elements;
+        const spectatorDelay = delaySelect ? parseInt(delaySelect.value, 10) : 0;
+        container.hidden = false;
+
+        if (this._getAddress() !== TABS) {
+            const online = this._connect(null);
+            if (!online) return;
+            this.gameMode.resetGame();
+            online.createRoom(this.gameMode.getGameState().toJSON(), spectatorDelay);
+            this._seatToTake = seat;
+            return;
+        }
+
+        this._leave();
+        this.gameMode.resetGame();
+        const code = createJoinCode();
+        try {
+            this.host = new TabHost(code, this.gameMode.getGameState().toJSON(), { spectatorDelay });
+        } catch (error) {
+            this._showError(`Could not host the game. ${error.message}`);
+            return;
+        }
+        const online = this._connect(code);
+        if (online) {
+            online.joinRoom(code);
+            this._seatToTake = seat;
+        }
+    }
+
+    /**
+     * Update the controls to match the online game
+     */
+    render() {
+        const { toggleButton, placeSelect, urlInput, delaySelect, createButton, codeInput, joinButton, watchButton, leaveButton, seats, status } = this.elements;
+        const online = this.online;
+        const inRoom = !!online && online.code !== null;
+        const busy = !!online && (online.isConnecting || online.isConnected);
+
+        toggleButton.classList.toggle('active', inRoom);
+        if (placeSelect) {
+            placeSelect.disabled = busy;
+        }
+        urlInput.hidden = this._getAddress() === TABS;
+        urlInput.disabled = busy;
+        createButton.disabled = busy;
+        codeInput.disabled = busy;
+        joinButton.disabled = busy;
+        watchButton.disabled = busy;
+        if (delaySelect) {
+            delaySelect.disabled = busy;
+        }
+        leaveButton.disabled = !busy;
+
+        seats.innerHTML = '';
+        if (inRoom) {
+            const gameState = this.gameMode.getGameState();
+            gameState.players
+                .map(p => p.homeTriangleIndex)
+                .filter(seat => !gameState.hasResigned(seat))
+                .sort((a, b) => a - b)
+                .forEach(seat => seats.appendChild(this._createSeatButton(seat)));
+        }
+
+        if (online && online.session && !busy) {
+            // Lost the connection while holding a seat
+            codeInput.value = online.session.code;
+            status.textContent = `${online.error || 'Disconnected'}. Press Join to take your seat back.`;
+        } else if (online && online.error) {
+            status.textContent = online.error;
+        } else if (inRoom && online.isSpectating) {
+            const delay = online.spectatorDelay > 0 ? `, ${online.spectatorDelay} moves behind` : '';
+            status.textContent = `Watching game ${online.code}${delay}`;
+        } else if (inRoom) {
+            const where = this._address === TABS ? ' (open it in another tab of this browser)' : '';
+            status.textContent = online.started
+                ? `Playing game ${online.code}`
+                : `Game code ${online.code}${where}: waiting for every seat to be taken`;
+            if (online.away.length > 0) {
+                const gameState = this.gameMode.getGameState();
+                const names = online.away.map(seat => gameState.getPlayerName(seat)).join(', ');
+                status.textContent += `. Waiting for ${names} to reconnect.`;
+            }
+            if (online.watching > 0) {
+                status.textContent += ` (${online.watching} watching)`;
+            }
+        } else if (online && online.isConnecting) {
+            status.textContent = 'Connecting…';
+        } else {
+            status.textContent = 'Playing on this page';
+        }
+        status.classList.toggle('error', !!online && !!online.error);
+    }
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Start a new connection, to the server in the URL box or to the tab
+     * hosting a game
+     * @private
+     * @param {string|null} code - The game's join code (needed for tabs)
+     * @returns {OnlineGame|null} The new online game, or null if the browser
+     *     cannot connect that way
+     */
+    _connect(code) {
+        const address = this._getAddress();
+        const isTabs = address === TABS;
+        const host = this.host;
+        this.host = null;
+        this._leave();
+        this.host = host && isTabs && host.code === code ? host : null;
+        if (host && !this.host) {
+            host.close();
+        }
+        this._seatToTake = null;
+
+        if (isTabs ? typeof BroadcastChannel === 'undefined' : typeof WebSocket === 'undefined') {
+            this._showError(isTabs ? 'This browser cannot play in tabs' : 'This browser cannot play online');
+            return null;
+        }
+
+        const connection = isTabs
+            ? new BroadcastChannelConnection(getTabChannelName(code))
+            : new WebSocketConnection(address);
+        const online = new OnlineGame(this.gameMode, connection);
+        online.events.subscribe('onlineChanged', () => {
+            if (this.online !== online) return;
+            GameStorage.saveOnlineSession(online.session ? { url: address, ...online.session } : null);
+            if (!online.isConnecting && !online.isConnected) {
+                this._stopHosting();
+            }
+            if (this._seatToTake !== null && online.code !== null) {
+                const seat = this._seatToTake;
+                this._seatToTake = null;
+                online.claimSeat(seat);
+            }
+            this.render();
+            if (this._onChange) {
+                this._onChange();
+            }
+        });
+        this.online = online;
+        this._address = address;
+        return online;
+    }
+
+    /**
+     * Leave the current game, if any
+     * @private
+     */
+    _leave() {
+        if (this.online) {
+            this.online.leave();
+        }
+        this._stopHosting();
+    }
+
+    /**
+     * Stop hosting a game in this tab, if it does
+     * @private
+     */
+    _stopHosting() {
+        if (this.host) {
+            this.host.close();
+            this.host = null;
+        }
+    }
+
+    /**
+     * Get where games are played: TABS, or the server's URL
+     * @private
+     */
+    _getAddress() {
+        const { placeSelect, urlInput } = this.elements;
+        return placeSelect && placeSelect.value === TABS ? TABS : urlInput.value.trim();
+    }
+
+    /**
+     * Show why the panel could not do what was asked
+     * @private
+     */
+    _showError(message) {
+        this.elements.status.textContent = message;
+        this.elements.status.classList.add('error');
+    }
+
+    /**
+     * Create a button taking a seat, or showing who has it
+     * @private
+     */
+    _createSeatButton(seat) {
+        const online = this.online;
+        const name = this.gameMode.getGameState().getPlayerName(seat);
+        const button = document.createElement('button');
+        button.dataset.seat = seat;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'move-swatch';
+        swatch.style.background = TriangleColors.getColor(seat);
+        button.appendChild(swatch);
+
+        if (online.seat === seat) {
+            button.appendChild(document.createTextNode(`${name} (you)`));
+            button.disabled = true;
+        } else if (online.isSpectating) {
+            const state = online.away.includes(seat) ? 'away' : online.claimed.includes(seat) ? 'playing' : 'open';
+            button.appendChild(document.createTextNode(`${name} (${state})`));
+            button.disabled = true;
+        } else if (online.away.includes(seat)) {
+            button.appendChild(document.createTextNode(`${name} (away)`));
+            button.disabled = true;
+        } else if (online.isSeatFree(seat)) {
+            button.appendChild(document.createTextNode(`Take ${name}`));
+            button.disabled = online.seat !== null;
+        } else {
+            button.appendChild(document.createTextNode(`${name} (taken)`));
+            button.disabled = true;
+        }
+        return button;
+    }
+}
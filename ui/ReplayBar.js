@@ -0,0 +1,94 @@
+// ============================================================================
+// ReplayBar - Playback controls shown while a replay is active
+// ============================================================================
+export class ReplayBar {
+    /**
+     * Create a new replay bar
+     * @param {ReplayController} replay - The replay controller
+     * @param {Object} elements - DOM elements used by the bar
+     * @param {HTMLElement} elements.container - Shown only during replays
+     * @param {HTMLButtonElement} elements.firstButton
+     * @param {HTMLButtonElement} elements.previousButton
+     * @param {HTMLButtonElement} elements.playButton - Toggles play / pause
+     * @param {HTMLButtonElement} elements.nextButton
+     * @param {HTMLButtonElement} elements.lastButton
+     * @param {HTMLSelectElement} [elements.speedSelect] - Playback speed multipliers
+     * @param {HTMLElement} [elements.position] - Shows "Move n of m"
+     * @param {HTMLButtonElement} [elements.resumeButton] - Plays on from the position shown
+     * @param {HTMLButtonElement} [elements.exitButton] - Leaves the replay
+     */
+    constructor(replay, elements) {
+        this.replay = replay;
+        this.elements = elements;
+    }
+
+    /**
+     * Bind DOM events and replay events
+     */
+    bind() {
+        const { firstButton, previousButton, playButton, nextButton, lastButton,
+            speedSelect, resumeButton, exitButton } = this.elements;
+
+        firstButton.addEventListener('click', () => this.replay.first());
+        previousButton.addEventListener('click', () => this.replay.previous());
+        nextButton.addEventListener('click', () => {
+            this.replay.pause();
+            this.replay.next();
+        });
+        lastButton.addEventListener('click', () => this.replay.last());
+        playButton.addEventListener('click', () => {
+            if (this.replay.isPlaying) {
+                this.replay.pause();
+            } else {
+                this.replay.play();
+            }
+        });
+
+        if (speedSelect) {
+            speedSelect.addEventListener('change', (e) => this.replay.setSpeed(parseFloat(e.target.value)));
+        }
+        if (resumeButton) {
+            resumeButton.addEventListener('click', () => {
+                const discarded = this.replay.getTotalMoves() - this.replay.getMoveCount();
+                if (discarded === 0 || confirm(`Play on from here? The ${discarded} later move${discarded === 1 ? '' : 's'} will be discarded.`)) {
+                    this.replay.resumeFromHere();
+                }
+            });
+        }
+        if (exitButton) {
+            exitButton.addEventListener('click', () => this.replay.exit());
+        }
+
+        this.replay.events.subscribe('replayChanged', () => this.render());
+        this.replay.gameMode.getGameState().events.subscribe('historyChanged', () => this.render());
+    }
+
+    /**
+     * Update the controls to match the replay
+     */
+    render() {
+        const { container, firstButton, previousButton, playButton, nextButton, lastButton,
+            speedSelect, position } = this.elements;
+        const replay = this.replay;
+
+        container.hidden = !replay.isActive;
+        if (!replay.isActive) return;
+
+        const moveCount = replay.getMoveCount();
+        const total = replay.getTotalMoves();
+
+        firstButton.disabled = moveCount === 0;
+        previousButton.disabled = moveCount === 0;
+        nextButton.disabled = moveCount === total;
+        lastButton.disabled = moveCount === total;
+        playButton.disabled = total === 0;
+        playButton.textContent = replay.isPlaying ? 'Pause' : 'Play';
+
+        if (speedSelect) {
+            speedSelect.value = String(replay.speed);
+        }
+        if (position) {
+            position.textContent = `Move ${moveCount} of ${total}`;
+        }
+    }
+}
@@ -0,0 +1,321 @@
+import { PlayerConfig, GameConfig, MAX_NAME_LENGTH } from '../core/config.js';
+import { AIDifficulty, SeatType, TeamMode, Layout, TimeControl, RuleSet, WinRule } from '../core/types.js';
+import { GameSetup } from '../game/GameSetup.js';
+import { TriangleColors } from '../rendering/Colors.js';
+
+// Labels for the team selector
+const TEAM_MODE_LABELS = Object.freeze({
+    [TeamMode.None]: 'None',
+    [TeamMode.Pairs]: 'Opposite partners',
+    [TeamMode.Triples]: 'Teams of three'
+});
+
+// Labels for the layout selector
+const LAYOUT_LABELS = Object.freeze({
+    [Layout.Standard]: 'One army each',
+    [Layout.DoubleArmies]: 'Two armies each',
+    [Layout.TripleArmies]: 'Three armies each'
+});
+
+// Names of the rule sets, board sizes and win rules in the rules summary
+// (the selectors list them in index.html)
+const RULE_SET_LABELS = Object.freeze({
+    [RuleSet.Classic]: 'Classic hops',
+    [RuleSet.LongRange]: 'Long-range jumps',
+    [RuleSet.SingleJump]: 'Single hop per turn'
+});
+const BOARD_SIZE_LABELS = Object.freeze({ 3: 'Small board', 4: 'Standard board', 5: 'Large board' });
+const WIN_RULE_LABELS = Object.freeze({
+    [WinRule.FullGoal]: 'Finish: all own pieces',
+    [WinRule.OccupiedGoal]: 'Finish: goal full, one own piece'
+});
+
+/**
+ * Describe the rules a game is played by, as chosen in the setup
+ * @param {GameState} gameState - The game
+ * @returns {string} The rule set and board, then the other rules that apply
+ */
+export function describeRules(gameState) {
+    const options = gameState.options;
+    const rules = [RULE_SET_LABELS[options.ruleSet], BOARD_SIZE_LABELS[options.boardSize], WIN_RULE_LABELS[options.winRule]];
+    if (gameState.players.some(p => p.hasSeveralArmies())) {
+        rules.push(LAYOUT_LABELS[options.layout]);
+    }
+    if (gameState.isTeamGame()) {
+        rules.push(TEAM_MODE_LABELS[options.teamMode]);
+    }
+    if (options.foreignStayLimit > 0) {
+        rules.push(`Stay limit ${options.foreignStayLimit} turns`);
+    }
+    if (options.moveLimit > 0) {
+        rules.push(`Move limit ${options.moveLimit}`);
+    }
+    if (options.timeControl !== TimeControl.None) {
+        rules.push(formatTimeControl(options));
+    }
+    return rules.join(' · ');
+}
+
+/**
+ * Describe a time control, e.g. "3 min + 2 s"
+ * @param {{ timeControl: string, clockSeconds: number, clockIncrement: number }} options
+ * @returns {string}
+ */
+function formatTimeControl({ timeControl, clockSeconds, clockIncrement }) {
+    const time = clockSeconds % 60 === 0 ? `${clockSeconds / 60} min` : `${clockSeconds} s`;
+    return {
+        [TimeControl.SuddenDeath]: time,
+        [TimeControl.Increment]: `${time} + ${clockIncrement} s`,
+        [TimeControl.PerMove]: `${time} per move`
+    }[timeControl];
+}
+
+// ============================================================================
+// SetupDialog - Seats, names, colours and rules chosen before a new game
+// ============================================================================
+// Edits a copy of a setup (see GameSetup.js) and hands it over when the
+// game is started. Each seat in play gets a row: its colour, the player's
+// name and who plays it. Choosing a colour another seat has swaps the two.
+export class SetupDialog {
+    /**
+     * Create a new setup dialog
+     * @param {Object} elements - DOM elements used by the dialog
+     * @param {HTMLDialogElement} elements.dialog - The dialog
+     * @param {HTMLSelectElement} elements.playerCountSelect - Number of players
+     * @param {HTMLSelectElement} elements.layoutSelect - Armies per player
+     * @param {HTMLSelectElement} elements.boardSizeSelect - Rows per home triangle
+     * @param {HTMLSelectElement} elements.ruleSetSelect - How pieces may jump
+     * @param {HTMLSelectElement} elements.winRuleSelect - When a goal counts as filled
+     * @param {HTMLSelectElement} elements.stayLimitSelect - Turns a piece may stay in another goal
+     * @param {HTMLSelectElement} elements.moveLimitSelect - Moves before the game is scored
+     * @param {HTMLSelectElement} elements.timeControlSelect - "None", or
+     *     "<TimeControl>:<seconds>:<increment>"
+     * @param {HTMLSelectElement} elements.teamModeSelect - Partnerships
+     * @param {HTMLElement} elements.seats - Filled with a row per seat
+     * @param {HTMLElement} elements.status - Says why the game cannot start
+     * @param {HTMLButtonElement} elements.startButton - Starts the game
+     * @param {HTMLButtonElement} elements.cancelButton - Closes the dialog
+     */
+    constructor(elements) {
+        this.elements = elements;
+        this.setup = null; // The setup being edited
+    }
+
+    /**
+     * Bind DOM events
+     * @param {Function} onStart - Called with the setup when the game is started
+     */
+    bind(onStart) {
+        const {
+            playerCountSelect, layoutSelect, boardSizeSelect, ruleSetSelect, winRuleSelect,
+            stayLimitSelect, moveLimitSelect, timeControlSelect, teamModeSelect, startButton, cancelButton
+        } = this.elements;
+
+        playerCountSelect.addEventListener('change', () => {
+            this.setup.playerCount = parseInt(playerCountSelect.value, 10);
+            this.render();
+        });
+        layoutSelect.addEventListener('change', () => this._setOption('layout', layoutSelect.value));
+        boardSizeSelect.addEventListener('change', () => this._setOption('boardSize', parseInt(boardSizeSelect.value, 10)));
+        ruleSetSelect.addEventListener('change', () => this._setOption('ruleSet', ruleSetSelect.value));
+        winRuleSelect.addEventListener('change', () => this._setOption('winRule', winRuleSelect.value));
+        stayLimitSelect.addEventListener('change', () => this._setOption('foreignStayLimit', parseInt(stayLimitSelect.value, 10)));
+        moveLimitSelect.addEventListener('change', () => this._setOption('moveLimit', parseInt(moveLimitSelect.value, 10)));
+        teamModeSelect.addEventListener('change', () => this._setOption('teamMode', teamModeSelect.value));
+        timeControlSelect.addEventListener('change', () => {
+            const [timeControl, clockSeconds, clockIncrement] = timeControlSelect.value.split(':');
+            this.setup.options = timeControl === TimeControl.None
+                ? { ...this.setup.options, timeControl }
+                : {
+                    ...this.setup.options,
+                    timeControl,
+                    clockSeconds: parseInt(clockSeconds, 10),
+                    clockIncrement: parseInt(clockIncrement, 10)
+                };
+            this._showProblem();
+        });
+
+        startButton.addEventListener('click', () => {
+            if (this._showProblem()) return;
+            const setup = this.setup;
+            this.close();
+            onStart(setup);
+        });
+        cancelButton.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Open the dialog on a setup
+     * @param {Object} setup - The setup to start from (see GameSetup.js); not changed
+     */
+    show(setup) {
+        this.setup = JSON.parse(JSON.stringify(setup));
+        this.render();
+        if (!this.elements.dialog.open) {
+            this.elements.dialog.showModal();
+        }
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (this.elements.dialog.open) {
+            this.elements.dialog.close();
+        }
+    }
+
+    /**
+     * Update the controls to match the setup
+     */
+    render() {
+        const {
+            playerCountSelect, layoutSelect, boardSizeSelect, ruleSetSelect, winRuleSelect,
+            stayLimitSelect, moveLimitSelect, timeControlSelect, teamModeSelect, seats
+        } = this.elements;
+        const { playerCount, options } = this.setup;
+
+        playerCountSelect.value = String(playerCount);
+        this._renderChoices(layoutSelect, GameConfig.getLayouts(playerCount), LAYOUT_LABELS, options.layout, Layout.Standard);
+        this._renderChoices(teamModeSelect, GameConfig.getTeamModes(playerCount), TEAM_MODE_LABELS, options.teamMode, TeamMode.None);
+        boardSizeSelect.value = String(options.boardSize);
+        ruleSetSelect.value = options.ruleSet;
+        winRuleSelect.value = options.winRule;
+        this._selectLimit(stayLimitSelect, options.foreignStayLimit, 'turns');
+        this._selectLimit(moveLimitSelect, options.moveLimit, 'moves');
+        this._selectTimeControl(timeControlSelect, options);
+
+        seats.innerHTML = '';
+        GameSetup.getSeatedTriangles(this.setup).forEach(triangleIndex => {
+            seats.appendChild(this._createSeatRow(triangleIndex));
+        });
+        this._showProblem();
+    }
+
+    // ========================================================================
+    // Helpers
+    // ========================================================================
+
+    /**
+     * Change one of the setup's options, and check the setup again
+     * @private
+     */
+    _setOption(key, value) {
+        this.setup.options = { ...this.setup.options, [key]: value };
+        this._showProblem();
+    }
+
+    /**
+     * Show why the setup cannot be played, if it cannot
+     * @private
+     * @returns {boolean} True if there is a problem
+     */
+    _showProblem() {
+        const problem = GameSetup.check(this.setup);
+        this.elements.status.textContent = problem || '';
+        this.elements.status.classList.toggle('error', !!problem);
+        this.elements.startButton.disabled = !!problem;
+        return !!problem;
+    }
+
+    /**
+     * List the choices that fit the player count, selecting the chosen one
+     * if it fits, and otherwise the one played instead
+     * @private
+     */
+    _renderChoices(select, choices, labels, chosen, fallback) {
+        select.innerHTML = '';
+        choices.forEach(choice => select.add(new Option(labels[choice], choice)));
+        select.value = choices.includes(chosen) ? chosen : fallback;
+        select.disabled = choices.length === 1;
+    }
+
+    /**
+     * Show a limit in its selector, adding an option for limits from saves
+     * or links that the selector does not list
+     * @private
+     */
+    _selectLimit(select, limit, unit) {
+        const value = String(limit);
+        if (![...select.options].some(option => option.value === value)) {
+            select.add(new Option(`${limit} ${unit}`, value));
+        }
+        select.value = value;
+    }
+
+    /**
+     * Show the time control in its selector, adding an option for time
+     * controls from saves or links that the selector does not list
+     * @private
+     */
+    _selectTimeControl(select, options) {
+        const { timeControl, clockSeconds, clockIncrement } = options;
+        if (timeControl === TimeControl.None) {
+            select.value = TimeControl.None;
+            return;
+        }
+
+        const value = `${timeControl}:${clockSeconds}:${clockIncrement}`;
+        if (![...select.options].some(option => option.value === value)) {
+            select.add(new Option(formatTimeControl(options), value));
+        }
+        select.value = value;
+    }
+
+    /**
+     * Create the row for a seat: colour, name and who plays it
+     * @private
+     */
+    _createSeatRow(triangleIndex) {
+        const seat = this.setup.seats[triangleIndex];
+        const colorName = this.setup.colors[triangleIndex];
+        const row = document.createElement('div');
+        row.className = 'setup-seat';
+
+        const swatch = document.createElement('span');
+        swatch.className = 'move-swatch';
+        swatch.style.background = TriangleColors.getNamedColor(colorName);
+
+        const colorSelect = document.createElement('select');
+        colorSelect.setAttribute('aria-label', `${colorName} seat colour`);
+        PlayerConfig.colors.forEach(color => colorSelect.add(new Option(color.name, color.name)));
+        colorSelect.value = colorName;
+        colorSelect.addEventListener('change', () => {
+            // Swap colours with the triangle that had the chosen one
+            const colors = this.setup.colors;
+            const other = colors.indexOf(colorSelect.value);
+            colors[other] = colors[triangleIndex];
+            colors[triangleIndex] = colorSelect.value;
+            this.render();
+        });
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.maxLength = MAX_NAME_LENGTH;
+        nameInput.placeholder = colorName;
+        nameInput.value = seat.name;
+        nameInput.setAttribute('aria-label', `${colorName} player's name`);
+        nameInput.addEventListener('input', () => { seat.name = nameInput.value; });
+
+        const typeSelect = document.createElement('select');
+        typeSelect.setAttribute('aria-label', `${colorName} player`);
+        typeSelect.add(new Option('Human', SeatType.Human));
+        Object.values(AIDifficulty).forEach(difficulty => {
+            typeSelect.add(new Option(`Bot (${difficulty})`, `${SeatType.AI}:${difficulty}`));
+        });
+        typeSelect.add(new Option('Remote', SeatType.Remote));
+        typeSelect.value = seat.seatType === SeatType.AI ? `${SeatType.AI}:${seat.aiDifficulty}` : seat.seatType;
+        typeSelect.title = 'Remote seats are played from other pages: the game is hosted online, as set in the online bar';
+        typeSelect.addEventListener('change', () => {
+            const [seatType, aiDifficulty] = typeSelect.value.split(':');
+            seat.seatType = seatType;
+            if (aiDifficulty) {
+                seat.aiDifficulty = aiDifficulty;
+            }
+            this._showProblem();
+        });
+
+        row.append(swatch, colorSelect, nameInput, typeSelect);
+        return row;
+    }
+}
@@ -0,0 +1,160 @@
+import { MatchResult } from '../core/types.js';
+import { TriangleColors } from '../rendering/Colors.js';
+
+// ============================================================================
+// StandingsDialog - Final places shown when a match ends
+// ============================================================================
+export class StandingsDialog {
+    /**
+     * Create a new standings dialog
+     * @param {GameMode} gameMode - The game mode
+     * @param {ReplayController} replay - The replay controller
+     * @param {Object} elements - DOM elements used by the dialog
+     * @param {HTMLDialogElement} elements.dialog - The dialog
+     * @param {HTMLElement} elements.title - Names the winner, or how the match was drawn
+     * @param {HTMLTableSectionElement} elements.rows - Filled with a row per player
+     * @param {HTMLButtonElement} elements.replayButton - Closes and starts a replay
+     * @param {HTMLButtonElement} elements.newGameButton - Closes and starts a new game
+     * @param {HTMLButtonElement} elements.closeButton - Closes the dialog
+     */
+    constructor(gameMode, replay, elements) {
+        this.gameMode = gameMode;
+        this.replay = replay;
+        this.elements = elements;
+    }
+
+    /**
+     * Bind DOM events and open the dialog when a match ends
+     */
+    bind() {
+        const { replayButton, newGameButton, closeButton } = this.elements;
+
+        replayButton.addEventListener('click', () => {
+            this.close();
+            this.replay.start();
+        });
+        newGameButton.addEventListener('click', () => {
+            this.close();
+            this.gameMode.resetGame();
+        });
+        closeButton.addEventListener('click', () => this.close());
+
+        this.gameMode.getGameState().events.subscribe('matchEnded', ({ standings, teamStandings, result }) => {
+            // Wait for the final move to be shown, then a moment for the final render
+            const show = () => setTimeout(() => this.show(standings, teamStandings, result), 100);
+            const playerController = this.gameMode.playerController;
+            if (playerController) {
+                playerController.whenMoveShown(show);
+            } else {
+                show();
+            }
+        });
+    }
+
+    /**
+     * Show the standings: a row per player, or per team in team games
+     * @param {Array<{ playerState: PlayerState, place: number|null, moves: number, resigned: boolean }>} standings
+     *     Best first, as returned by GameMode.getStandings
+     * @param {Object[]|null} [teamStandings] - Best first, as returned by
+     *     GameMode.getTeamStandings, or null without teams
+     * @param {string} [result] - How the match ended (a MatchResult)
+     */
+    show(standings, teamStandings = null, result = MatchResult.Win) {
+        const { dialog, title, rows } = this.elements;
+        rows.innerHTML = '';
+
+        if (teamStandings) {
+            const winner = teamStandings.find(standing => standing.place === 1);
+            title.textContent = this._formatTitle(result, winner ? `Team ${this._formatTeamName(winner.team)} wins!` : null);
+
+            teamStandings.forEach(({ team, place }) => {
+                const members = standings.filter(standing => team.includes(standing.playerState.homeTriangleIndex));
+                const moves = members.reduce((sum, standing) => sum + standing.moves, 0);
+                const resigned = members.every(standing => standing.resigned);
+                this._addRow(place, team, this._formatTeamName(team), moves, resigned);
+            });
+        } else {
+            const winner = standings.find(standing => standing.place === 1);
+            title.textContent = this._formatTitle(result, winner ? `${winner.playerState.getDisplayName()} wins!` : null);
+
+            standings.forEach(({ playerState, place, moves, resigned }) => {
+                this._addRow(place, [playerState.homeTriangleIndex], playerState.getDisplayName(), moves, resigned);
+            });
+        }
+
+        if (!dialog.open) {
+            dialog.showModal();
+        }
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (this.elements.dialog.open) {
+            this.elements.dialog.close();
+        }
+    }
+
+    /**
+     * Title the dialog after how the match ended
+     * @private
+     * @param {string} result - A MatchResult
+     * @param {string|null} winnerText - Announces the winner, if anyone placed first
+     */
+    _formatTitle(result, winnerText) {
+        switch (result) {
+            case MatchResult.Repetition:
+                return 'Draw by repetition';
+            case MatchResult.Agreement:
+                return 'Draw agreed';
+            case MatchResult.MoveLimit:
+                return winnerText ? `Move limit reached. ${winnerText}` : 'Move limit reached';
+            case MatchResult.Resignation:
+                return winnerText ? `The others resigned. ${winnerText}` : 'Game over';
+            case MatchResult.Timeout:
+                return winnerText ? `Won on time. ${winnerText}` : 'Game over';
+            default:
+                return winnerText || 'Game over';
+        }
+    }
+
+    /**
+     * Add a table row with a colour swatch per triangle
+     * @private
+     */
+    _addRow(place, triangleIndices, name, moves, resigned = false) {
+        const row = this.elements.rows.insertRow();
+        const placeText = place !== null ? this._formatPlace(place) : '—';
+        row.insertCell().textContent = resigned ? 'Resigned' : placeText;
+
+        const nameCell = row.insertCell();
+        triangleIndices.forEach(triangleIndex => {
+            const swatch = document.createElement('span');
+            swatch.className = 'move-swatch';
+            swatch.style.background = TriangleColors.getColor(triangleIndex);
+            nameCell.append(swatch);
+        });
+        nameCell.append(name);
+
+        row.insertCell().textContent = String(moves);
+    }
+
+    /**
+     * Name a team after its players, e.g. "Red & Blue"
+     * @private
+     */
+    _formatTeamName(team) {
+        const gameState = this.gameMode.getGameState();
+        return team.map(idx => gameState.getPlayerName(idx)).join(' & ');
+    }
+
+    /**
+     * Format a place as an ordinal, e.g. 1st, 2nd
+     * @private
+     */
+    _formatPlace(place) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        return `${place}${suffixes[place] || 'th'}`;
+    }
+}